@@ -0,0 +1,23 @@
+// Polyfills for older browsers. Only rivet.js and rivet.polyfills.js include them.
+const polyfills = [
+  "src/js/polyfills/closest.js",
+  "src/js/polyfills/CustomEvent.js"
+];
+
+// Utilities and components in the order they need to load
+const scripts = [
+  "src/js/utilities/fireCustomEvent.js",
+  "src/js/utilities/rivet.js",
+  "src/js/components/alert.js",
+  "src/js/components/drawer.js",
+  "src/js/components/dropdown.js",
+  "src/js/components/modal.js",
+  "src/js/components/tabs.js",
+  "src/js/components/fileInput.js",
+  "src/js/components/combobox.js"
+];
+
+module.exports = {
+  polyfills: polyfills,
+  scripts: scripts
+};
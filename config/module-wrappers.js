@@ -0,0 +1,169 @@
+/**
+ * Wrappers for the ES module and UMD JavaScript builds.
+ *
+ * The ES module build turns every utility and component source into its
+ * own module in js/esm. Each one imports the globals it expects from the
+ * other modules and exports the one it defines, so bundlers can leave out
+ * the components that aren't used. js/rivet.esm.js wraps
+ * src/js/namespace.js the same way and re-exports everything.
+ *
+ * The UMD build concatenates the sources between the header and footer
+ * so that they share a single scope, then returns the Rivet namespace
+ * that src/js/namespace.js builds.
+ */
+
+const path = require("path");
+
+// Named exports of rivet.esm.js, added after src/js/namespace.js
+const esmFooter = `
+var get = Rivet.get;
+var observe = Rivet.observe;
+var disconnect = Rivet.disconnect;
+var init = Rivet.init;
+
+export {
+  Alert,
+  Drawer,
+  Dropdown,
+  Modal,
+  Tabs,
+  FileInput,
+  Combobox,
+  get,
+  observe,
+  disconnect,
+  init
+};
+
+export default Rivet;
+`;
+
+/**
+ * name is the global the source defines, file is where its module ends
+ * up in the js folder and imports are the globals it uses from other
+ * modules.
+ */
+const esModules = [
+  {
+    name: "fireCustomEvent",
+    source: "src/js/utilities/fireCustomEvent.js",
+    file: "esm/fireCustomEvent.js",
+    imports: []
+  },
+  {
+    name: "RivetRegistry",
+    source: "src/js/utilities/rivet.js",
+    file: "esm/registry.js",
+    imports: []
+  },
+  {
+    name: "Alert",
+    source: "src/js/components/alert.js",
+    file: "esm/alert.js",
+    imports: ["RivetRegistry"]
+  },
+  {
+    name: "Drawer",
+    source: "src/js/components/drawer.js",
+    file: "esm/drawer.js",
+    imports: ["fireCustomEvent", "RivetRegistry"]
+  },
+  {
+    name: "Dropdown",
+    source: "src/js/components/dropdown.js",
+    file: "esm/dropdown.js",
+    imports: ["fireCustomEvent", "RivetRegistry"]
+  },
+  {
+    name: "Modal",
+    source: "src/js/components/modal.js",
+    file: "esm/modal.js",
+    imports: ["fireCustomEvent", "RivetRegistry"]
+  },
+  {
+    name: "Tabs",
+    source: "src/js/components/tabs.js",
+    file: "esm/tabs.js",
+    imports: ["fireCustomEvent", "RivetRegistry", "Dropdown"]
+  },
+  {
+    name: "FileInput",
+    source: "src/js/components/fileInput.js",
+    file: "esm/fileInput.js",
+    imports: ["fireCustomEvent", "RivetRegistry"]
+  },
+  {
+    name: "Combobox",
+    source: "src/js/components/combobox.js",
+    file: "esm/combobox.js",
+    imports: ["fireCustomEvent", "RivetRegistry"]
+  },
+  {
+    name: "Rivet",
+    source: "src/js/namespace.js",
+    file: "rivet.esm.js",
+    imports: [
+      "RivetRegistry",
+      "Alert",
+      "Drawer",
+      "Dropdown",
+      "Modal",
+      "Tabs",
+      "FileInput",
+      "Combobox"
+    ],
+    footer: esmFooter
+  }
+];
+
+/**
+ * @param {Object} esModule - One of esModules
+ * @returns {String} - An import statement for each of the module's imports
+ */
+function esModuleHeader(esModule) {
+  const directory = path.posix.dirname(esModule.file);
+
+  return esModule.imports.map(name => {
+    const dependency = esModules.find(item => item.name === name);
+    let specifier = path.posix.relative(directory, dependency.file);
+
+    if (!specifier.startsWith(".")) {
+      specifier = "./" + specifier;
+    }
+
+    return `import ${name} from '${specifier}';\n`;
+  }).join("") + "\n";
+}
+
+/**
+ * @param {Object} esModule - One of esModules
+ * @returns {String} - Exports the global the module's source defines
+ */
+function esModuleFooter(esModule) {
+  return esModule.footer || `\nexport default ${esModule.name};\n`;
+}
+
+// UMD build: works with AMD, CommonJS or as a single global named Rivet
+const umdHeader = `(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Rivet = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+`;
+
+const umdFooter = `
+return Rivet;
+});
+`;
+
+module.exports = {
+  esModules: esModules,
+  esModuleHeader: esModuleHeader,
+  esModuleFooter: esModuleFooter,
+  umdHeader: umdHeader,
+  umdFooter: umdFooter
+};
@@ -42,3 +42,54 @@ describe('Rivet alert interactions', function() {
     cy.get(ALERT_SUCCESS).should('not.exist');
   });
 });
+
+describe('Rivet alert instances', function() {
+  it('Visits the info alert page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/alert');
+  });
+
+  it('Should dismiss the alert using its instance', function() {
+    cy.get(ALERT_INFO).then($alert => {
+      cy.window().then(win => {
+        win.Rivet.get($alert[0]).dismiss();
+      });
+    });
+
+    cy.get(ALERT_INFO).should('not.exist');
+  });
+});
+
+describe('Rivet generated alerts', function() {
+  it('Visits the info alert page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/alert');
+  });
+
+  it('Should show a toast and dismiss it after the timeout', function() {
+    cy.window().then(win => {
+      const id = win.Alert.create({
+        type: 'success',
+        title: 'Saved',
+        message: 'Your changes have been saved.',
+        timeout: 1000
+      });
+
+      cy.get('#' + id).should('be.visible');
+
+      cy.get('.rvt-alert-toasts--top-right')
+        .should('be.visible')
+        .and('have.attr', 'aria-live', 'polite');
+
+      cy.get('#' + id).should('not.exist');
+    });
+  });
+
+  it('Should dismiss a toast with its dismiss button', function() {
+    cy.window().then(win => {
+      const id = win.Alert.create({ type: 'danger', message: 'Something went wrong.' });
+
+      cy.get('#' + id + ' [data-alert-close]').click();
+
+      cy.get('#' + id).should('not.exist');
+    });
+  });
+});
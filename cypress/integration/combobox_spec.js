@@ -0,0 +1,87 @@
+const COMBOBOX_INPUT = '#combobox-building';
+const COMBOBOX_LISTBOX = '#combobox-building-listbox';
+const DEV_SERVER = "http://localhost:3000";
+
+describe('Rivet combobox interactions', function() {
+  it('Visits the combobox page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/combobox');
+  });
+
+  it('Should filter the options as you type', function() {
+    cy.get(COMBOBOX_INPUT).type('lu');
+
+    cy.get(COMBOBOX_INPUT).should('have.attr', 'aria-expanded', 'true');
+
+    cy.get(COMBOBOX_LISTBOX)
+      .should('be.visible')
+      .find('[role="option"]:visible')
+      .should('have.length', 1)
+      .and('contain', 'Luddy Hall');
+  });
+
+  it('Should keep focus in the input while moving through the options', function() {
+    cy.get(COMBOBOX_INPUT)
+      .clear()
+      .type('hall')
+      .type('{downarrow}{downarrow}');
+
+    cy.focused().should('have.attr', 'id', 'combobox-building');
+
+    cy.get(COMBOBOX_INPUT)
+      .should('have.attr', 'aria-activedescendant', 'combobox-building-option-2');
+  });
+
+  it('Should select the active option with Enter', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('comboboxSelect', function(event) {
+        doc.comboboxSelectDetail = event.detail;
+      });
+    });
+
+    cy.get(COMBOBOX_INPUT)
+      .type('{enter}')
+      .should('have.value', 'Franklin Hall')
+      .and('have.attr', 'aria-expanded', 'false');
+
+    cy.document().then(doc => {
+      assert.equal(doc.comboboxSelectDetail.name(), 'combobox-building');
+      assert.equal(doc.comboboxSelectDetail.value, 'FH');
+    });
+  });
+
+  it('Should show a message when nothing matches', function() {
+    cy.get(COMBOBOX_INPUT)
+      .clear()
+      .type('zzz');
+
+    cy.get(COMBOBOX_LISTBOX + ' .rvt-combobox__no-results')
+      .should('be.visible')
+      .and('contain', 'No results');
+  });
+
+  it('Should close when something outside is clicked', function() {
+    cy.get('body').click('bottomRight');
+
+    cy.get(COMBOBOX_INPUT).should('have.attr', 'aria-expanded', 'false');
+  });
+});
+
+describe('Rivet combobox validation', function() {
+  it('Visits the required combobox page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/combobox--danger');
+  });
+
+  it('Should stay invalid until an option is picked', function() {
+    cy.get('#combobox-building-required')
+      .type('somewhere')
+      .blur()
+      .should('have.class', 'rvt-validation-danger')
+      .and('have.attr', 'aria-invalid', 'true');
+
+    cy.get('#combobox-building-required')
+      .clear()
+      .type('swain{downarrow}{enter}')
+      .should('not.have.class', 'rvt-validation-danger')
+      .and('not.have.attr', 'aria-invalid');
+  });
+});
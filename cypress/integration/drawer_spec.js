@@ -92,3 +92,174 @@ describe('Rivet drawer interactions', function() {
     cy.get(DRAWER_TOGGLE).should('have.attr', 'aria-expanded', 'false');
   });
 });
+
+describe('Rivet drawer cancelable events', function() {
+  it('Visits the drawer page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/header--persistent');
+  });
+
+  it('Should not open if drawerBeforeOpen is canceled', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('drawerBeforeOpen', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('drawerBeforeOpen', cancel);
+      });
+    });
+
+    cy.get(DRAWER_TOGGLE)
+      .click()
+      .should('have.attr', 'aria-expanded', 'false');
+
+    cy.get(DRAWER_MENU).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should not close if drawerBeforeClose is canceled', function() {
+    cy.window().then(win => {
+      win.Drawer.open('mobile-drawer');
+    });
+
+    cy.document().then(doc => {
+      doc.addEventListener('drawerBeforeClose', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('drawerBeforeClose', cancel);
+      });
+    });
+
+    cy.window().then(win => {
+      win.Drawer.close('mobile-drawer');
+    });
+
+    cy.get(DRAWER_MENU).should('have.attr', 'aria-hidden', 'false');
+  });
+});
+
+describe('Rivet modal drawers', function() {
+  it('Visits the drawer page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/header--persistent');
+  });
+
+  it('Should trap focus and hide the page while open', function() {
+    cy.document().then(doc => {
+      doc.getElementById('mobile-drawer').setAttribute('data-rvt-modal', 'true');
+    });
+
+    cy.window().then(win => {
+      win.Drawer.init();
+      win.Drawer.open('mobile-drawer');
+    });
+
+    cy.focused().then(focused => {
+      assert.isTrue(Cypress.$(DRAWER_MENU)[0].contains(focused[0]));
+    });
+
+    cy.get('body').should('have.class', 'rvt-drawer-open');
+
+    cy.get(DRAWER_TOGGLE).should('have.attr', 'inert');
+  });
+
+  it('Should restore the page when closed', function() {
+    cy.window().then(win => {
+      win.Drawer.close('mobile-drawer');
+    });
+
+    cy.get('body').should('not.have.class', 'rvt-drawer-open');
+
+    cy.get(DRAWER_TOGGLE).should('not.have.attr', 'inert');
+
+    cy.focused().should('have.attr', 'data-drawer-toggle', 'mobile-drawer');
+  });
+});
+
+describe('Rivet drawer subnavs', function() {
+  const SUBNAV_TOGGLE = DRAWER_MENU + ' [data-subnav-toggle="subnav-2"]';
+  const RIGHT = 39;
+  const LEFT = 37;
+
+  it('Visits the drawer page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/header--persistent');
+  });
+
+  it('Should expand and enter a subnav with the right arrow key', function() {
+    cy.window().then(win => {
+      win.Drawer.open('mobile-drawer');
+    });
+
+    cy.get(SUBNAV_TOGGLE)
+      .focus()
+      .trigger('keydown', { keyCode: RIGHT, which: RIGHT })
+      .should('have.attr', 'aria-expanded', 'true');
+
+    cy.get(SUBNAV_TOGGLE).trigger('keydown', { keyCode: RIGHT, which: RIGHT });
+
+    cy.focused().should('have.text', 'Item one');
+  });
+
+  it('Should go back up and collapse with the left arrow key', function() {
+    cy.focused().trigger('keydown', { keyCode: LEFT, which: LEFT });
+
+    cy.focused().should('have.attr', 'data-subnav-toggle', 'subnav-2');
+
+    cy.focused()
+      .trigger('keydown', { keyCode: LEFT, which: LEFT })
+      .should('have.attr', 'aria-expanded', 'false');
+  });
+});
+
+describe('Rivet drawer panels', function() {
+  const PANEL_TOGGLE = '[data-drawer-toggle="drawer-panel-filters"]';
+  const PANEL = '#drawer-panel-filters';
+
+  it('Visits the drawer panel page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/drawer-panel');
+  });
+
+  it('Should emit drawerOpen after sliding in', function() {
+    cy.window().then(win => {
+      win.document.addEventListener('drawerOpen', function() {
+        win.panelWasOpened = true;
+      });
+    });
+
+    cy.get(PANEL_TOGGLE).click();
+
+    cy.get(PANEL)
+      .should('have.attr', 'data-drawer-placement', 'left')
+      .and('be.visible');
+
+    cy.window().its('panelWasOpened').should('equal', true);
+  });
+
+  it('Should close when swiped to the left', function() {
+    cy.get(PANEL)
+      .trigger('pointerdown', { pointerType: 'touch', clientX: 200, clientY: 100 })
+      .trigger('pointermove', { pointerType: 'touch', clientX: 150, clientY: 100 })
+      .trigger('pointermove', { pointerType: 'touch', clientX: 100, clientY: 100 })
+      .trigger('pointerup', { pointerType: 'touch', clientX: 100, clientY: 100 });
+
+    cy.get(PANEL)
+      .should('have.attr', 'aria-hidden', 'true')
+      .and('not.be.visible');
+  });
+});
+
+describe('Rivet drawer API', function() {
+  it('Visits the drawer page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/header--persistent');
+  });
+
+  it('Should toggle by id and report its state', function() {
+    cy.window().then(win => {
+      win.Drawer.toggle('mobile-drawer');
+
+      expect(win.Drawer.isOpen('mobile-drawer')).to.equal(true);
+      expect(win.Drawer.getActive().id).to.equal('mobile-drawer');
+
+      win.Drawer.closeAll();
+
+      expect(win.Drawer.isOpen('mobile-drawer')).to.equal(false);
+      expect(win.Drawer.getActive()).to.equal(null);
+    });
+
+    cy.get(DRAWER_MENU).should('not.be.visible');
+  });
+});
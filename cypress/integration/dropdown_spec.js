@@ -127,3 +127,162 @@ describe('Rivet dropdown interactions', function() {
     });
   });
 });
+
+describe('Rivet dropdown cancelable events', function() {
+  it('Visits the dropdown page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/dropdown');
+  });
+
+  it('Should not open if dropdownBeforeOpen is canceled', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('dropdownBeforeOpen', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('dropdownBeforeOpen', cancel);
+      });
+    });
+
+    cy.get(DROPDOWN_TOGGLE)
+      .click()
+      .should('have.attr', 'aria-expanded', 'false');
+
+    cy.get(DROPDOWN_MENU).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should not close if dropdownBeforeClose is canceled', function() {
+    cy.get(DROPDOWN_TOGGLE).click();
+
+    cy.document().then(doc => {
+      doc.addEventListener('dropdownBeforeClose', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('dropdownBeforeClose', cancel);
+      });
+    });
+
+    cy.focused().trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(DROPDOWN_MENU).should('have.attr', 'aria-hidden', 'false');
+
+    cy.focused().trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(DROPDOWN_MENU).should('have.attr', 'aria-hidden', 'true');
+  });
+});
+
+describe('Rivet dropdown instances', function() {
+  it('Visits the dropdown page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/dropdown');
+  });
+
+  it('Should be able to get the instance with Rivet.get()', function() {
+    cy.window().then(win => {
+      const instance = win.Rivet.get('dropdown-navigation');
+
+      expect(instance.element.id).to.equal('dropdown-navigation');
+      expect(instance.isOpen()).to.equal(false);
+
+      instance.open();
+    });
+
+    cy.get(DROPDOWN_MENU).should('have.attr', 'aria-hidden', 'false');
+
+    cy.window().then(win => {
+      win.Rivet.get('dropdown-navigation').close();
+    });
+
+    cy.get(DROPDOWN_MENU).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should remove the instance when destroyed', function() {
+    cy.window().then(win => {
+      win.Dropdown.destroy();
+
+      expect(win.Rivet.get('dropdown-navigation')).to.equal(null);
+
+      win.Dropdown.init();
+
+      expect(win.Rivet.get('dropdown-navigation')).to.not.equal(null);
+    });
+  });
+});
+
+describe('Rivet dropdown checkable items', function() {
+  it('Visits the dropdown with buttons page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/dropdown--buttons');
+  });
+
+  it('Should check one radio item at a time', function() {
+    cy.get('[data-dropdown-toggle="dropdown-buttons"]').click();
+
+    cy.get('#dropdown-buttons [role="menuitemradio"]')
+      .first()
+      .click()
+      .should('have.attr', 'aria-checked', 'true');
+
+    cy.get('#dropdown-buttons [role="menuitemradio"][aria-checked="true"]')
+      .should('have.length', 1);
+  });
+
+  it('Should send the item and its value in dropdownSelect', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('dropdownSelect', function (event) {
+        doc.dropdownSelectDetail = event.detail;
+      });
+    });
+
+    cy.get('#dropdown-buttons [role="menuitemradio"]').last().click();
+
+    cy.document().then(doc => {
+      var detail = doc.dropdownSelectDetail;
+
+      assert.equal(detail.name(), 'dropdown-buttons');
+      assert.equal(detail.item.textContent.trim(), 'Notify contributors');
+      assert.equal(detail.value, true);
+    });
+  });
+});
+
+describe('Rivet dropdown submenus', function() {
+  it('Visits the dropdown with a submenu page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/dropdown--submenu');
+  });
+
+  it('Should open the submenu with the right arrow key', function() {
+    cy.get('[data-dropdown-toggle="dropdown-submenu"]').click();
+
+    cy.get('[data-dropdown-toggle="dropdown-submenu-export"]')
+      .focus()
+      .trigger('keydown', { keyCode: 39 });
+
+    cy.get('#dropdown-submenu-export')
+      .should('have.attr', 'aria-hidden', 'false');
+
+    cy.get('#dropdown-submenu')
+      .should('have.attr', 'aria-hidden', 'false');
+
+    cy.focused().should('contain', 'CSV');
+  });
+
+  it('Should close only the submenu with the left arrow key', function() {
+    cy.focused().trigger('keydown', { keyCode: 37 });
+
+    cy.get('#dropdown-submenu-export')
+      .should('have.attr', 'aria-hidden', 'true');
+
+    cy.get('#dropdown-submenu')
+      .should('have.attr', 'aria-hidden', 'false');
+
+    cy.focused().should('have.attr', 'data-dropdown-toggle', 'dropdown-submenu-export');
+  });
+
+  it('Should close every menu on an outside click', function() {
+    cy.get('[data-dropdown-toggle="dropdown-submenu-export"]').click();
+
+    cy.get('body').click('bottomRight');
+
+    cy.get('#dropdown-submenu-export')
+      .should('have.attr', 'aria-hidden', 'true');
+
+    cy.get('#dropdown-submenu')
+      .should('have.attr', 'aria-hidden', 'true');
+  });
+});
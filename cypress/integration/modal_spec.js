@@ -140,3 +140,233 @@ describe('Rivet modal interactions', function() {
     });
   });
 });
+
+const OUTER_MODAL_TOGGLE = '[data-modal-trigger="modal-stacked-outer"]';
+const OUTER_MODAL = '#modal-stacked-outer';
+const INNER_MODAL_TOGGLE = '[data-modal-trigger="modal-stacked-inner"]';
+const INNER_MODAL = '#modal-stacked-inner';
+
+describe('Rivet stacked modal interactions', function() {
+  it('Visits the stacked modal page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/modal--stacked');
+  });
+
+  it('Should be able to open a modal from inside another modal', function() {
+    cy.get(OUTER_MODAL_TOGGLE).click();
+
+    cy.get(INNER_MODAL_TOGGLE).click();
+
+    cy.get(OUTER_MODAL).should('have.attr', 'aria-hidden', 'false');
+
+    cy.get(INNER_MODAL).should('have.attr', 'aria-hidden', 'false');
+  });
+
+  it('Should only close the top-most modal with esc key', function() {
+    cy.get('body').trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(INNER_MODAL).should('have.attr', 'aria-hidden', 'true');
+
+    cy.get(OUTER_MODAL).should('have.attr', 'aria-hidden', 'false');
+
+    cy.get('body').should('have.class', 'rvt-modal-open');
+  });
+
+  it('Should return focus to the trigger inside the outer modal', function() {
+    cy.focused().should('have.attr', 'data-modal-trigger', 'modal-stacked-inner');
+  });
+
+  it('Should only close the top-most modal when clicking the background', function() {
+    cy.get(INNER_MODAL_TOGGLE).click();
+
+    cy.get(INNER_MODAL).click('topLeft');
+
+    cy.get(INNER_MODAL).should('have.attr', 'aria-hidden', 'true');
+
+    cy.get(OUTER_MODAL).should('have.attr', 'aria-hidden', 'false');
+  });
+
+  it('Should unlock scrolling after the last modal is closed', function() {
+    cy.get('[data-modal-close="modal-stacked-outer"]:first').click();
+
+    cy.get(OUTER_MODAL).should('have.attr', 'aria-hidden', 'true');
+
+    cy.get('body').should('not.have.class', 'rvt-modal-open');
+
+    cy.focused().should('have.attr', 'data-modal-trigger', 'modal-stacked-outer');
+  });
+});
+
+describe('Rivet modal confirm and prompt dialogs', function() {
+  it('Visits the modal page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/modal');
+  });
+
+  it('Should resolve .confirm() with the action that was chosen', function() {
+    cy.window().then(win => {
+      win.Modal.confirm({ title: 'Delete item', message: 'Are you sure?' })
+        .then(action => { win.confirmResult = action; });
+    });
+
+    cy.get('[data-modal-generated]')
+      .should('have.attr', 'aria-hidden', 'false')
+      .and('be.visible');
+
+    cy.get('[data-modal-action="confirm"]').click();
+
+    cy.window().its('confirmResult').should('equal', 'confirm');
+
+    cy.get('[data-modal-generated]').should('not.exist');
+
+    cy.get('body').should('not.have.class', 'rvt-modal-open');
+  });
+
+  it('Should resolve .confirm() with null when dismissed with esc key', function() {
+    cy.window().then(win => {
+      win.Modal.confirm({ title: 'Delete item' })
+        .then(action => { win.dismissResult = action; });
+    });
+
+    cy.get('body').trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.window().its('dismissResult').should('equal', null);
+  });
+
+  it('Should resolve .prompt() with the value that was entered', function() {
+    cy.window().then(win => {
+      win.Modal.prompt({ title: 'Rename item', label: 'Name' })
+        .then(value => { win.promptResult = value; });
+    });
+
+    cy.focused().type('New name{enter}');
+
+    cy.window().its('promptResult').should('equal', 'New name');
+
+    cy.get('[data-modal-generated]').should('not.exist');
+  });
+});
+
+describe('Rivet modal cancelable events', function() {
+  it('Visits the modal page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/modal');
+  });
+
+  it('Should not open if modalBeforeOpen is canceled', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('modalBeforeOpen', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('modalBeforeOpen', cancel);
+      });
+    });
+
+    cy.get(MODAL_TOGGLE).click();
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should not close if modalBeforeClose is canceled', function() {
+    cy.get(MODAL_TOGGLE).click();
+
+    cy.document().then(doc => {
+      doc.addEventListener('modalBeforeClose', function cancel(event) {
+        event.preventDefault();
+        doc.removeEventListener('modalBeforeClose', cancel);
+      });
+    });
+
+    cy.get('body').trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'false');
+
+    cy.get(MODAL_CLOSE).click();
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'true');
+  });
+});
+
+describe('Rivet modal event details', function() {
+  it('Visits the modal page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/modal');
+  });
+
+  it('Should send the modal, trigger and reason in event.detail', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('modalClose', function (event) {
+        doc.modalCloseDetail = event.detail;
+      });
+    });
+
+    cy.get(MODAL_TOGGLE).click();
+
+    cy.get('body').trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.document().then(doc => {
+      var detail = doc.modalCloseDetail;
+
+      assert.equal(detail.name(), 'modal-example');
+      assert.equal(detail.element, doc.getElementById('modal-example'));
+      assert.equal(detail.trigger, doc.querySelector(MODAL_TOGGLE));
+      assert.equal(detail.reason, 'escape');
+    });
+  });
+});
+
+describe('Rivet modal options', function() {
+  it('Visits the modal page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/modal');
+  });
+
+  it('Should read options from data-rvt-* attributes', function() {
+    cy.get(MODAL).then($modal => {
+      $modal[0].setAttribute('data-rvt-close-on-escape', 'false');
+    });
+
+    cy.window().then(win => {
+      win.Modal.init();
+
+      expect(win.Rivet.get('modal-example').options.closeOnEscape)
+        .to.equal(false);
+    });
+
+    cy.get(MODAL_TOGGLE).click();
+
+    cy.focused().trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'false');
+
+    cy.get(MODAL_CLOSE).click();
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should read options from JSON in data-rvt-options', function() {
+    cy.get(MODAL).then($modal => {
+      $modal[0].removeAttribute('data-rvt-close-on-escape');
+      $modal[0].setAttribute('data-rvt-options', '{"closeOnBackgroundClick": false}');
+    });
+
+    cy.window().then(win => {
+      win.Modal.init();
+    });
+
+    cy.get(MODAL_TOGGLE).click();
+
+    cy.get(MODAL).click('topLeft');
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'false');
+
+    cy.focused().trigger('keydown', { keyCode: ESC, which: ESC });
+
+    cy.get(MODAL).should('have.attr', 'aria-hidden', 'true');
+  });
+
+  it('Should merge options passed to init() with the defaults', function() {
+    cy.window().then(win => {
+      win.Modal.init(win.document, { returnFocus: false });
+
+      const options = win.Rivet.get('modal-example').options;
+
+      expect(options.returnFocus).to.equal(false);
+      expect(options.closeOnEscape).to.equal(true);
+    });
+  });
+});
@@ -83,3 +83,146 @@ describe('Rivet tabs interactions', function() {
       .and('have.attr', 'hidden');
   });
 });
+
+describe('Rivet vertical tabs', function() {
+  it('Visits the vertical tabs page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/tab--vertical');
+  });
+
+  it('Should move focus with the up and down arrows', function() {
+    cy.get(TAB_ONE_TOGGLE)
+      .focus()
+      .trigger('keydown', { keyCode: DOWN, which: DOWN });
+
+    cy.focused().should('contain', 'Tab two');
+
+    cy.focused().trigger('keydown', { keyCode: UP, which: UP });
+
+    cy.focused().should('contain', 'Tab one');
+  });
+
+  it('Should activate the focused tab with the enter key', function() {
+    cy.focused().trigger('keydown', { keyCode: DOWN, which: DOWN });
+
+    cy.focused().trigger('keydown', { keyCode: ENTER, which: ENTER });
+
+    cy.get(TAB_TWO_TOGGLE).should('have.attr', 'aria-selected', 'true');
+
+    cy.get(TAB_TWO_CONTENT).should('be.visible');
+  });
+});
+
+describe('Rivet tabs overflow menu', function() {
+  it('Visits the overflow tabs page on a narrow screen', function() {
+    cy.viewport(400, 800);
+    cy.visit(DEV_SERVER + '/components/preview/tab--overflow');
+  });
+
+  it('Should move tabs that do not fit into the "More" menu', function() {
+    cy.get('.rvt-tabs__more').should('be.visible');
+
+    cy.get('[data-tab="tab-8"]').should('have.attr', 'hidden');
+
+    cy.get('[data-tab-overflow="tab-8"]').should('exist');
+  });
+
+  it('Should activate a tab from the "More" menu', function() {
+    cy.get('.rvt-tabs__more-toggle').click();
+
+    cy.get('[data-tab-overflow="tab-8"]').click();
+
+    cy.get('[data-tab="tab-8"]')
+      .should('be.visible')
+      .and('have.attr', 'aria-selected', 'true');
+
+    cy.get('#tab-8').should('be.visible');
+  });
+
+  it('Should move the tabs back when the screen gets wider', function() {
+    cy.viewport(1600, 800);
+
+    cy.get('.rvt-tabs__more').should('not.be.visible');
+
+    cy.get('[data-tab="tab-1"]').should('be.visible');
+  });
+});
+
+describe('Rivet tabs event details', function() {
+  it('Visits the tabs page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/tab--default');
+  });
+
+  it('Should send the panel and previous tab in event.detail', function() {
+    cy.document().then(doc => {
+      doc.addEventListener('tabActivated', function (event) {
+        doc.tabActivatedDetail = event.detail;
+      });
+    });
+
+    cy.get(TAB_TWO_TOGGLE).click();
+
+    cy.document().then(doc => {
+      var detail = doc.tabActivatedDetail;
+
+      assert.equal(detail.name(), 'tab-2');
+      assert.equal(detail.element, doc.getElementById('tab-2'));
+      assert.equal(detail.trigger, doc.querySelector(TAB_TWO_TOGGLE));
+      assert.equal(detail.previousTab, doc.querySelector(TAB_ONE_TOGGLE));
+      assert.equal(detail.previousPanel, doc.getElementById('tab-1'));
+      assert.equal(detail.reason, 'click');
+    });
+  });
+});
+
+describe('Rivet observer mode', function() {
+  it('Visits the tabs page', function() {
+    cy.visit(DEV_SERVER + '/components/preview/tab');
+  });
+
+  it('Should normalize tabs that are added after initialization', function() {
+    cy.window().then(win => {
+      win.Rivet.observe();
+
+      const container = win.document.createElement('div');
+
+      container.innerHTML =
+        '<div id="observed-tabs">' +
+          '<button data-tab="observed-1">One</button>' +
+          '<button data-tab="observed-2">Two</button>' +
+        '</div>' +
+        '<div id="observed-1"></div>' +
+        '<div id="observed-2"></div>';
+
+      win.document.body.appendChild(container);
+    });
+
+    cy.get('[data-tab="observed-1"]')
+      .should('have.attr', 'aria-selected', 'true')
+      .and('have.attr', 'role', 'tab');
+
+    cy.get('[data-tab="observed-2"]')
+      .should('have.attr', 'aria-selected', 'false')
+      .and('have.attr', 'tabindex', '-1');
+
+    cy.get('#observed-2').should('have.attr', 'hidden');
+
+    cy.window().then(win => {
+      expect(win.Rivet.get('observed-tabs')).to.not.equal(null);
+    });
+  });
+
+  it('Should destroy instances for tabs that are removed', function() {
+    cy.window().then(win => {
+      const tabList = win.document.getElementById('observed-tabs');
+
+      tabList.parentNode.parentNode.removeChild(tabList.parentNode);
+
+      return new Cypress.Promise(resolve => setTimeout(resolve, 0))
+        .then(() => {
+          expect(win.Rivet.get(tabList)).to.equal(null);
+
+          win.Rivet.disconnect();
+        });
+    });
+  });
+});
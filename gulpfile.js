@@ -1,8 +1,9 @@
-const { dest, series, src, watch } = require("gulp");
+const { dest, parallel, series, src, watch } = require("gulp");
 const autoprefixer = require("autoprefixer");
 const cssnano = require("gulp-cssnano");
 const eslint = require("gulp-eslint");
 const concat = require("gulp-concat");
+const footer = require("gulp-footer");
 const header = require("gulp-header");
 const postcss = require("gulp-postcss");
 const pump = require("pump");
@@ -16,6 +17,8 @@ const uglify = require("gulp-uglify");
 
 const bannerPackage = require("./config/banner");
 const fractal = require("./fractal");
+const jsSources = require("./config/js-sources");
+const moduleWrappers = require("./config/module-wrappers");
 const package = require("./package.json");
 const sassBannerPackage = require("./config/sass-banner");
 
@@ -128,34 +131,68 @@ function lintJSBuild() {
     .pipe(eslint.failAfterError());
 }
 
+// Global build kept for backwards compatibility. Initializes everything.
 function concatJS() {
-  return src([
-    "src/js/polyfills/closest.js",
-    "src/js/polyfills/CustomEvent.js",
-    "src/js/utilities/fireCustomEvent.js",
-    "src/js/components/alert.js",
-    "src/js/components/drawer.js",
-    "src/js/components/dropdown.js",
-    "src/js/components/modal.js",
-    "src/js/components/tabs.js",
-    "src/js/components/fileInput.js",
-    "src/js/index.js"
-  ])
+  return src(
+    jsSources.polyfills.concat(jsSources.scripts, "src/js/namespace.js", "src/js/index.js")
+  )
     .pipe(concat("rivet.js"))
     .pipe(dest("./static/js"));
 }
 
+// Polyfills for the ES module and UMD builds, which don't include them
+function polyfillsJS() {
+  return src(jsSources.polyfills)
+    .pipe(concat("rivet.polyfills.js"))
+    .pipe(dest("./static/js"));
+}
+
+/**
+ * ES module build with named exports, one module per source file so that
+ * bundlers can leave out unused components. Doesn't initialize anything.
+ */
+const esmJS = parallel(moduleWrappers.esModules.map(esModule => {
+  function esmModuleJS() {
+    return src(esModule.source)
+      .pipe(header(moduleWrappers.esModuleHeader(esModule)))
+      .pipe(footer(moduleWrappers.esModuleFooter(esModule)))
+      .pipe(rename(esModule.file))
+      .pipe(dest("./static/js"));
+  }
+
+  esmModuleJS.displayName = `esmJS:${esModule.file}`;
+
+  return esmModuleJS;
+}));
+
+// UMD build that only exposes the Rivet namespace. Doesn't initialize anything.
+function umdJS() {
+  return src(jsSources.scripts.concat("src/js/namespace.js"))
+    .pipe(concat("rivet.umd.js"))
+    .pipe(header(moduleWrappers.umdHeader))
+    .pipe(footer(moduleWrappers.umdFooter))
+    .pipe(dest("./static/js"));
+}
+
+const compileJS = series(concatJS, polyfillsJS, esmJS, umdJS);
+
 function vendorJS() {
   return src("src/js/vendor.js").pipe(dest("./static/js"));
 }
 
 function watchJS(callback) {
-  watch("src/js/**/*.js", { ignoreInitial: false }, series(lintJSWatch, concatJS, vendorJS));
+  watch("src/js/**/*.js", { ignoreInitial: false }, series(lintJSWatch, compileJS, vendorJS));
   callback();
 }
 
 function distJS() {
-  return src("static/js/rivet.js").pipe(dest("./js"));
+  return src([
+    "static/js/rivet.js",
+    "static/js/rivet.polyfills.js",
+    "static/js/rivet.esm.js",
+    "static/js/esm/*.js",
+    "static/js/rivet.umd.js"
+  ], { base: "static/js" }).pipe(dest("./js"));
 }
 
 function headerJS(callback) {
@@ -167,12 +204,37 @@ function headerJS(callback) {
     .pipe(header(bannerPackage, { package: package }))
     .pipe(dest("./js/"));
 
+  src("./js/rivet.polyfills.js")
+    .pipe(header(bannerPackage, { package: package }))
+    .pipe(dest("./js/"));
+
+  src("./js/rivet.esm.js")
+    .pipe(header(bannerPackage, { package: package }))
+    .pipe(dest("./js/"));
+
+  src("./js/esm/*.js")
+    .pipe(header(bannerPackage, { package: package }))
+    .pipe(dest("./js/esm/"));
+
+  src("./js/rivet.umd.js")
+    .pipe(header(bannerPackage, { package: package }))
+    .pipe(dest("./js/"));
+
+  src("./js/rivet.umd.min.js")
+    .pipe(header(bannerPackage, { package: package }))
+    .pipe(dest("./js/"));
+
   callback();
 }
 
 function minifyJS(callback) {
   pump(
-    [src("./js/rivet.js"), uglify(), rename({ suffix: ".min" }), dest("./js")],
+    [
+      src(["./js/rivet.js", "./js/rivet.umd.js"]),
+      uglify(),
+      rename({ suffix: ".min" }),
+      dest("./js")
+    ],
     callback
   );
 }
@@ -234,7 +296,7 @@ exports.release = series(
   lintSassBuild,
   compileSass,
   lintJSBuild,
-  concatJS,
+  compileJS,
   compileCSS,
   prefixReleaseCSS,
   headerCSS,
@@ -251,7 +313,7 @@ exports.build = series(
   lintSassBuild,
   compileSass,
   lintJSBuild,
-  concatJS,
+  compileJS,
   vendorJS,
   fractalBuild,
   prefixFractalCSS
@@ -262,7 +324,7 @@ exports.fractalBuild = fractalBuild;
 exports.headless = series(compileSass,
   lintSassWatch,
   lintJSWatch,
-  concatJS,
+  compileJS,
   fractalHeadless,
   watchSass,
   watchJS
@@ -272,7 +334,7 @@ exports.default = series(
   compileSass,
   lintSassWatch,
   lintJSWatch,
-  concatJS,
+  compileJS,
   fractalStart,
   watchSass,
   watchJS
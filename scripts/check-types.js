@@ -0,0 +1,160 @@
+/**
+ * Verifies the TypeScript declarations in /types against the JavaScript
+ * source. Loads the components in jsdom and makes sure every public
+ * method is declared with the same number of parameters (and nothing is
+ * declared that doesn't exist), and that every custom event the
+ * components emit is in the DocumentEventMap augmentation.
+ *
+ * Run with "npm run test:types".
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const ts = require("typescript");
+
+const jsSources = require("../config/js-sources");
+
+const root = path.join(__dirname, "..");
+const errors = [];
+
+/**
+ * Source
+ */
+
+const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+  runScripts: "outside-only"
+});
+
+jsSources.scripts.concat("src/js/namespace.js").forEach(file => {
+  dom.window.eval(fs.readFileSync(path.join(root, file), "utf8"));
+});
+
+const runtime = {
+  namespace: dom.window.Rivet,
+  registry: dom.window.RivetRegistry
+};
+
+const emittedEvents = new Set();
+
+jsSources.scripts.forEach(file => {
+  const source = fs.readFileSync(path.join(root, file), "utf8");
+  const pattern = /fireCustomEvent\([^,]+,[^,]+,\s*'(\w+)'/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    emittedEvents.add(match[1]);
+  }
+});
+
+/**
+ * Declarations
+ */
+
+const configPath = path.join(root, "types", "tsconfig.json");
+const config = ts.getParsedCommandLineOfConfigFile(configPath, {}, ts.sys);
+const program = ts.createProgram(config.fileNames, config.options);
+const checker = program.getTypeChecker();
+
+function getModuleExports(fileName) {
+  const sourceFile = program.getSourceFile(path.join(root, "types", fileName));
+
+  return checker.getExportsOfModule(checker.getSymbolAtLocation(sourceFile));
+}
+
+function getInterface(fileName, name) {
+  const symbol = getModuleExports(fileName).find(item => item.name === name);
+
+  return checker.getDeclaredTypeOfSymbol(symbol);
+}
+
+/**
+ * The largest number of parameters in any of a method's overloads. Rest
+ * parameters aren't counted, the same as Function.length.
+ */
+function getParameterCount(symbol) {
+  const type = checker.getTypeOfSymbolAtLocation(symbol, symbol.declarations[0]);
+
+  return Math.max.apply(
+    null,
+    type.getCallSignatures().map(signature =>
+      signature.getDeclaration().parameters
+        .filter(parameter => !parameter.dotDotDotToken).length
+    )
+  );
+}
+
+function compare(name, declaredType, implementation) {
+  const declared = {};
+
+  declaredType.getProperties().forEach(symbol => {
+    declared[symbol.name] = symbol;
+  });
+
+  Object.keys(implementation).forEach(key => {
+    if (typeof implementation[key] !== "function") return;
+
+    if (!declared[key]) {
+      errors.push(`${name}.${key}() is not declared`);
+      return;
+    }
+
+    const count = getParameterCount(declared[key]);
+
+    if (count !== implementation[key].length) {
+      errors.push(
+        `${name}.${key}() is declared with ${count} parameter(s) but the ` +
+        `source has ${implementation[key].length}`
+      );
+    }
+  });
+
+  Object.keys(declared).forEach(key => {
+    if (!(key in implementation)) {
+      errors.push(`${name}.${key} is declared but doesn't exist in the source`);
+    }
+  });
+}
+
+const namespaceType = getInterface("index.d.ts", "RivetNamespace");
+
+["Alert", "Combobox", "Drawer", "Dropdown", "FileInput", "Modal", "Tabs"].forEach(name => {
+  const symbol = namespaceType.getProperty(name);
+  const type = checker.getTypeOfSymbolAtLocation(symbol, symbol.declarations[0]);
+
+  compare(name, type, runtime.namespace[name]);
+});
+
+compare("Rivet", namespaceType, runtime.namespace);
+compare("RivetRegistry", getInterface("rivet.d.ts", "RivetRegistry"), runtime.registry);
+
+// Events declared in the DocumentEventMap augmentation in events.d.ts
+const eventsFile = program.getSourceFile(path.join(root, "types", "events.d.ts"));
+const declaredEvents = new Set();
+
+eventsFile.forEachChild(function visit(node) {
+  if (ts.isInterfaceDeclaration(node) && node.name.text === "DocumentEventMap") {
+    node.members.forEach(member => declaredEvents.add(member.name.text));
+  }
+
+  ts.forEachChild(node, visit);
+});
+
+emittedEvents.forEach(event => {
+  if (!declaredEvents.has(event)) {
+    errors.push(`The "${event}" event is not declared in DocumentEventMap`);
+  }
+});
+
+declaredEvents.forEach(event => {
+  if (!emittedEvents.has(event)) {
+    errors.push(`The "${event}" event is declared but never emitted`);
+  }
+});
+
+if (errors.length) {
+  errors.forEach(error => console.error(error));
+  process.exit(1);
+}
+
+console.log("Type declarations match the source.");
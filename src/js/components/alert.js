@@ -15,6 +15,203 @@ var Alert = (function() {
    */
   var SELECTORS = '[data-alert-close], .rvt-alert__dismiss';
 
+  var ALERT_SELECTOR = '.rvt-alert';
+
+  // Alert types supported by create(). The first one is the default.
+  var TYPES = ['info', 'success', 'warning', 'danger'];
+
+  // Corners of the screen the toast region can go in. The first one is the default.
+  var POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+
+  // The container create() adds alerts to when no container is given
+  var TOAST_REGION_CLASS = 'rvt-alert-toasts';
+
+  /**
+   * Icons for the inline and standalone alert variants. These are the
+   * same as the ones in the inline alert markup.
+   */
+  var ICONS = {
+    info: '<path d="M8,16a8,8,0,1,1,8-8A8,8,0,0,1,8,16ZM8,2a6,6,0,1,0,6,6A6,6,0,0,0,8,2Z"/>' +
+      '<path d="M8,12a1,1,0,0,1-1-1V8A1,1,0,0,1,9,8v3A1,1,0,0,1,8,12Z"/>' +
+      '<circle cx="8" cy="5" r="1"/>',
+    success: '<path d="M10.2,5.4,7.1,9.53,5.67,8.25a1,1,0,1,0-1.34,1.5l2.05,1.82a1.29,1.29,0,0,0,.83.32h.12a1.23,1.23,0,0,0,.88-.49L11.8,6.6a1,1,0,1,0-1.6-1.2Z"/>' +
+      '<path d="M8,0a8,8,0,1,0,8,8A8,8,0,0,0,8,0ZM8,14a6,6,0,1,1,6-6A6,6,0,0,1,8,14Z"/>',
+    warning: '<path d="M11,9H5A1,1,0,0,1,5,7h6a1,1,0,0,1,0,2Z"/>' +
+      '<path d="M8,16a8,8,0,1,1,8-8A8,8,0,0,1,8,16ZM8,2a6,6,0,1,0,6,6A6,6,0,0,0,8,2Z"/>',
+    danger: '<path d="M8,0a8,8,0,1,0,8,8A8,8,0,0,0,8,0ZM8,14a6,6,0,1,1,6-6A6,6,0,0,1,8,14Z"/>' +
+      '<path d="M10.83,5.17a1,1,0,0,0-1.41,0L8,6.59,6.59,5.17A1,1,0,0,0,5.17,6.59L6.59,8,5.17,9.41a1,1,0,1,0,1.41,1.41L8,9.41l1.41,1.41a1,1,0,0,0,1.41-1.41L9.41,8l1.41-1.41A1,1,0,0,0,10.83,5.17Z"/>'
+  };
+
+  /**
+   * Default options. These can be overridden for every alert by passing
+   * options to init(), or for a single alert with data-rvt-* attributes
+   * or JSON in a data-rvt-options attribute, e.g.
+   * data-rvt-remove-on-dismiss="false".
+   */
+  var DEFAULTS = {
+    /**
+     * Remove the alert from the DOM when it's dismissed. If false the
+     * alert is hidden with the hidden attribute instead.
+     */
+    removeOnDismiss: true
+  };
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
+
+  /**
+   * Keeps track of every alert instance that has been created.
+   */
+  var instances = [];
+
+  /**
+   * Creates an object that holds the state of a single alert and the
+   * methods used to dismiss and destroy it. Instances are stored on the
+   * alert element and can be retrieved with Rivet.get(alert).
+   * @param {HTMLElement} element - The alert element
+   * @returns {Object} - The alert instance
+   */
+  function _createInstance(element) {
+    var instance = {
+      element: element,
+      // eslint-disable-next-line no-undef
+      options: RivetRegistry.getOptions(element, defaultOptions)
+    };
+
+    // The auto-dismiss timer started by startTimer(), if any
+    var timer = null;
+
+    // Milliseconds left before the alert is dismissed, or null
+    var remaining = null;
+
+    var startedAt = 0;
+
+    var hovered = false;
+
+    /**
+     * Dismisses the alert after a delay. The countdown is paused while
+     * the alert is hovered or has focus, so that people have time to read
+     * it and use its buttons.
+     * @param {Number} duration - Milliseconds
+     */
+    function startTimer(duration) {
+      stopTimer();
+
+      remaining = duration;
+
+      element.addEventListener('mouseenter', handleMouseEnter, false);
+      element.addEventListener('mouseleave', handleMouseLeave, false);
+      element.addEventListener('focus', pauseTimer, true);
+      element.addEventListener('blur', handleBlur, true);
+
+      resumeTimer();
+    }
+
+    function pauseTimer() {
+      if (timer === null) return;
+
+      clearTimeout(timer);
+
+      timer = null;
+
+      remaining -= Date.now() - startedAt;
+    }
+
+    function resumeTimer() {
+      if (timer !== null || remaining === null) return;
+
+      startedAt = Date.now();
+
+      timer = setTimeout(function() {
+        dismissInstance();
+      }, Math.max(remaining, 0));
+    }
+
+    /**
+     * Clears the timer and removes the listeners added by startTimer()
+     */
+    function stopTimer() {
+      clearTimeout(timer);
+
+      timer = null;
+      remaining = null;
+
+      element.removeEventListener('mouseenter', handleMouseEnter, false);
+      element.removeEventListener('mouseleave', handleMouseLeave, false);
+      element.removeEventListener('focus', pauseTimer, true);
+      element.removeEventListener('blur', handleBlur, true);
+    }
+
+    function handleMouseEnter() {
+      hovered = true;
+
+      pauseTimer();
+    }
+
+    function handleMouseLeave() {
+      hovered = false;
+
+      if (!element.contains(document.activeElement)) resumeTimer();
+    }
+
+    function handleBlur(event) {
+      if (!hovered && !element.contains(event.relatedTarget)) resumeTimer();
+    }
+
+    /**
+     * Removes (or hides) the alert and destroys the instance.
+     * @param {Function} callback
+     */
+    function dismissInstance(callback) {
+      destroyInstance();
+
+      if (!instance.options.removeOnDismiss) {
+        element.setAttribute('hidden', 'hidden');
+      } else if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback();
+      }
+    }
+
+    /**
+     * Removes the instance without dismissing the alert.
+     */
+    function destroyInstance() {
+      stopTimer();
+
+      var index = instances.indexOf(instance);
+
+      if (index !== -1) instances.splice(index, 1);
+
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(element);
+    }
+
+    instance.dismiss = dismissInstance;
+    instance.destroy = destroyInstance;
+    instance.startTimer = startTimer;
+
+    instances.push(instance);
+
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(element, instance);
+
+    return instance;
+  }
+
+  /**
+   * @param {HTMLElement} element - An alert element
+   * @returns {Object} - The alert's instance, which is created if it
+   * doesn't exist yet.
+   */
+  function _getInstance(element) {
+    // eslint-disable-next-line no-undef
+    return RivetRegistry.get(element) || _createInstance(element);
+  }
+
   /**
    * Kicks off the Alert component and sets up all event listeners
    *
@@ -22,17 +219,35 @@ var Alert = (function() {
    * alert can be initialized on. All event listeners will be attached
    * to this element. Usually best to just leave it to default
    * to the document.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every alert in the context. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     // Optional element to bind the event listeners to
     if (context === undefined) {
       context = document;
     }
 
-    // Destroy any currently initialized alerts
-    destroy(context);
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
+    // Add the toast regions now so the first toast is announced
+    POSITIONS.forEach(_getToastRegion);
+
+    // Remove any event listeners from a previous initialization
+    document.removeEventListener('click', _handleClick, false);
 
     document.addEventListener('click', _handleClick, false);
+
+    /**
+     * Create an instance for each alert that doesn't have one yet and
+     * update the options of the ones that do.
+     */
+    Array.prototype.slice.call(context.querySelectorAll(ALERT_SELECTOR))
+      .forEach(function(element) {
+        // eslint-disable-next-line no-undef
+        _getInstance(element).options = RivetRegistry.getOptions(element, defaultOptions);
+      });
   }
 
   /**
@@ -49,6 +264,13 @@ var Alert = (function() {
       context = document;
     }
 
+    // Destroy any alert instances inside of the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+
     document.removeEventListener('click', _handleClick, false);
   }
 
@@ -105,16 +327,200 @@ var Alert = (function() {
       );
     }
 
-    alert.parentNode.removeChild(alert);
+    _getInstance(alert).dismiss(callback);
+  }
 
-    if (callback && typeof callback === 'function') {
-      callback();
+  /**
+   * Used to create unique ids for alerts generated by create()
+   */
+  var generatedCount = 0;
+
+  /**
+   * Builds the markup for a page-level alert (.rvt-alert). The title and
+   * message are added as text, so they are safe to use with user input.
+   * @param {String} id - The alert's id attribute
+   * @param {String} type - One of TYPES
+   * @param {Object} options - See create()
+   * @returns {HTMLElement}
+   */
+  function _buildAlert(id, type, options) {
+    var alert = document.createElement('div');
+    alert.className = 'rvt-alert rvt-alert--' + type;
+
+    if (options.title) {
+      var title = document.createElement('h1');
+      title.className = 'rvt-alert__title';
+      title.id = id + '-title';
+      title.textContent = options.title;
+
+      alert.appendChild(title);
+      alert.setAttribute('aria-labelledby', title.id);
+    }
+
+    if (options.message) {
+      var message = document.createElement('p');
+      message.className = 'rvt-alert__message';
+      message.textContent = options.message;
+
+      alert.appendChild(message);
+    }
+
+    if (options.dismissible !== false) {
+      var dismissButton = document.createElement('button');
+      dismissButton.className = 'rvt-alert__dismiss';
+      dismissButton.setAttribute('type', 'button');
+      dismissButton.setAttribute('data-alert-close', '');
+      dismissButton.innerHTML =
+        '<span class="rvt-sr-only">Dismiss this alert</span>' +
+        '<svg role="img" alt="" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">' +
+        '<path fill="currentColor" d="M9.41,8l5.29-5.29a1,1,0,0,0-1.41-1.41L8,6.59,2.71,1.29A1,1,0,0,0,1.29,2.71L6.59,8,1.29,13.29a1,1,0,1,0,1.41,1.41L8,9.41l5.29,5.29a1,1,0,0,0,1.41-1.41Z"/>' +
+        '</svg>';
+
+      alert.appendChild(dismissButton);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Builds the markup for an inline alert (.rvt-inline-alert), which has
+   * an icon and a message but no title or dismiss button.
+   * @param {String} type - One of TYPES
+   * @param {Object} options - See create()
+   * @returns {HTMLElement}
+   */
+  function _buildInlineAlert(type, options) {
+    var alert = document.createElement('div');
+    alert.className = 'rvt-inline-alert rvt-inline-alert--' + type;
+
+    if (options.variant === 'standalone') {
+      alert.classList.add('rvt-inline-alert--standalone');
     }
+
+    var icon = document.createElement('span');
+    icon.className = 'rvt-inline-alert__icon';
+    icon.innerHTML =
+      '<svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">' +
+      '<g fill="currentColor">' + ICONS[type] + '</g>' +
+      '</svg>';
+
+    var message = document.createElement('span');
+    message.className = 'rvt-inline-alert__message';
+    message.textContent = options.message || options.title || '';
+
+    alert.appendChild(icon);
+    alert.appendChild(message);
+
+    return alert;
+  }
+
+  /**
+   * Toasts are announced by the live region they're added to. Screen
+   * readers only pick up changes to live regions that were already on
+   * the page, so init() adds the regions before any toasts are created.
+   * @param {String} position - One of POSITIONS
+   * @returns {HTMLElement} - The toast region in that corner of the
+   * screen, which is added to the body if it isn't there yet.
+   */
+  function _getToastRegion(position) {
+    var className = TOAST_REGION_CLASS + '--' + position;
+
+    var region = document.querySelector('.' + className);
+
+    if (region) return region;
+
+    region = document.createElement('div');
+    region.className = TOAST_REGION_CLASS + ' ' + className;
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-relevant', 'additions');
+
+    document.body.appendChild(region);
+
+    return region;
+  }
+
+  /**
+   * Creates an alert and adds it to the page, e.g. to let people know
+   * that their changes were saved after an AJAX request.
+   *
+   * @param {Object} options
+   * @param {String} options.type - "info" (the default), "success",
+   * "warning" or "danger"
+   * @param {String} options.title - An optional title
+   * @param {String} options.message - The alert's message
+   * @param {Boolean} options.dismissible - Add a button that dismisses
+   * the alert. Defaults to true. Inline alerts never have one.
+   * @param {Number} options.timeout - Optional. Dismiss the alert
+   * automatically after this many milliseconds. The countdown is paused
+   * while the alert is hovered or has focus.
+   * @param {HTMLElement|String} options.container - Optional. The element,
+   * or id of the element, to add the alert to. If it's left out the alert
+   * is shown as a toast in a corner of the screen. Toasts are only sure
+   * to be announced by screen readers once init() has been called.
+   * @param {String} options.position - The corner of the screen toasts are
+   * stacked in: "top-right" (the default), "top-left", "bottom-right" or
+   * "bottom-left"
+   * @param {String} options.variant - Optional. "inline" or "standalone"
+   * builds an inline alert (.rvt-inline-alert) instead of a page-level one.
+   * @returns {String} - The id of the new alert, which can be passed to
+   * dismiss()
+   */
+  function create(options) {
+    options = options || {};
+
+    var type = TYPES.indexOf(options.type) !== -1 ? options.type : TYPES[0];
+
+    generatedCount++;
+
+    var id = 'rvt-alert-generated-' + generatedCount;
+
+    var alert = options.variant === 'inline' || options.variant === 'standalone' ?
+      _buildInlineAlert(type, options) :
+      _buildAlert(id, type, options);
+
+    alert.id = id;
+
+    var container = typeof options.container === 'string' ?
+      document.getElementById(options.container) :
+      options.container;
+
+    var isToast = !container;
+
+    if (isToast) {
+      if (options.container) {
+        throw new Error('Could not find the container to add the alert to.');
+      }
+
+      container = _getToastRegion(
+        POSITIONS.indexOf(options.position) !== -1 ? options.position : POSITIONS[0]
+      );
+    }
+
+    /**
+     * Errors and warnings interrupt screen readers, other alerts don't.
+     * The toast region already announces toasts politely.
+     */
+    if (type === 'danger' || type === 'warning') {
+      alert.setAttribute('role', 'alert');
+    } else if (!isToast) {
+      alert.setAttribute('role', 'status');
+    }
+
+    container.appendChild(alert);
+
+    var instance = _getInstance(alert);
+
+    if (options.timeout > 0) {
+      instance.startTimer(options.timeout);
+    }
+
+    return id;
   }
 
   return {
     init: init,
     destroy: destroy,
-    dismiss: dismissAlert
+    dismiss: dismissAlert,
+    create: create
   };
 })();
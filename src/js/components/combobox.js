@@ -0,0 +1,848 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * A text input with a list of suggestions, following the ARIA 1.2
+ * combobox pattern. Focus stays in the input while the arrow keys move
+ * through the options with aria-activedescendant. Options can be written
+ * in the markup, in which case they're filtered as you type, or loaded
+ * with the source option.
+ */
+// eslint-disable-next-line no-unused-vars
+var Combobox = (function() {
+  'use strict';
+
+  /**
+   * Global references
+   */
+
+  // Keeps track of every combobox instance that has been created.
+  var instances = [];
+
+  /**
+   * Global constants
+   */
+
+  // For easy reference
+  var KEYS = {
+    up: 38,
+    down: 40,
+    enter: 13,
+    escape: 27
+  };
+
+  // Goes on the wrapper. Its value is the id of the text input.
+  var COMBOBOX_ATTR = 'data-combobox';
+
+  var LISTBOX_SELECTOR = '.rvt-combobox__listbox';
+
+  var OPTION_SELECTOR = '[role="option"]';
+
+  var OPTION_CLASS = 'rvt-combobox__option';
+
+  // The option that aria-activedescendant points to
+  var ACTIVE_CLASS = 'rvt-combobox__option--active';
+
+  var NO_RESULTS_CLASS = 'rvt-combobox__no-results';
+
+  var STATUS_CLASS = 'rvt-combobox__status';
+
+  // Added to the input by validate() when the requireSelection option is on
+  var INVALID_CLASS = 'rvt-validation-danger';
+
+  /**
+   * Default options. These can be overridden for every combobox by
+   * passing options to init(), or for a single combobox with data-rvt-*
+   * attributes or JSON in a data-rvt-options attribute on the input, e.g.
+   * data-rvt-min-length="2".
+   */
+  var DEFAULTS = {
+    /**
+     * Loads the suggestions for what's been typed. Called with the text
+     * and the input, and returns (or resolves with) an Array of strings
+     * or { label, value } objects. When this isn't set the options in the
+     * markup are filtered instead.
+     */
+    source: null,
+    // How long to wait after the last keystroke before calling source (ms)
+    debounce: 300,
+    // How many characters need to be typed before suggestions are shown
+    minLength: 1,
+    // Shown when nothing matches what's been typed
+    noResultsText: 'No results',
+    /**
+     * Read by screen readers when suggestions are shown. {count} is
+     * replaced with the number of options.
+     */
+    resultsText: '{count} results available',
+    /**
+     * Mark the input as invalid with the rvt-validation-danger class and
+     * aria-invalid when it's left with text that wasn't picked from the
+     * options.
+     */
+    requireSelection: false
+  };
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {String} - The text shown for the option
+   */
+  function _getLabel(option) {
+    return option.textContent.trim();
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {String} - The option's data-value, or its label if it
+   * doesn't have one
+   */
+  function _getValue(option) {
+    return option.hasAttribute('data-value') ?
+      option.getAttribute('data-value') :
+      _getLabel(option);
+  }
+
+  /**
+   * Creates an object that holds the state of a single combobox and the
+   * methods used to search, open, close and select its options.
+   * Instances are stored on the input element and can be retrieved with
+   * Rivet.get(input).
+   * @param {HTMLInputElement} input - The combobox's text input
+   * @returns {Object} - The combobox instance
+   */
+  function _createInstance(input) {
+    var instance = {
+      element: input,
+      // eslint-disable-next-line no-undef
+      options: RivetRegistry.getOptions(input, defaultOptions)
+    };
+
+    // The label of the option that was last selected
+    var selectedLabel = null;
+
+    var debounceTimer = null;
+
+    /**
+     * Incremented for every call to the source option so that responses
+     * that arrive after a newer search (or after closing) are ignored.
+     */
+    var requestCount = 0;
+
+    /**
+     * @returns {HTMLElement} - The listbox the input controls
+     */
+    function getListbox() {
+      return document.getElementById(input.getAttribute('aria-controls'));
+    }
+
+    /**
+     * @returns {Boolean} - true if the listbox is showing
+     */
+    function isOpen() {
+      return input.getAttribute('aria-expanded') === 'true';
+    }
+
+    /**
+     * @returns {Array} - The options that match what's been typed
+     */
+    function getResults() {
+      var listbox = getListbox();
+
+      if (!listbox) return [];
+
+      return Array.prototype.slice.call(listbox.querySelectorAll(OPTION_SELECTOR))
+        .filter(function(option) {
+          return !option.hidden;
+        });
+    }
+
+    /**
+     * @returns {HTMLElement} - The option aria-activedescendant points to,
+     * or null
+     */
+    function getActive() {
+      var id = input.getAttribute('aria-activedescendant');
+
+      return id ? document.getElementById(id) : null;
+    }
+
+    /**
+     * Shows the listbox. Use search() to update its options first.
+     */
+    function open() {
+      var listbox = getListbox();
+
+      if (!listbox) return;
+
+      input.setAttribute('aria-expanded', 'true');
+      listbox.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * Hides the listbox and cancels any search that is still waiting
+     * for the source option.
+     */
+    function close() {
+      clearTimeout(debounceTimer);
+
+      requestCount++;
+
+      var listbox = getListbox();
+
+      setActive(null);
+
+      input.setAttribute('aria-expanded', 'false');
+
+      if (listbox) {
+        listbox.setAttribute('aria-hidden', 'true');
+        listbox.removeAttribute('aria-busy');
+      }
+    }
+
+    /**
+     * Points aria-activedescendant at the option and scrolls it into view.
+     * @param {HTMLElement} option - An option, or null to clear it
+     */
+    function setActive(option) {
+      var active = getActive();
+
+      if (active) active.classList.remove(ACTIVE_CLASS);
+
+      if (!option) {
+        input.removeAttribute('aria-activedescendant');
+
+        return;
+      }
+
+      option.classList.add(ACTIVE_CLASS);
+
+      input.setAttribute('aria-activedescendant', option.id);
+
+      var listbox = getListbox();
+
+      if (option.offsetTop < listbox.scrollTop) {
+        listbox.scrollTop = option.offsetTop;
+      } else if (option.offsetTop + option.offsetHeight > listbox.scrollTop + listbox.clientHeight) {
+        listbox.scrollTop = option.offsetTop + option.offsetHeight - listbox.clientHeight;
+      }
+    }
+
+    /**
+     * Moves the active option up or down, wrapping around at the ends.
+     * @param {String} direction - "next" or "previous"
+     */
+    function move(direction) {
+      var results = getResults();
+
+      if (!results.length) return;
+
+      var index = results.indexOf(getActive());
+
+      if (direction === 'next') {
+        index = index === results.length - 1 ? 0 : index + 1;
+      } else {
+        index = index <= 0 ? results.length - 1 : index - 1;
+      }
+
+      setActive(results[index]);
+    }
+
+    /**
+     * Shows the options that match the text, or all of them if it's
+     * empty. The source option is called after the debounce delay, and
+     * the markup options are filtered right away.
+     * @param {String} text
+     */
+    function search(text) {
+      clearTimeout(debounceTimer);
+
+      var listbox = getListbox();
+
+      if (!listbox) return;
+
+      if (typeof instance.options.source !== 'function') {
+        var query = text.trim().toLowerCase();
+
+        Array.prototype.forEach.call(listbox.querySelectorAll(OPTION_SELECTOR), function(option) {
+          option.hidden = _getLabel(option).toLowerCase().indexOf(query) === -1;
+        });
+
+        _showResults();
+
+        return;
+      }
+
+      debounceTimer = setTimeout(function() {
+        var request = ++requestCount;
+
+        listbox.setAttribute('aria-busy', 'true');
+
+        // eslint-disable-next-line no-undef
+        Promise.resolve(instance.options.source(text, input))
+          .then(function(results) {
+            if (request !== requestCount) return;
+
+            _renderOptions(results || []);
+          }, function() {
+            // Treat a failed request as one without any results
+            if (request !== requestCount) return;
+
+            _renderOptions([]);
+          });
+      }, instance.options.debounce);
+    }
+
+    /**
+     * Replaces the options in the listbox with the ones from the source
+     * option and shows them.
+     * @param {Array} results - Strings or { label, value } objects
+     */
+    function _renderOptions(results) {
+      var listbox = getListbox();
+
+      listbox.removeAttribute('aria-busy');
+
+      Array.prototype.forEach.call(listbox.querySelectorAll(OPTION_SELECTOR), function(option) {
+        listbox.removeChild(option);
+      });
+
+      results.forEach(function(result, index) {
+        var option = document.createElement('li');
+
+        var label = typeof result === 'string' ? result : result.label;
+
+        option.id = listbox.id + '-option-' + index;
+        option.className = OPTION_CLASS;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(label === selectedLabel));
+        option.textContent = label;
+
+        if (typeof result !== 'string' && result.value !== undefined) {
+          option.setAttribute('data-value', result.value);
+        }
+
+        listbox.appendChild(option);
+      });
+
+      _showResults();
+    }
+
+    /**
+     * Opens the listbox, or shows the "no results" message in it, and
+     * lets screen reader users know how many options there are.
+     */
+    function _showResults() {
+      var listbox = getListbox();
+
+      var count = getResults().length;
+
+      var noResults = listbox.querySelector('.' + NO_RESULTS_CLASS);
+
+      if (!noResults) {
+        noResults = document.createElement('li');
+        noResults.className = NO_RESULTS_CLASS;
+        // The status message below is read instead
+        noResults.setAttribute('aria-hidden', 'true');
+
+        listbox.appendChild(noResults);
+      }
+
+      noResults.textContent = instance.options.noResultsText;
+      noResults.hidden = count > 0;
+
+      _getStatus().textContent = count > 0 ?
+        instance.options.resultsText.replace('{count}', count) :
+        instance.options.noResultsText;
+
+      setActive(null);
+
+      open();
+    }
+
+    /**
+     * @returns {HTMLElement} - A live region used to announce the number
+     * of results. It's created the first time it's needed.
+     */
+    function _getStatus() {
+      var wrapper = input.closest('[' + COMBOBOX_ATTR + ']') || input.parentNode;
+
+      var status = wrapper.querySelector('.' + STATUS_CLASS);
+
+      if (!status) {
+        status = document.createElement('div');
+        status.className = STATUS_CLASS + ' rvt-sr-only';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+
+        wrapper.appendChild(status);
+      }
+
+      return status;
+    }
+
+    /**
+     * Fills in the input with the option's label, marks the option as
+     * selected, closes the listbox and emits a 'comboboxSelect' event.
+     * @param {HTMLElement} option
+     * @param {String} reason - Optional. Sent along in event.detail.reason.
+     * Defaults to "api".
+     * @returns {String} - The option's value, or null if it's disabled
+     */
+    function select(option, reason) {
+      if (!option || option.getAttribute('aria-disabled') === 'true') return null;
+
+      var value = _getValue(option);
+
+      selectedLabel = _getLabel(option);
+
+      input.value = selectedLabel;
+
+      getResults().forEach(function(other) {
+        other.setAttribute('aria-selected', String(other === option));
+      });
+
+      close();
+
+      if (instance.options.requireSelection) validate();
+
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(input.closest('[' + COMBOBOX_ATTR + ']') || input, COMBOBOX_ATTR, 'comboboxSelect', {
+        detail: {
+          element: input,
+          trigger: option,
+          option: option,
+          value: value,
+          reason: reason || 'api'
+        }
+      });
+
+      return value;
+    }
+
+    /**
+     * With the requireSelection option on, marks the input as invalid if
+     * it has text that wasn't picked from the options.
+     * @returns {Boolean} - false if the input is invalid
+     */
+    function validate() {
+      if (!instance.options.requireSelection) return true;
+
+      var valid = input.value === '' || input.value === selectedLabel;
+
+      if (valid) {
+        input.classList.remove(INVALID_CLASS);
+        input.removeAttribute('aria-invalid');
+      } else {
+        input.classList.add(INVALID_CLASS);
+        input.setAttribute('aria-invalid', 'true');
+      }
+
+      return valid;
+    }
+
+    /**
+     * Removes the instance. The listbox is hidden and the status message
+     * removed.
+     */
+    function destroyInstance() {
+      close();
+
+      var wrapper = input.closest('[' + COMBOBOX_ATTR + ']') || input.parentNode;
+
+      var status = wrapper ? wrapper.querySelector('.' + STATUS_CLASS) : null;
+
+      if (status) status.parentNode.removeChild(status);
+
+      instances.splice(instances.indexOf(instance), 1);
+
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(input);
+    }
+
+    instance.getListbox = getListbox;
+    instance.isOpen = isOpen;
+    instance.getResults = getResults;
+    instance.getActive = getActive;
+    instance.open = open;
+    instance.close = close;
+    instance.setActive = setActive;
+    instance.move = move;
+    instance.search = search;
+    instance.select = select;
+    instance.validate = validate;
+    instance.destroy = destroyInstance;
+
+    // Remember an option that was selected in the markup
+    var listbox = getListbox();
+
+    var selected = listbox ? listbox.querySelector('[aria-selected="true"]') : null;
+
+    if (selected) selectedLabel = _getLabel(selected);
+
+    instances.push(instance);
+
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(input, instance);
+
+    return instance;
+  }
+
+  /**
+   * @param {HTMLElement} element - An event target
+   * @returns {Object} - The instance if the element is a combobox input,
+   * otherwise undefined
+   */
+  function _getInstanceFor(element) {
+    return instances.filter(function(instance) {
+      return instance.element === element;
+    })[0];
+  }
+
+  /**
+   * @param {HTMLElement} element - An event target
+   * @returns {Object} - The instance whose listbox contains the element,
+   * or undefined
+   */
+  function _getInstanceForListbox(element) {
+    return instances.filter(function(instance) {
+      var listbox = instance.getListbox();
+
+      return listbox !== null && listbox.contains(element);
+    })[0];
+  }
+
+  /**
+   * Unmarks the selected option once the text in the input no longer
+   * matches it. Called as the user types.
+   * @param {Object} instance - A combobox instance
+   */
+  function _clearSelection(instance) {
+    var listbox = instance.getListbox();
+
+    if (!listbox) return;
+
+    Array.prototype.forEach.call(listbox.querySelectorAll('[aria-selected="true"]'), function(option) {
+      if (_getLabel(option) !== instance.element.value) {
+        option.setAttribute('aria-selected', 'false');
+      }
+    });
+  }
+
+  /**
+   * @param {String} id - The id of a combobox's text input
+   * @returns {Object} - The combobox instance, or null if it doesn't exist
+   */
+  function _getInstance(id) {
+    if (!id) {
+      throw new Error('You must provide the id of the combobox\'s text input.');
+    }
+
+    var input = document.getElementById(id);
+
+    if (!input) return null;
+
+    // eslint-disable-next-line no-undef
+    return RivetRegistry.get(input);
+  }
+
+  /**
+   * Shows the options that match the text in the combobox
+   * @param {String} id - The id of the combobox's text input
+   */
+  function open(id) {
+    var instance = _getInstance(id);
+
+    if (instance) instance.search(instance.element.value);
+  }
+
+  /**
+   * @param {String} id - The id of the combobox's text input
+   */
+  function close(id) {
+    var instance = _getInstance(id);
+
+    if (instance) instance.close();
+  }
+
+  /**
+   * @param {Event} event - Searches as the user types
+   */
+  function _handleInput(event) {
+    var instance = _getInstanceFor(event.target);
+
+    if (!instance) return;
+
+    var input = instance.element;
+
+    _clearSelection(instance);
+
+    if (input.value.trim().length < instance.options.minLength) {
+      instance.close();
+
+      return;
+    }
+
+    instance.search(input.value);
+  }
+
+  /**
+   * @param {Event} event - Handles the arrow keys, Enter and Escape in
+   * combobox inputs
+   */
+  function _handleKeydown(event) {
+    var instance = _getInstanceFor(event.target);
+
+    if (!instance) return;
+
+    switch (event.keyCode) {
+      case KEYS.down:
+      case KEYS.up:
+        event.preventDefault();
+
+        if (!instance.isOpen()) {
+          instance.search(instance.element.value);
+
+          // Alt + Down shows the options without picking one
+          if (event.altKey) return;
+        }
+
+        instance.move(event.keyCode === KEYS.down ? 'next' : 'previous');
+
+        break;
+
+      case KEYS.enter:
+        if (instance.isOpen() && instance.getActive()) {
+          event.preventDefault();
+
+          instance.select(instance.getActive(), 'keyboard');
+        }
+
+        break;
+
+      case KEYS.escape:
+        if (instance.isOpen()) {
+          instance.close();
+
+          break;
+        }
+
+        /**
+         * Clear the input if the listbox is already closed. Closing again
+         * cancels any search that hasn't come back yet.
+         */
+        instance.close();
+
+        instance.element.value = '';
+
+        _clearSelection(instance);
+
+        break;
+    }
+  }
+
+  /**
+   * @param {Event} event - Keeps focus in the input when an option is
+   * clicked
+   */
+  function _handleMousedown(event) {
+    if (_getInstanceForListbox(event.target)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * @param {Event} event - Selects clicked options and closes listboxes
+   * when something outside of the combobox is clicked
+   */
+  function _handleClick(event) {
+    instances.forEach(function(instance) {
+      var listbox = instance.getListbox();
+
+      if (listbox && listbox.contains(event.target)) {
+        var option = event.target.closest(OPTION_SELECTOR);
+
+        if (option) instance.select(option, 'click');
+
+        return;
+      }
+
+      if (instance.isOpen() && event.target !== instance.element) {
+        instance.close();
+      }
+    });
+  }
+
+  /**
+   * @param {Event} event - Closes the listbox and checks the value when
+   * focus leaves a combobox input
+   */
+  function _handleBlur(event) {
+    var instance = _getInstanceFor(event.target);
+
+    if (!instance) return;
+
+    instance.close();
+    instance.validate();
+  }
+
+  /**
+   * @param {HTMLElement} context - An optional DOM element. This only
+   * needs to be passed in if a DOM element was passed to the init()
+   * function. If so, the element passed in must be the same element
+   * that was passed in at initialization so that the event listeners can
+   * be properly removed.
+   */
+  function destroy(context) {
+    if (context === undefined) {
+      context = document;
+    }
+
+    context.removeEventListener('input', _handleInput, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
+    context.removeEventListener('mousedown', _handleMousedown, false);
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('blur', _handleBlur, true);
+
+    // Destroy any combobox instances inside of the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+  }
+
+  /**
+   * @param {HTMLElement} context - An optional DOM element that the
+   * comboboxes can be initialized on. All event listeners will be attached
+   * to this element. Usually best to just leave it to default
+   * to the document.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every combobox in the context. See DEFAULTS above.
+   */
+  function init(context, options) {
+    if (context === undefined) {
+      context = document;
+    }
+
+    // Set up comboboxes that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
+    // Remove any event listeners from a previous initialization
+    context.removeEventListener('input', _handleInput, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
+    context.removeEventListener('mousedown', _handleMousedown, false);
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('blur', _handleBlur, true);
+
+    context.addEventListener('input', _handleInput, false);
+    context.addEventListener('keydown', _handleKeydown, false);
+    context.addEventListener('mousedown', _handleMousedown, false);
+    context.addEventListener('click', _handleClick, false);
+    // Blur doesn't bubble, so listen for it on the way down instead
+    context.addEventListener('blur', _handleBlur, true);
+
+    /**
+     * Create an instance for each combobox that doesn't have one yet and
+     * update the options of the ones that do.
+     */
+    Array.prototype.forEach.call(
+      context.querySelectorAll('[' + COMBOBOX_ATTR + ']'),
+      _connect
+    );
+  }
+
+  /**
+   * Adds the ARIA attributes the combobox pattern needs and creates the
+   * combobox's instance. Used by init() and by Rivet.observe() to set up
+   * comboboxes that are added to the DOM after the page has loaded.
+   * @param {HTMLElement} wrapper - The combobox wrapper (data-combobox)
+   * element
+   */
+  function _connect(wrapper) {
+    var input = document.getElementById(wrapper.getAttribute(COMBOBOX_ATTR));
+
+    var listbox = input ?
+      document.getElementById(input.getAttribute('aria-controls')) ||
+        wrapper.querySelector(LISTBOX_SELECTOR) :
+      null;
+
+    if (!input || !listbox) return;
+
+    if (!listbox.id) listbox.id = input.id + '-listbox';
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-controls', listbox.id);
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('autocomplete', 'off');
+
+    listbox.setAttribute('role', 'listbox');
+
+    if (!listbox.hasAttribute('aria-hidden')) {
+      listbox.setAttribute('aria-hidden', 'true');
+    }
+
+    input.setAttribute(
+      'aria-expanded',
+      listbox.getAttribute('aria-hidden') === 'false' ? 'true' : 'false'
+    );
+
+    Array.prototype.forEach.call(listbox.querySelectorAll(OPTION_SELECTOR), function(option, index) {
+      if (!option.id) option.id = listbox.id + '-option-' + index;
+
+      if (!option.hasAttribute('aria-selected')) {
+        option.setAttribute('aria-selected', 'false');
+      }
+    });
+
+    // eslint-disable-next-line no-undef
+    var instance = RivetRegistry.get(input);
+
+    if (instance) {
+      // eslint-disable-next-line no-undef
+      instance.options = RivetRegistry.getOptions(input, defaultOptions);
+
+      return;
+    }
+
+    _createInstance(input);
+  }
+
+  /**
+   * Used by Rivet.observe() to clean up after comboboxes that have been
+   * removed from the DOM.
+   */
+  function _disconnect() {
+    instances.slice().forEach(function(instance) {
+      if (!document.documentElement.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+  }
+
+  // Registered by init() so that observer mode only sets up comboboxes once
+  // they've been initialized
+  var observedComponent = {
+    selector: '[' + COMBOBOX_ATTR + ']',
+    connect: _connect,
+    disconnect: _disconnect
+  };
+
+  /**
+   * Return public APIs
+   */
+  return {
+    init: init,
+    destroy: destroy,
+    open: open,
+    close: close
+  };
+})();
@@ -10,6 +10,8 @@ var Drawer = (function() {
   var KEYS = {
     up: 38,
     down: 40,
+    left: 37,
+    right: 39,
     tab: 9,
     escape: 27
   };
@@ -17,13 +19,70 @@ var Drawer = (function() {
   var ALL_FOCUSABLE_ELS = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex="0"]';
   var TOGGLE_ATTRIBUTE = 'data-drawer-toggle';
   var TOGGLE_SELECTOR = '[' + TOGGLE_ATTRIBUTE + ']';
+  var SUBNAV_TOGGLE_ATTRIBUTE = 'data-subnav-toggle';
+  var PLACEMENT_ATTRIBUTE = 'data-drawer-placement';
+
+  // How far a slide-in panel has to be swiped, in pixels, to close it
+  var SWIPE_DISTANCE = 50;
+
+  // Set on events once they've been handled, see _wasHandled()
+  var HANDLED_PROPERTY = 'rivetDrawerHandled';
+
+  // sessionStorage key for the expanded subnavs of each drawer
+  var SUBNAV_STORAGE_KEY = 'rivetDrawerSubnavs';
+
+  /**
+   * Default options. These can be overridden for every drawer by passing
+   * options to init(), or for a single drawer with data-rvt-* attributes
+   * or JSON in a data-rvt-options attribute, e.g.
+   * data-rvt-close-on-outside-click="false".
+   */
+  var DEFAULTS = {
+    // Close the drawer when something outside of it is clicked
+    closeOnOutsideClick: true,
+    // Close the drawer when the Escape key is pressed
+    closeOnEscape: true,
+    // Return focus to the toggle when the drawer is closed from inside
+    returnFocus: true,
+    /**
+     * Treat the drawer like a modal dialog while it's open: keep Tab
+     * focus inside of it, hide the rest of the page from screen readers
+     * with inert and aria-hidden, and stop the page from scrolling. The
+     * drawer's toggle is left alone so it can still close the drawer.
+     */
+    modal: false,
+    /**
+     * Remember which subnavs were expanded in sessionStorage and expand
+     * them again on the next page load
+     */
+    persistSubnavs: false,
+    /**
+     * Turns the drawer into a panel that slides in from the "left" or
+     * "right" edge of the screen. Leave empty for the header drawer.
+     */
+    placement: '',
+    // Close slide-in panels when they're swiped towards their edge
+    swipeToClose: true
+  };
+
+  // Added to the body while a modal drawer is open to stop it scrolling
+  var SCROLL_LOCK_CLASS = 'rvt-drawer-open';
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
 
   /**
-   * These variables keep track of whether the drawer is open/close.
-   * They are used to help manage focus based on keyboard interaction.
+   * Keeps track of every drawer instance that has been created. Drawers
+   * are moved to the end when they're opened, so the last open instance
+   * is the one that was opened most recently.
    */
-  var activeDrawer;
-  var activeDrawerToggle;
+  var instances = [];
+
+  /**
+   * The slide-in panel that is being swiped, see _handlePointerdown(), or
+   * null.
+   */
+  var swipe = null;
 
   /**
    * @returns {Object} - An object containing references
@@ -40,7 +99,10 @@ var Drawer = (function() {
 
     drawer.menu = document.getElementById(id);
 
-    var drawerFocusables = Array.prototype.slice.call(drawer.menu.querySelectorAll(ALL_FOCUSABLE_ELS));
+    // A toggle whose drawer is missing has nothing to focus
+    var drawerFocusables = drawer.menu ?
+      Array.prototype.slice.call(drawer.menu.querySelectorAll(ALL_FOCUSABLE_ELS)) :
+      [];
 
     drawer.focusables = drawerFocusables;
 
@@ -52,82 +114,528 @@ var Drawer = (function() {
   }
 
   /**
-   *
-   * @param {String} id - The unique id of the drawer to open
-   * @param {Function} callback - An optional callback function that is
-   * executed after the drawer is opened
+   * Focuses the first or last focus-able element in a drawer, or the
+   * drawer itself if it doesn't have any.
+   * @param {Object} drawer - See _createDrawerObject()
+   * @param {String} which - "first" or "last"
    */
-  function open(id, callback) {
+  function _focusDrawerEdge(drawer, which) {
+    var item = which === 'last' ? drawer.lastFocusable : drawer.firstFocusable;
+
+    if (item) {
+      item.focus();
+
+      return;
+    }
+
+    if (!drawer.menu) return;
+
+    if (!drawer.menu.hasAttribute('tabindex')) {
+      drawer.menu.setAttribute('tabindex', '-1');
+    }
+
+    drawer.menu.focus();
+  }
+
+  /**
+   * Creates an object that holds the state of a single drawer and the
+   * methods used to open, close and destroy it. Instances are stored on
+   * the drawer element and can be retrieved with Rivet.get(drawer).
+   * @param {HTMLElement} element - The drawer element
+   * @returns {Object} - The drawer instance
+   */
+  function _createInstance(element) {
+    var id = element.id;
+
+    var instance = {
+      element: element,
+      // eslint-disable-next-line no-undef
+      options: RivetRegistry.getOptions(element, defaultOptions),
+      // The toggle that opened the drawer. Used to return focus.
+      trigger: null
+    };
+
+    // Elements hidden by _hideBackground() while a modal drawer is open
+    var hiddenBackground = [];
+
+    // The transition _waitForTransition() is waiting for, if any
+    var pendingTransition = null;
+
     /**
-     * Set up drawer object so store all the values we need to work with
-     * when managing focus (e.g. all focus-able elements, first, last, etc.)
+     * @returns {HTMLElement} - The toggle button for this drawer
      */
-    var drawer = _createDrawerObject(id);
+    function getToggle() {
+      return document.querySelector('[' + TOGGLE_ATTRIBUTE + '="' + id + '"]');
+    }
 
-    // Keep track of the open drawer
-    activeDrawer = id;
+    /**
+     * @returns {Boolean} - true if the drawer is currently open.
+     */
+    function isOpen() {
+      return element.getAttribute('aria-hidden') === 'false';
+    }
 
-    // Keep track of the active toggle so we can focus later
-    activeDrawerToggle = drawer.toggle;
+    /**
+     * Opens the drawer. See open() below.
+     * @param {Function} callback
+     * @param {String} reason
+     */
+    function openInstance(callback, reason) {
+      var toggle = getToggle();
+
+      // Return if the drawer doesn't have a toggle
+      if (!toggle) return;
+
+      var eventDetail = {
+        element: element,
+        trigger: toggle,
+        reason: reason || 'api'
+      };
+
+      // Give listeners a chance to cancel opening the drawer
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(toggle, TOGGLE_ATTRIBUTE, 'drawerBeforeOpen', { cancelable: true, detail: eventDetail })) {
+        return;
+      }
 
+      // Finish a close transition that is still running
+      _finishTransition();
 
-    // Open the drawer
-    drawer.toggle.setAttribute('aria-expanded', 'true');
+      // Keep track of the active toggle so we can focus later
+      instance.trigger = toggle;
 
-    drawer.menu.setAttribute('aria-hidden', 'false');
+      instances.splice(instances.indexOf(instance), 1);
+      instances.push(instance);
 
-    // Emit a custom event that can be used as a hook for other actions
-    // eslint-disable-next-line no-undef
-    fireCustomEvent(activeDrawerToggle, TOGGLE_ATTRIBUTE, 'drawerOpen');
+      // Open the drawer
+      toggle.setAttribute('aria-expanded', 'true');
+
+      element.setAttribute('aria-hidden', 'false');
+
+      if (instance.options.modal) {
+        _hideBackground();
+
+        document.body.classList.add(SCROLL_LOCK_CLASS);
+
+        var focusables = _getVisibleFocusables(instance);
+
+        if (focusables.length) focusables[0].focus();
+      }
 
-    if (callback && typeof callback === 'function') {
-      callback();
+      _waitForTransition(function() {
+        // Emit a custom event that can be used as a hook for other actions
+        // eslint-disable-next-line no-undef
+        fireCustomEvent(toggle, TOGGLE_ATTRIBUTE, 'drawerOpen', { detail: eventDetail });
+
+        if (callback && typeof callback === 'function') {
+          callback();
+        }
+      });
+    }
+
+    /**
+     * Closes the drawer. See close() below.
+     * @param {Function} callback
+     * @param {String} reason
+     * @returns {Boolean}
+     */
+    function closeInstance(callback, reason) {
+      var toggle = getToggle();
+
+      // Return if the drawer doesn't have a toggle
+      if (!toggle) return true;
+
+      var eventDetail = {
+        element: element,
+        trigger: toggle,
+        reason: reason || 'api'
+      };
+
+      // Give listeners a chance to cancel closing the drawer
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(toggle, TOGGLE_ATTRIBUTE, 'drawerBeforeClose', { cancelable: true, detail: eventDetail })) {
+        return false;
+      }
+
+      // Finish an open transition that is still running
+      _finishTransition();
+
+      // Focus would be lost inside of the hidden drawer
+      var hadFocus = element.contains(document.activeElement);
+
+      toggle.setAttribute('aria-expanded', 'false');
+
+      element.setAttribute('aria-hidden', 'true');
+
+      _restoreBackground();
+
+      if (hadFocus && instance.options.modal && instance.options.returnFocus) {
+        toggle.focus();
+      }
+
+      _waitForTransition(function() {
+        // Emit a custom event that can be used as a hook for other actions
+        // eslint-disable-next-line no-undef
+        fireCustomEvent(toggle, TOGGLE_ATTRIBUTE, 'drawerClose', { detail: eventDetail });
+
+        if (callback && typeof callback === 'function') {
+          callback();
+        }
+      });
+
+      return true;
+    }
+
+    /**
+     * Calls the callback once the drawer's CSS transition (e.g. a panel
+     * sliding in) has ended, or right away if it doesn't have one.
+     * @param {Function} callback
+     */
+    function _waitForTransition(callback) {
+      var duration = _getTransitionDuration(element);
+
+      if (!duration) {
+        callback();
+
+        return;
+      }
+
+      var timer;
+
+      function cancel() {
+        element.removeEventListener('transitionend', handleTransitionEnd, false);
+
+        clearTimeout(timer);
+
+        pendingTransition = null;
+      }
+
+      function finish() {
+        cancel();
+        callback();
+      }
+
+      function handleTransitionEnd(event) {
+        // Ignore transitions of elements inside of the drawer
+        if (event.target === element) finish();
+      }
+
+      element.addEventListener('transitionend', handleTransitionEnd, false);
+
+      // transitionend doesn't fire if the transition is interrupted
+      timer = setTimeout(finish, duration + 50);
+
+      pendingTransition = { finish: finish, cancel: cancel };
     }
+
+    /**
+     * Runs the callback of a transition that hasn't ended yet right away,
+     * so that every drawerBeforeOpen and drawerBeforeClose event is still
+     * followed by its drawerOpen or drawerClose event.
+     */
+    function _finishTransition() {
+      if (pendingTransition) pendingTransition.finish();
+    }
+
+    /**
+     * Makes everything outside of a modal drawer inert and hides it from
+     * screen readers. That's everything in the body apart from the drawer,
+     * its toggle and the elements they're in, so the drawer can still be
+     * closed from its toggle. The attributes they had before are kept so
+     * that _restoreBackground() can put them back.
+     */
+    function _hideBackground() {
+      // Already hidden
+      if (hiddenBackground.length) return;
+
+      var keep = [element, getToggle()].filter(function(item) {
+        return item !== null;
+      });
+
+      /**
+       * Hides the children of the parent, apart from the ones that are or
+       * contain an element in keep. Those are searched the same way.
+       * @param {HTMLElement} parent
+       */
+      function hideChildren(parent) {
+        Array.prototype.forEach.call(parent.children, function(child) {
+          if (keep.indexOf(child) !== -1 || child.nodeName === 'SCRIPT') return;
+
+          var containsKept = keep.some(function(item) {
+            return child.contains(item);
+          });
+
+          if (containsKept) {
+            hideChildren(child);
+
+            return;
+          }
+
+          hiddenBackground.push({
+            element: child,
+            ariaHidden: child.getAttribute('aria-hidden'),
+            inert: child.hasAttribute('inert')
+          });
+
+          child.setAttribute('aria-hidden', 'true');
+          child.setAttribute('inert', '');
+        });
+      }
+
+      hideChildren(document.body);
+    }
+
+    /**
+     * Undoes _hideBackground() and lets the page scroll again once no
+     * other modal drawers are open.
+     */
+    function _restoreBackground() {
+      hiddenBackground.forEach(function(item) {
+        item.ariaHidden === null ?
+          item.element.removeAttribute('aria-hidden') :
+          item.element.setAttribute('aria-hidden', item.ariaHidden);
+
+        if (!item.inert) item.element.removeAttribute('inert');
+      });
+
+      hiddenBackground = [];
+
+      var modalIsOpen = _getOpenInstances().some(function(openInstance) {
+        return openInstance.options.modal;
+      });
+
+      if (!modalIsOpen) document.body.classList.remove(SCROLL_LOCK_CLASS);
+    }
+
+    /**
+     * Removes the instance. If the drawer is open it is closed without
+     * emitting any events.
+     */
+    function destroyInstance() {
+      if (pendingTransition) pendingTransition.cancel();
+
+      if (isOpen()) {
+        var toggle = getToggle();
+
+        if (toggle) toggle.setAttribute('aria-expanded', 'false');
+
+        element.setAttribute('aria-hidden', 'true');
+
+        _restoreBackground();
+      }
+
+      instances.splice(instances.indexOf(instance), 1);
+
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(element);
+    }
+
+    instance.getToggle = getToggle;
+    instance.isOpen = isOpen;
+    instance.open = openInstance;
+    instance.close = closeInstance;
+    instance.destroy = destroyInstance;
+
+    instances.push(instance);
+
+    _setPlacement(instance);
+
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(element, instance);
+
+    return instance;
+  }
+
+  /**
+   * Adds the attribute that styles a drawer as a slide-in panel, or
+   * removes it if the placement option is empty.
+   * @param {Object} instance - A drawer instance
+   */
+  function _setPlacement(instance) {
+    var placement = instance.options.placement;
+
+    placement === 'left' || placement === 'right' ?
+      instance.element.setAttribute(PLACEMENT_ATTRIBUTE, placement) :
+      instance.element.removeAttribute(PLACEMENT_ATTRIBUTE);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {Number} - How long the element's longest CSS transition
+   * takes, including its delay, in milliseconds
+   */
+  function _getTransitionDuration(element) {
+    var style = window.getComputedStyle(element);
+
+    var durations = (style.transitionDuration || '').split(',');
+
+    var delays = (style.transitionDelay || '').split(',');
+
+    return durations.reduce(function(longest, duration, index) {
+      var total = _toMilliseconds(duration) +
+        _toMilliseconds(delays[index % delays.length]);
+
+      return Math.max(longest, total);
+    }, 0);
+  }
+
+  /**
+   * @param {String} value - A CSS time, e.g. "0.3s" or "300ms"
+   * @returns {Number} - The time in milliseconds, or 0 if it's invalid
+   */
+  function _toMilliseconds(value) {
+    var number = parseFloat(value);
+
+    if (isNaN(number)) return 0;
+
+    return /ms\s*$/.test(value) ? number : number * 1000;
+  }
+
+  /**
+   * @param {String} id - A drawer's id attribute
+   * @returns {Object} - The drawer's instance, which is created if it
+   * doesn't exist yet, or null if there is no drawer with that id.
+   */
+  function _getInstance(id) {
+    var element = document.getElementById(id);
+
+    if (!element) return null;
+
+    // eslint-disable-next-line no-undef
+    return RivetRegistry.get(element) || _createInstance(element);
+  }
+
+  /**
+   * @returns {Array} - All of the drawer instances that are open
+   */
+  function _getOpenInstances() {
+    return instances.filter(function(instance) {
+      return instance.isOpen();
+    });
+  }
+
+  /**
+   * @param {HTMLElement} element - An element such as an event target
+   * @returns {Object} - The open drawer instance that contains the element
+   * or whose toggle contains the element, or undefined.
+   */
+  function _getInstanceContaining(element) {
+    return _getOpenInstances().filter(function(instance) {
+      var toggle = instance.getToggle();
+
+      return instance.element.contains(element) ||
+        (toggle !== null && toggle.contains(element));
+    })[0];
+  }
+
+  /**
+   *
+   * @param {String} id - The unique id of the drawer to open
+   * @param {Function} callback - An optional callback function that is
+   * executed after the drawer is opened and its CSS transition, if it
+   * has one, has ended
+   * @param {String} reason - Optional. Describes what opened the drawer
+   * and is sent along in event.detail.reason. Defaults to "api".
+   *
+   * Emits a cancelable 'drawerBeforeOpen' event before the drawer is
+   * opened. If a listener calls preventDefault() on it the drawer stays
+   * closed and the callback is not executed.
+   */
+  function open(id, callback, reason) {
+    var instance = _getInstance(id);
+
+    // Return if the drawer doesn't exist
+    if (!instance) return;
+
+    instance.open(callback, reason);
   }
 
   /**
    *
    * @param {String} id - The unique id of the drawer to close
    * @param {Function} callback - An optional callback function that
-   * is executed after the drawer is closed.
+   * is executed after the drawer is closed and its CSS transition, if it
+   * has one, has ended.
+   * @param {String} reason - Optional. Describes what closed the drawer
+   * (e.g. "escape", "outsideClick") and is sent along in
+   * event.detail.reason. Defaults to "api".
+   * @returns {Boolean} - false if closing the drawer was canceled by a
+   * 'drawerBeforeClose' listener, otherwise true.
+   *
+   * Emits a cancelable 'drawerBeforeClose' event before the drawer is
+   * closed. If a listener calls preventDefault() on it the drawer stays
+   * open and the callback is not executed.
    */
-  function close(id, callback) {
-    var drawerButton = document.querySelector('[data-drawer-toggle="' + id + '"]');
+  function close(id, callback, reason) {
+    var instance = _getInstance(id);
 
-    var drawer = document.getElementById(id);
+    // Return if the drawer doesn't exist
+    if (!instance) return true;
 
-    drawerButton.setAttribute('aria-expanded', 'false');
+    return instance.close(callback, reason);
+  }
 
-    drawer.setAttribute('aria-hidden', 'true');
+  /**
+   * Opens the drawer if it's closed, otherwise closes it.
+   * @param {String} id - The unique id of the drawer to toggle
+   * @param {Function} callback - An optional callback function that is
+   * executed after the drawer is opened or closed
+   *
+   * DEPRECATED: toggle() used to take the drawer's toggle button (and an
+   * unused target element and event) instead of an id. Passing the button
+   * still works, but will be removed at the next major version.
+   */
+  function toggle(id, callback) {
+    if (id && id.nodeType === 1) {
+      id = id.getAttribute(TOGGLE_ATTRIBUTE);
 
-    // Emit a custom event that can be used as a hook for other actions
-    // eslint-disable-next-line no-undef
-    fireCustomEvent(drawerButton, TOGGLE_ATTRIBUTE, 'drawerClose');
+      // The second argument was the drawer element, not a callback
+      callback = null;
+    }
 
-    if (callback && typeof callback === 'function') {
-      callback();
+    if (!id) {
+      throw new Error('You must provide a unique id for the drawer you\'re trying to toggle.');
     }
+
+    var instance = _getInstance(id);
+
+    // Return if the drawer doesn't exist
+    if (!instance) return;
+
+    instance.isOpen() ? instance.close(callback) : instance.open(callback);
   }
 
   /**
-   * DEPRECATED: This was a part of the original API and should be replaced
-   * with the new open() and close() methods. I don't think anyone would
-   * be using this as it was more of an internal/private method, but
-   * just to be sure let's deprecate it and remove it at the next
-   * major version.
-   * @param {HTMLButtonElement} trigger - button to toggle the drawer
-   * @param {HTMLElement} target - the drawer menu
-   * @param {Event} event - The event object
+   * @param {String} id - The unique id of a drawer
+   * @returns {Boolean} - true if the drawer is open, false if it's closed
+   * or doesn't exist
    */
-  // eslint-disable-next-line no-unused-vars
-  function toggle(trigger, target, event) {
-    /**
-     * Note, there's no need for the target and event parameters here if
-     * all we're doing is opening/closing the drawer.
-     */
-    var id = trigger.getAttribute(TOGGLE_ATTRIBUTE);
+  function isOpen(id) {
+    var instance = _getInstance(id);
+
+    return instance !== null && instance.isOpen();
+  }
+
+  /**
+   * @returns {HTMLElement} - The drawer that was opened most recently and
+   * is still open, or null if every drawer is closed
+   */
+  function getActive() {
+    var openInstances = _getOpenInstances();
+
+    return openInstances.length ?
+      openInstances[openInstances.length - 1].element :
+      null;
+  }
 
-    trigger.getAttribute('aria-expanded') === 'true' ? close(id) : open(id);
+  /**
+   * Closes every open drawer. Unlike Dropdown.closeAll() this emits the
+   * usual events, so a drawerBeforeClose listener can keep a drawer open.
+   */
+  function closeAll() {
+    _getOpenInstances().forEach(function(instance) {
+      instance.close(null, 'api');
+    });
   }
 
   /**
@@ -135,16 +643,138 @@ var Drawer = (function() {
    * @param {String} id - the unique id of the drawer subnav/tree toggle
    */
   function _toggleSubnav(id) {
-    var subnav = document.querySelector('[data-subnav-toggle="' + id + '"]');
+    var subnav = _getSubnavToggle(id);
+
+    _setSubnavExpanded(id, subnav.getAttribute('aria-expanded') !== 'true');
+  }
+
+  /**
+   * @param {String} id - The id of a subnav
+   * @returns {HTMLElement} - The button that expands the subnav
+   */
+  function _getSubnavToggle(id) {
+    return document.querySelector('[' + SUBNAV_TOGGLE_ATTRIBUTE + '="' + id + '"]');
+  }
+
+  /**
+   * Expands or collapses a drawer subnav and saves which subnavs are
+   * expanded if the drawer's persistSubnavs option is on.
+   * @param {String} id - The id of the subnav
+   * @param {Boolean} expanded
+   */
+  function _setSubnavExpanded(id, expanded) {
+    var subnav = _getSubnavToggle(id);
 
     var subnavMenu = document.getElementById(id);
 
-    var isExpanded =
-      subnav.getAttribute('aria-expanded') === 'true' || false;
+    if (!subnav || !subnavMenu) return;
+
+    subnav.setAttribute('aria-expanded', String(expanded));
+
+    subnavMenu.setAttribute('aria-hidden', String(!expanded));
 
-    subnav.setAttribute('aria-expanded', !isExpanded);
+    var drawer = subnav.closest('.rvt-drawer');
 
-    subnavMenu.setAttribute('aria-hidden', isExpanded);
+    if (drawer && drawer.id) _storeSubnavs(_getInstance(drawer.id));
+  }
+
+  /**
+   * @returns {Object} - The ids of the expanded subnavs of each drawer,
+   * keyed by the drawer's id
+   */
+  function _getStoredSubnavs() {
+    try {
+      return JSON.parse(window.sessionStorage.getItem(SUBNAV_STORAGE_KEY)) || {};
+    } catch (error) {
+      // sessionStorage isn't available, e.g. when cookies are blocked
+      return {};
+    }
+  }
+
+  /**
+   * Saves the ids of the drawer's expanded subnavs to sessionStorage
+   * @param {Object} instance - A drawer instance
+   */
+  function _storeSubnavs(instance) {
+    if (!instance.options.persistSubnavs) return;
+
+    var stored = _getStoredSubnavs();
+
+    stored[instance.element.id] = Array.prototype.map.call(
+      instance.element.querySelectorAll('[' + SUBNAV_TOGGLE_ATTRIBUTE + '][aria-expanded="true"]'),
+      function(subnav) {
+        return subnav.getAttribute(SUBNAV_TOGGLE_ATTRIBUTE);
+      }
+    );
+
+    try {
+      window.sessionStorage.setItem(SUBNAV_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      // Nothing to do if sessionStorage isn't available or is full
+    }
+  }
+
+  /**
+   * Expands the subnavs that contain the current page (an element with
+   * aria-current), at every level, and with the persistSubnavs option the
+   * subnavs that were expanded on the last page load.
+   * @param {Object} instance - A drawer instance
+   */
+  function _restoreSubnavs(instance) {
+    var element = instance.element;
+
+    var expanded = instance.options.persistSubnavs ?
+      _getStoredSubnavs()[element.id] || [] :
+      [];
+
+    Array.prototype.forEach.call(element.querySelectorAll('[aria-current]'), function(current) {
+      var node = current.parentNode;
+
+      while (node && node !== element) {
+        if (node.id && _getSubnavToggle(node.id)) expanded.push(node.id);
+
+        node = node.parentNode;
+      }
+    });
+
+    expanded.forEach(function(id) {
+      var subnav = _getSubnavToggle(id);
+
+      // Skip subnavs that aren't in this drawer anymore
+      if (subnav && element.contains(subnav)) _setSubnavExpanded(id, true);
+    });
+  }
+
+  /**
+   * @param {HTMLElement} element - An element in a drawer
+   * @returns {HTMLElement} - The toggle of the subnav that contains the
+   * element, or null if it isn't in a subnav
+   */
+  function _getParentSubnavToggle(element) {
+    var node = element.parentNode;
+
+    while (node && node.nodeType === 1 && !node.classList.contains('rvt-drawer')) {
+      if (node.id && _getSubnavToggle(node.id)) return _getSubnavToggle(node.id);
+
+      node = node.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Drawers can be initialized on more than one context, e.g. on the
+   * document and again on an element inside of it. This makes sure an
+   * event that bubbles through several of them is only handled once.
+   * @param {Event} event
+   * @returns {Boolean} - true if the event has already been handled
+   */
+  function _wasHandled(event) {
+    if (event[HANDLED_PROPERTY]) return true;
+
+    event[HANDLED_PROPERTY] = true;
+
+    return false;
   }
 
   /**
@@ -153,7 +783,11 @@ var Drawer = (function() {
    * @param {Event} event
    */
   function _handleClick(event) {
-    event.target.closest('.rvt-drawer') !== null ?
+    if (_wasHandled(event)) return;
+
+    var clickedDrawer = event.target.closest('.rvt-drawer');
+
+    clickedDrawer !== null ?
       event.clickedInDrawer = true :
       event.clickedInDrawer = false;
 
@@ -163,10 +797,10 @@ var Drawer = (function() {
      */
     if (event.clickedInDrawer) {
       // toggle subnav
-      if (event.target.closest('[data-subnav-toggle]')) {
-        var toggle = event.target.closest('[data-subnav-toggle]');
+      if (event.target.closest('[' + SUBNAV_TOGGLE_ATTRIBUTE + ']')) {
+        var toggle = event.target.closest('[' + SUBNAV_TOGGLE_ATTRIBUTE + ']');
 
-        var id = toggle.getAttribute('data-subnav-toggle');
+        var id = toggle.getAttribute(SUBNAV_TOGGLE_ATTRIBUTE);
 
         _toggleSubnav(id);
       }
@@ -178,10 +812,16 @@ var Drawer = (function() {
       var bottomCloseButton =
         event.target.closest('[data-close-drawer], .rvt-drawer__bottom-close');
 
-      if (bottomCloseButton !== null) {
-        close(activeDrawer);
+      if (bottomCloseButton === null || !clickedDrawer.id) return;
 
-        activeDrawerToggle.focus();
+      var instance = _getInstance(clickedDrawer.id);
+
+      if (
+        instance.isOpen() &&
+        instance.close(null, 'closeButton') &&
+        instance.options.returnFocus
+      ) {
+        instance.getToggle().focus();
       }
 
       return;
@@ -190,14 +830,64 @@ var Drawer = (function() {
     var drawerToggle = event.target.closest(TOGGLE_SELECTOR);
 
     if (!drawerToggle || drawerToggle.getAttribute('aria-expanded') === 'true') {
-      if (!activeDrawer) return;
+      _getOpenInstances().forEach(function(openInstance) {
+        if (openInstance.getToggle() === drawerToggle) {
+          openInstance.close(null, 'click');
+
+          return;
+        }
+
+        if (openInstance.options.closeOnOutsideClick) {
+          openInstance.close(null, 'outsideClick');
+        }
+      });
+
+      return;
+    }
+
+    open(drawerToggle.getAttribute(TOGGLE_ATTRIBUTE), null, 'click');
+  }
+
+  /**
+   * @param {Object} instance - A drawer instance
+   * @returns {Array} - The focus-able elements in the drawer that are
+   * visible, i.e. not in a collapsed subnav
+   */
+  function _getVisibleFocusables(instance) {
+    return _createDrawerObject(instance.element.id).focusables.filter(function(item) {
+      return item.clientHeight > 0;
+    });
+  }
+
+  /**
+   * Moves focus to the next or previous visible focus-able element in an
+   * open drawer, wrapping around at either end.
+   * @param {Object} instance - The open drawer instance
+   * @param {HTMLElement} target - The currently focused element
+   * @param {Number} direction - 1 to move down, -1 to move up
+   */
+  function _focusSibling(instance, target, direction) {
+    // Each time we create a new drawer object to work with.
+    var drawer = _createDrawerObject(instance.element.id);
+
+    // Filter out any focus-able that is not visible
+    drawer.visibleFocusables = drawer.focusables.filter(function(item) {
+      return item.clientHeight > 0;
+    });
+
+    // Keep track of the index of the currently focused element
+    var currentIndex = drawer.visibleFocusables.indexOf(target);
+
+    var sibling = drawer.visibleFocusables[currentIndex + direction];
 
-      close(activeDrawer);
+    // If it's the first/last focus-able wrap around to the other end.
+    if (!sibling) {
+      _focusDrawerEdge(drawer, direction === 1 ? 'first' : 'last');
 
       return;
     }
 
-    open(drawerToggle.getAttribute(TOGGLE_ATTRIBUTE));
+    sibling.focus();
   }
 
   /**
@@ -206,6 +896,13 @@ var Drawer = (function() {
    * @param {Event} event
    */
   function _handleKeydown(event) {
+    if (_wasHandled(event)) return;
+
+    var activeInstance = _getInstanceContaining(event.target);
+
+    var targetInDrawer =
+      activeInstance !== undefined && activeInstance.element.contains(event.target);
+
     // Handle keyboard stuff
     switch (event.keyCode) {
       case KEYS.down:
@@ -224,8 +921,8 @@ var Drawer = (function() {
            * focus-able element in the drawer, otherwise open it.
            */
           drawer.toggle.getAttribute('aria-expanded') === 'true' ?
-            drawer.firstFocusable.focus() :
-            open(id);
+            _focusDrawerEdge(drawer, 'first') :
+            open(id, null, 'keyboard');
 
           return;
         }
@@ -234,107 +931,125 @@ var Drawer = (function() {
          * Handle the down key press when the drawer is open and a
          * focus-able element inside has focus.
          */
-        if (event.target.closest('#' + activeDrawer)) {
-          // Each time we create a new drawer object to work with.
-          drawer = _createDrawerObject(activeDrawer);
+        if (targetInDrawer) {
+          _focusSibling(activeInstance, event.target, 1);
+        }
 
-          // Keep track of the index of the currently focused element
-          var currentIndex;
+        break;
+      case KEYS.up:
+        // Same as down handler, but in reverse.
+        if (targetInDrawer) {
+          _focusSibling(activeInstance, event.target, -1);
+        }
 
-          // Filter out any focus-able that is not visible
-          var currentlyVisible = drawer.focusables.filter(function(item) {
-            return item.clientHeight > 0;
-          });
+        break;
+      case KEYS.right:
+        if (!targetInDrawer) break;
 
-          // Add currently visible focus-able elements to the drawer object
-          drawer.visibleFocusables = currentlyVisible;
+        var subnav = event.target.closest('[' + SUBNAV_TOGGLE_ATTRIBUTE + ']');
 
-          /**
-           * This keeps track of which button/focusable is focused
-           * in the open drawer.
-           */
-          for (var i = 0; i < drawer.visibleFocusables.length; i++) {
-            if (event.target === drawer.visibleFocusables[i]) {
-              currentIndex = i;
-            }
-          }
+        if (!subnav) break;
 
-          var nextItem = drawer.visibleFocusables[currentIndex + 1];
+        event.preventDefault();
 
-          // If it's the last focus-able move back to the first.
-          if (!nextItem) {
-            // Always return focus to the first element
-            drawer.firstFocusable.focus();
+        var subnavId = subnav.getAttribute(SUBNAV_TOGGLE_ATTRIBUTE);
 
-            return;
-          }
+        /**
+         * Expand a collapsed subnav. If it's already expanded move to its
+         * first item.
+         */
+        if (subnav.getAttribute('aria-expanded') !== 'true') {
+          _setSubnavExpanded(subnavId, true);
 
-          nextItem.focus();
+          break;
         }
 
-        break;
-      case KEYS.up:
-        /**
-         * Same as down handler, but in reverse. TODO: find a way to
-         * refactor the up and down handler to something that determine
-         * orientation and then use a generic function to handle
-         * the keydown.
-         */
-        if (event.target.closest('#' + activeDrawer)) {
-          // Each time we create a new drawer object to work with.
-          drawer = _createDrawerObject(activeDrawer);
+        var firstChild = document.getElementById(subnavId).querySelector(ALL_FOCUSABLE_ELS);
 
-          // Keep track of the index of the currently focused element
-          currentIndex;
+        if (firstChild) firstChild.focus();
 
-          // Filter out any focus-able that is not visible
-          currentlyVisible = drawer.focusables.filter(function (item) {
-            return item.clientHeight > 0;
-          });
+        break;
+      case KEYS.left:
+        if (!targetInDrawer) break;
 
-          // Add currently visible focus-able elements to the drawer object
-          drawer.visibleFocusables = currentlyVisible;
+        var expandedSubnav =
+          event.target.closest('[' + SUBNAV_TOGGLE_ATTRIBUTE + '][aria-expanded="true"]');
 
-          /**
-           * This keeps track of which button/focusable is focused
-           * in the open drawer.
-           */
-          for (i = 0; i < drawer.visibleFocusables.length; i++) {
-            if (event.target === drawer.visibleFocusables[i]) {
-              currentIndex = i;
-            }
-          }
+        // Collapse an expanded subnav, otherwise move up to the parent level
+        if (expandedSubnav) {
+          event.preventDefault();
 
-          var previousItem = drawer.visibleFocusables[currentIndex - 1];
+          _setSubnavExpanded(expandedSubnav.getAttribute(SUBNAV_TOGGLE_ATTRIBUTE), false);
 
-          // If it's the last focus-able move back to the first.
-          if (!previousItem) {
-            // Always return focus to the first element
-            drawer.lastFocusable.focus();
+          break;
+        }
 
-            return;
-          }
+        var parentSubnav = _getParentSubnavToggle(event.target);
+
+        if (parentSubnav) {
+          event.preventDefault();
 
-          previousItem.focus();
+          parentSubnav.focus();
         }
 
         break;
-      case KEYS.escape:
-        // Handle escape key
-        if (activeDrawer) {
-          close(activeDrawer);
+      case KEYS.tab:
+        // Keep focus inside of the most recently opened modal drawer
+        var modalInstance = _getOpenInstances().filter(function(openInstance) {
+          return openInstance.options.modal;
+        }).pop();
+
+        if (!modalInstance) break;
+
+        var focusables = _getVisibleFocusables(modalInstance);
+
+        var first = focusables[0];
+
+        var last = focusables[focusables.length - 1];
+
+        if (!first) {
+          event.preventDefault();
+
+          break;
         }
 
-        if (activeDrawerToggle && activeDrawerToggle !== null) {
-          activeDrawerToggle.focus();
+        if (!modalInstance.element.contains(document.activeElement)) {
+          event.preventDefault();
+          first.focus();
+        } else if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
         }
 
+        break;
+
+      case KEYS.escape:
         /**
-         * Resets the state variables so as not to interfere with other
-         * Escape key handlers/interactions
+         * If focus is in a drawer (or on its toggle) close that drawer and
+         * return focus to its toggle. Bail if closing it was canceled.
          */
-        activeDrawer = null;
-        activeDrawerToggle = null;
+        if (activeInstance) {
+          if (!activeInstance.options.closeOnEscape) break;
+
+          if (
+            activeInstance.close(null, 'escape') &&
+            activeInstance.options.returnFocus
+          ) {
+            activeInstance.getToggle().focus();
+          }
+
+          break;
+        }
+
+        // Otherwise close any drawers that are open
+        _getOpenInstances().forEach(function(openInstance) {
+          if (openInstance.options.closeOnEscape) {
+            openInstance.close(null, 'escape');
+          }
+        });
 
         break;
 
@@ -343,6 +1058,122 @@ var Drawer = (function() {
     }
   }
 
+  /**
+   * Starts tracking a touch or pen swipe in an open slide-in panel
+   * @param {PointerEvent} event
+   */
+  function _handlePointerdown(event) {
+    if (_wasHandled(event) || event.pointerType === 'mouse') return;
+
+    var instance = _getInstanceContaining(event.target);
+
+    if (
+      !instance ||
+      !instance.element.contains(event.target) ||
+      !instance.options.swipeToClose ||
+      !instance.element.hasAttribute(PLACEMENT_ATTRIBUTE)
+    ) {
+      return;
+    }
+
+    swipe = {
+      instance: instance,
+      startX: event.clientX,
+      startY: event.clientY,
+      distance: 0,
+      dragging: false
+    };
+
+    // The swipe can end outside of the context the drawer was set up on
+    _listenForSwipe(true);
+  }
+
+  /**
+   * Adds or removes the listeners that follow a swipe once it's started
+   * @param {Boolean} listen
+   */
+  function _listenForSwipe(listen) {
+    var method = listen ? 'addEventListener' : 'removeEventListener';
+
+    document[method]('pointermove', _handlePointermove, false);
+    document[method]('pointerup', _handlePointerup, false);
+    document[method]('pointercancel', _handlePointerup, false);
+  }
+
+  /**
+   * Moves the panel along with the swipe, but only towards the edge it
+   * slid in from.
+   * @param {PointerEvent} event
+   */
+  function _handlePointermove(event) {
+    if (swipe === null) return;
+
+    var element = swipe.instance.element;
+
+    var x = event.clientX - swipe.startX;
+
+    var y = event.clientY - swipe.startY;
+
+    if (!swipe.dragging) {
+      // Wait until it's clear which way the swipe is going
+      if (Math.abs(x) < 10 && Math.abs(y) < 10) return;
+
+      // Leave vertical swipes alone so that the panel can scroll
+      if (Math.abs(y) > Math.abs(x)) {
+        _endSwipe();
+
+        return;
+      }
+
+      swipe.dragging = true;
+
+      // Follow the pointer without easing
+      element.style.transition = 'none';
+    }
+
+    swipe.distance = element.getAttribute(PLACEMENT_ATTRIBUTE) === 'left' ?
+      Math.min(0, x) :
+      Math.max(0, x);
+
+    element.style.transform = 'translateX(' + swipe.distance + 'px)';
+  }
+
+  /**
+   * Closes the panel if it was swiped far enough, otherwise it slides
+   * back into place. Also handles pointercancel, e.g. when the browser
+   * starts scrolling, which never closes the panel.
+   * @param {PointerEvent} event
+   */
+  function _handlePointerup(event) {
+    if (swipe === null) return;
+
+    var instance = swipe.instance;
+
+    var distance = swipe.distance;
+
+    var dragging = swipe.dragging;
+
+    _endSwipe();
+
+    if (!dragging) return;
+
+    instance.element.style.transition = '';
+    instance.element.style.transform = '';
+
+    if (event.type === 'pointerup' && Math.abs(distance) >= SWIPE_DISTANCE) {
+      instance.close(null, 'swipe');
+    }
+  }
+
+  /**
+   * Stops following the current swipe
+   */
+  function _endSwipe() {
+    swipe = null;
+
+    _listenForSwipe(false);
+  }
+
   /**
    * Cleans up any currently initialized Drawers
    *
@@ -357,8 +1188,24 @@ var Drawer = (function() {
       context = document;
     }
 
-    document.removeEventListener('click', _handleClick, false);
-    document.removeEventListener('keydown', _handleKeydown, false);
+    // Destroy the instances for any drawers inside the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
+    context.removeEventListener('pointerdown', _handlePointerdown, false);
+
+    // Stop following a swipe in a drawer that was just destroyed
+    if (swipe !== null && instances.indexOf(swipe.instance) === -1) {
+      swipe.instance.element.style.transition = '';
+      swipe.instance.element.style.transform = '';
+
+      _endSwipe();
+    }
   }
 
   /**
@@ -368,25 +1215,101 @@ var Drawer = (function() {
    * drawer can be initialized on. All event listeners will be attached
    * to this element. Usually best to just leave it to default
    * to the document.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every drawer in the context. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     // Optional element to bind the event listeners to
     if (context === undefined) {
       context = document;
     }
 
-    // Destroy any currently initialized drawers
-    destroy(context);
+    // Set up drawers that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
+    // Remove any event listeners from a previous initialization
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
+    context.removeEventListener('pointerdown', _handlePointerdown, false);
+
+    context.addEventListener('click', _handleClick, false);
+    context.addEventListener('keydown', _handleKeydown, false);
+    context.addEventListener('pointerdown', _handlePointerdown, false);
+
+    /**
+     * Create an instance for each drawer that doesn't have one yet and
+     * update the options of the ones that do.
+     */
+    var toggles = context.querySelectorAll(TOGGLE_SELECTOR);
+
+    Array.prototype.forEach.call(toggles, function(toggle) {
+      var instance = _getInstance(toggle.getAttribute(TOGGLE_ATTRIBUTE));
+
+      if (instance) {
+        // eslint-disable-next-line no-undef
+        instance.options = RivetRegistry.getOptions(instance.element, defaultOptions);
+
+        _setPlacement(instance);
+
+        _restoreSubnavs(instance);
+      }
+    });
+  }
+
+  /**
+   * Used by Rivet.observe() to set up drawers that are added to the DOM
+   * after the page has loaded.
+   * @param {HTMLButtonElement} toggle - A drawer toggle button
+   */
+  function _connect(toggle) {
+    var drawer = document.getElementById(toggle.getAttribute(TOGGLE_ATTRIBUTE));
+
+    if (!drawer) return;
+
+    if (!drawer.hasAttribute('aria-hidden')) {
+      drawer.setAttribute('aria-hidden', 'true');
+    }
+
+    toggle.setAttribute(
+      'aria-expanded',
+      drawer.getAttribute('aria-hidden') === 'false' ? 'true' : 'false'
+    );
+
+    _restoreSubnavs(_getInstance(drawer.id));
+  }
 
-    document.addEventListener('click', _handleClick, false);
-    document.addEventListener('keydown', _handleKeydown, false);
+  /**
+   * Used by Rivet.observe() to clean up after drawers that have been
+   * removed from the DOM.
+   */
+  function _disconnect() {
+    instances.slice().forEach(function(instance) {
+      if (!document.documentElement.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
   }
 
+  // Registered by init() so that observer mode only sets up drawers once
+  // they've been initialized
+  var observedComponent = {
+    selector: TOGGLE_SELECTOR,
+    connect: _connect,
+    disconnect: _disconnect
+  };
+
   return {
     init: init,
     destroy: destroy,
     open: open,
     close: close,
-    toggle: toggle
+    closeAll: closeAll,
+    toggle: toggle,
+    isOpen: isOpen,
+    getActive: getActive
   }
-})();
\ No newline at end of file
+})();
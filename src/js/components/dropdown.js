@@ -11,9 +11,8 @@ var Dropdown = (function() {
    * Global references
    */
 
-  // Keeps track of the currently active toggle. Helps with focus management
-  var activeToggle;
-  var activeMenu;
+  // Keeps track of every dropdown instance that has been created.
+  var instances = [];
 
   /**
    * Global constants
@@ -23,10 +22,19 @@ var Dropdown = (function() {
   var KEYS = {
     up: 38,
     down: 40,
+    left: 37,
+    right: 39,
+    home: 36,
+    end: 35,
     tab: 9,
+    enter: 13,
+    space: 32,
     escape: 27
   };
 
+  // How long typeahead waits for the next character before starting over
+  var TYPEAHEAD_TIMEOUT = 500;
+
   // Anything that is focusable
   var ALL_FOCUSABLE_ELS = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex="0"]';
 
@@ -34,115 +42,675 @@ var Dropdown = (function() {
 
   var TOGGLE_ATTR = 'data-dropdown-toggle';
 
+  // Items in role="menu" dropdowns. See select() below.
+  var MENU_ITEM_SELECTOR =
+    '[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]';
+
   /**
-   * @param {String} id - A unique string used for the dropdown toggle
-   * element's data-dropdown-toggle attribute and the corresponding menu's
-   * "id" attribute.
-   * @param {Function} callback - An optional callback function that gets
-   * emmitted after the menu is opened.
+   * Set on open menus to the placement that was used, e.g. "top-end",
+   * so that CSS can position and style the menu.
    */
-  function openMenu(id, callback) {
-    if (!id) {
-      throw new Error('You must provide a unique id for the menu you\'re trying to open.');
+  var PLACEMENT_ATTR = 'data-dropdown-placement';
+
+  // Set on events once they've been handled, see _wasHandled()
+  var HANDLED_PROPERTY = 'rivetDropdownHandled';
+
+  /**
+   * Default options. These can be overridden for every dropdown by
+   * passing options to init(), or for a single dropdown with data-rvt-*
+   * attributes or JSON in a data-rvt-options attribute on the menu, e.g.
+   * data-rvt-close-on-select="true".
+   */
+  var DEFAULTS = {
+    // Close the menu when one of its items is clicked
+    closeOnSelect: false,
+    // Close the menu when something outside of it is clicked
+    closeOnOutsideClick: true,
+    // Return focus to the toggle when the menu is closed from the keyboard
+    returnFocus: true,
+    /**
+     * Where to show the menu: "bottom-start", "bottom-end", "top-start"
+     * or "top-end". Start and end line the menu up with the left and right
+     * edges of the toggle. Defaults to "bottom-start", or "bottom-end" for
+     * menus with the rvt-dropdown__menu--right modifier.
+     */
+    placement: '',
+    /**
+     * Flip the menu to the other side of the toggle when there isn't
+     * enough room for it in the viewport or its scroll container.
+     */
+    flip: true,
+    /**
+     * Keep the menu open when a menuitemcheckbox is toggled, even if
+     * closeOnSelect is true, so several items can be checked at once.
+     */
+    keepOpenOnCheck: true
+  };
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
+
+  /**
+   * Creates an object that holds the state of a single dropdown and the
+   * methods used to open, close and destroy it. Each dropdown keeps track
+   * of its own toggle, so multiple dropdowns on the page don't interfere
+   * with each other. Instances are stored on the menu element and can be
+   * retrieved with Rivet.get(menu).
+   * @param {HTMLElement} menu - The dropdown menu element
+   * @returns {Object} - The dropdown instance
+   */
+  function _createInstance(menu) {
+    var id = menu.id;
+
+    var instance = {
+      element: menu,
+      // eslint-disable-next-line no-undef
+      options: RivetRegistry.getOptions(menu, defaultOptions),
+      // The toggle that opened the menu. Used to return focus.
+      trigger: null
+    };
+
+    /**
+     * @returns {HTMLElement} - The toggle button for this dropdown
+     */
+    function getToggle() {
+      return document.querySelector('[' + TOGGLE_ATTR + '="' + id + '"]');
     }
-    // If there's an open menu, close it.
-    if (activeMenu) {
-      closeMenu(activeMenu);
+
+    /**
+     * @returns {Boolean} - true if the menu is currently open.
+     */
+    function isOpen() {
+      return menu.getAttribute('aria-hidden') === 'false';
     }
 
-    // Set the current active menu the menu we're about to open
-    activeMenu = id;
+    /**
+     * Opens the menu. See openMenu() below.
+     * @param {Function} callback
+     * @param {String} reason
+     */
+    function openInstance(callback, reason) {
+      var toggle = getToggle();
+
+      // Return if the dropdown doesn't exist
+      if (!toggle) {
+        return
+      }
 
-    var toggleSelector = '[' + TOGGLE_ATTR + '="' + id + '"]';
+      // Return if disabled dropdown is being opened programmatically
+      if (toggle.hasAttribute('disabled')) {
+        return;
+      }
 
-    var toggle = document.querySelector(toggleSelector);
+      var eventDetail = {
+        element: menu,
+        trigger: toggle,
+        reason: reason || 'api'
+      };
 
-    // Return if the dropdown doesn't exist
-    if (!toggle) {
-      return
+      // Give listeners a chance to cancel opening the menu
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownBeforeOpen', { cancelable: true, detail: eventDetail })) {
+        return;
+      }
+
+      /**
+       * If there are other open menus, close them. Menus that this one is
+       * a submenu of stay open. If closing one of them was canceled leave
+       * it open and don't open this one.
+       */
+      var otherMenus = _getOpenInstances().filter(function(other) {
+        return other !== instance && !other.element.contains(toggle);
+      });
+
+      for (var i = 0; i < otherMenus.length; i++) {
+        if (!otherMenus[i].close(null, 'anotherOpened')) return;
+      }
+
+      // If the menu was opened by clicking an associated toggle
+      toggle.setAttribute('aria-expanded', 'true');
+
+      instance.trigger = toggle;
+
+      // Remove the 'hidden' attribute to show the menu
+      menu.setAttribute('aria-hidden', 'false');
+
+      updatePosition();
+
+      _addPositionListeners();
+
+      // Emit a custom event that can be used as a hook for other actions
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownOpen', { detail: eventDetail });
+
+      // Focus first menu item
+      var menuItems = _setUpMenu(menu);
+
+      if (menuItems.first) menuItems.first.focus();
+
+      // Execute supplied callback function if it exists
+      if (callback && typeof callback === 'function') {
+        callback();
+      }
     }
 
-    // Return if disabled dropdown is being opened programmatically
-    if (toggle.hasAttribute('disabled')) {
-      return;
+    /**
+     * Closes the menu. See closeMenu() below.
+     * @param {Function} callback
+     * @param {String} reason
+     * @returns {Boolean}
+     */
+    function closeInstance(callback, reason) {
+      var toggle = getToggle();
+
+      // Return if the dropdown doesn't exist
+      if (!toggle) {
+        return true;
+      }
+
+      // Return if the menu is already closed
+      if (!isOpen()) {
+        return true;
+      }
+
+      // Return if disabled dropdown is being closed programmatically
+      if (toggle.hasAttribute('disabled')) {
+        return true;
+      }
+
+      var eventDetail = {
+        element: menu,
+        trigger: toggle,
+        reason: reason || 'api'
+      };
+
+      // Give listeners a chance to cancel closing the menu
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownBeforeClose', { cancelable: true, detail: eventDetail })) {
+        return false;
+      }
+
+      // Close any open submenus first
+      var submenus = _getOpenInstances().filter(function(other) {
+        return other !== instance && menu.contains(other.getToggle());
+      });
+
+      for (var i = 0; i < submenus.length; i++) {
+        if (!submenus[i].close(null, reason)) return false;
+      }
+
+      toggle.setAttribute('aria-expanded', 'false');
+
+      menu.setAttribute('aria-hidden', 'true');
+
+      if (_getOpenInstances().length === 0) _removePositionListeners();
+
+      // Emmit a custom event that can be used as a hook for other actions
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownClose', { detail: eventDetail });
+
+      // Execute supplied callback function if it exists
+      if (callback && typeof callback === 'function') {
+        callback();
+      }
+
+      return true;
     }
 
-    // If the menu was opened by clicking an associated toggle
-    toggle.setAttribute('aria-expanded', 'true');
+    /**
+     * Selects an item in a role="menu" dropdown. Checkbox items
+     * (role="menuitemcheckbox") are toggled and radio items
+     * (role="menuitemradio") are checked and the other radio items in
+     * their group (role="group") or menu are unchecked. Emits a
+     * 'dropdownSelect' event with the item and its new checked state.
+     * @param {HTMLElement} item
+     * @param {String} reason
+     * @returns {Boolean} - The item's new checked state, or null for
+     * plain menu items
+     */
+    function select(item, reason) {
+      if (item.getAttribute('aria-disabled') === 'true') return null;
 
-    activeToggle = toggle;
+      // Items that open submenus aren't selected
+      if (item.hasAttribute(TOGGLE_ATTR)) return null;
 
-    // Get the menu to be opened by id
-    var menu = document.getElementById(id);
+      var role = item.getAttribute('role');
 
-    if (!menu) {
-      throw new Error('There was no menu found with an id attribute that matches the "data-dropdown-toggle" attribute on the dropdown toggle.');
+      var value = null;
+
+      if (role === 'menuitemcheckbox') {
+        value = item.getAttribute('aria-checked') !== 'true';
+
+        item.setAttribute('aria-checked', String(value));
+      }
+
+      if (role === 'menuitemradio') {
+        value = true;
+
+        var group = item.closest('[role="group"]');
+
+        if (!group || !menu.contains(group)) group = menu;
+
+        Array.prototype.forEach.call(
+          group.querySelectorAll('[role="menuitemradio"]'),
+          function(radio) {
+            radio.setAttribute('aria-checked', String(radio === item));
+          }
+        );
+      }
+
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(getToggle(), TOGGLE_ATTR, 'dropdownSelect', {
+        detail: {
+          element: menu,
+          trigger: getToggle(),
+          item: item,
+          value: value,
+          reason: reason || 'api'
+        }
+      });
+
+      return value;
     }
 
-    // Remove the 'hidden' attribute to show the menu
-    menu.setAttribute('aria-hidden', 'false');
+    /**
+     * Works out where the menu fits and sets its placement attribute.
+     * Called when the menu is opened and when the page is scrolled or
+     * resized while it's open.
+     */
+    function updatePosition() {
+      var toggle = getToggle();
+
+      if (!toggle || !isOpen()) return;
 
-    // Emit a custom event that can be used as a hook for other actions
-    // eslint-disable-next-line no-undef
-    fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownOpen');
+      if (_getParentInstance(instance)) {
+        _updateSubmenuPosition(toggle);
 
-    // Focus first menu item
-    var menuItems = _setUpMenu(menu);
-    menuItems.first.focus();
+        return;
+      }
 
-    // Execute supplied callback function if it exists
-    if (callback && typeof callback === 'function') {
-      callback();
+      var placement = (
+        instance.options.placement ||
+        (menu.classList.contains('rvt-dropdown__menu--right') ? 'bottom-end' : 'bottom-start')
+      ).split('-');
+
+      var vertical = placement[0] === 'top' ? 'top' : 'bottom';
+
+      var horizontal = placement[1] === 'end' ? 'end' : 'start';
+
+      if (instance.options.flip) {
+        var boundary = _getBoundary(menu);
+
+        var toggleRect = toggle.getBoundingClientRect();
+
+        // Room for the menu on each side of the toggle
+        var space = {
+          top: toggleRect.top - boundary.top,
+          bottom: boundary.bottom - toggleRect.bottom,
+          start: boundary.right - toggleRect.left,
+          end: toggleRect.right - boundary.left
+        };
+
+        var otherVertical = vertical === 'top' ? 'bottom' : 'top';
+
+        var otherHorizontal = horizontal === 'start' ? 'end' : 'start';
+
+        // Only flip if there's more room on the other side
+        if (
+          menu.offsetHeight > space[vertical] &&
+          space[otherVertical] > space[vertical]
+        ) {
+          vertical = otherVertical;
+        }
+
+        if (
+          menu.offsetWidth > space[horizontal] &&
+          space[otherHorizontal] > space[horizontal]
+        ) {
+          horizontal = otherHorizontal;
+        }
+      }
+
+      menu.setAttribute(PLACEMENT_ATTR, vertical + '-' + horizontal);
     }
-  }
 
-  /**
-   * @param {String} id - A unique string associate with the dropdown's
-   * "data-dropdown-toggle" and "id" attributes.
-   * @param {Function} callback - An optional callback function that is
-   * executed after the closeMenu method is called.
-   */
-  function closeMenu(id, callback) {
-    if (!id) {
-      throw new Error('You must provide a unique id for the menu you\'re trying to close.');
+    /**
+     * Submenus fly out to the right of the item that opens them, lined up
+     * with its top. They flip to the left, or up so that they line up
+     * with the item's bottom, when they don't fit. The placement is
+     * "right-top", "right-bottom", "left-top" or "left-bottom".
+     * @param {HTMLElement} toggle
+     */
+    function _updateSubmenuPosition(toggle) {
+      var horizontal = 'right';
+
+      var vertical = 'top';
+
+      if (instance.options.flip) {
+        var boundary = _getBoundary(menu);
+
+        var toggleRect = toggle.getBoundingClientRect();
+
+        if (
+          menu.offsetWidth > boundary.right - toggleRect.right &&
+          toggleRect.left - boundary.left > boundary.right - toggleRect.right
+        ) {
+          horizontal = 'left';
+        }
+
+        if (
+          menu.offsetHeight > boundary.bottom - toggleRect.top &&
+          toggleRect.bottom - boundary.top > boundary.bottom - toggleRect.top
+        ) {
+          vertical = 'bottom';
+        }
+      }
+
+      menu.setAttribute(PLACEMENT_ATTR, horizontal + '-' + vertical);
     }
 
-    var toggle = document.querySelector('[' + TOGGLE_ATTR + '="' + id + '"]');
+    // Characters typed into the open menu, see typeahead() below
+    var typeaheadBuffer = '';
 
-    // Return if the dropdown doesn't exist
-    if (!toggle) {
-      return
+    var typeaheadTimer = null;
+
+    /**
+     * Moves focus to the next item whose text starts with the characters
+     * that have been typed so far. The characters are forgotten after a
+     * short pause. Typing the same character repeatedly cycles through
+     * the items that start with it.
+     * @param {String} character - The character that was typed
+     * @param {HTMLElement} currentItem - The item that has focus
+     * @returns {Boolean} - false if the character was ignored. Spaces are
+     * only used once a search has been started, so that Space can still
+     * be used to click the focused item.
+     */
+    function typeahead(character, currentItem) {
+      if (character === ' ' && typeaheadBuffer === '') return false;
+
+      clearTimeout(typeaheadTimer);
+
+      typeaheadTimer = setTimeout(function() {
+        typeaheadBuffer = '';
+      }, TYPEAHEAD_TIMEOUT);
+
+      typeaheadBuffer += character.toLowerCase();
+
+      var items = _setUpMenu(menu).all;
+
+      var currentIndex = items.indexOf(currentItem);
+
+      var repeated = typeaheadBuffer.split('').every(function(item) {
+        return item === typeaheadBuffer[0];
+      });
+
+      var search = repeated ? typeaheadBuffer[0] : typeaheadBuffer;
+
+      /**
+       * Start after the current item when cycling through the items that
+       * start with the same character, otherwise keep matching the
+       * current item while more characters are typed.
+       */
+      var start = repeated ? currentIndex + 1 : Math.max(currentIndex, 0);
+
+      for (var i = 0; i < items.length; i++) {
+        var item = items[(start + i) % items.length];
+
+        if (item.textContent.trim().toLowerCase().indexOf(search) === 0) {
+          item.focus();
+
+          break;
+        }
+      }
+
+      return true;
     }
 
-    // Return if disabled dropdown is being closed programmatically
-    if (toggle.hasAttribute('disabled')) {
-      return;
+    /**
+     * Removes the instance. If the menu is open it is closed without
+     * emitting any events.
+     */
+    function destroyInstance() {
+      clearTimeout(typeaheadTimer);
+
+      if (isOpen()) {
+        var toggle = getToggle();
+
+        if (toggle) toggle.setAttribute('aria-expanded', 'false');
+
+        menu.setAttribute('aria-hidden', 'true');
+      }
+
+      instances.splice(instances.indexOf(instance), 1);
+
+      if (_getOpenInstances().length === 0) _removePositionListeners();
+
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(menu);
     }
 
-    toggle.setAttribute('aria-expanded', 'false');
+    instance.getToggle = getToggle;
+    instance.isOpen = isOpen;
+    instance.open = openInstance;
+    instance.close = closeInstance;
+    instance.typeahead = typeahead;
+    instance.select = select;
+    instance.updatePosition = updatePosition;
+    instance.destroy = destroyInstance;
+
+    // Checkable items start out unchecked unless the markup says otherwise
+    Array.prototype.forEach.call(
+      menu.querySelectorAll('[role="menuitemcheckbox"], [role="menuitemradio"]'),
+      function(item) {
+        if (!item.hasAttribute('aria-checked')) {
+          item.setAttribute('aria-checked', 'false');
+        }
+      }
+    );
 
-    var menu = document.getElementById(id);
+    instances.push(instance);
 
-    if (!menu) {
-      // If the menu has been removed from the DOM as a result of some other action in the menu then bail
-      if(id) {
-        return 
-      } else {
-      // Otherwise throw an error
-        throw new Error('There was no menu found with an id attribute that matches the "data-dropdown-toggle" attribute on the dropdown toggle.');
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(menu, instance);
+
+    return instance;
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {Object} - The top, right, bottom and left edges of the area
+   * the element can be seen in. That's the viewport, made smaller by any
+   * ancestors that scroll or hide their overflow.
+   */
+  function _getBoundary(element) {
+    var boundary = {
+      top: 0,
+      right: window.innerWidth || document.documentElement.clientWidth,
+      bottom: window.innerHeight || document.documentElement.clientHeight,
+      left: 0
+    };
+
+    var parent = element.parentNode;
+
+    while (parent && parent !== document.body && parent.nodeType === 1) {
+      var style = window.getComputedStyle(parent);
+
+      if (/auto|scroll|hidden/.test(style.overflow + style.overflowX + style.overflowY)) {
+        var rect = parent.getBoundingClientRect();
+
+        boundary.top = Math.max(boundary.top, rect.top);
+        boundary.right = Math.min(boundary.right, rect.right);
+        boundary.bottom = Math.min(boundary.bottom, rect.bottom);
+        boundary.left = Math.max(boundary.left, rect.left);
       }
+
+      parent = parent.parentNode;
     }
 
-    menu.setAttribute('aria-hidden', 'true');
+    return boundary;
+  }
+
+  /**
+   * @param {String} id - A dropdown menu's id attribute
+   * @returns {Object} - The dropdown's instance, which is created if it
+   * doesn't exist yet, or null if there is no menu with that id.
+   */
+  function _getInstance(id) {
+    var menu = document.getElementById(id);
+
+    if (!menu) return null;
 
-    // Emmit a custom event that can be used as a hook for other actions
     // eslint-disable-next-line no-undef
-    fireCustomEvent(toggle, TOGGLE_ATTR, 'dropdownClose');
+    return RivetRegistry.get(menu) || _createInstance(menu);
+  }
+
+  /**
+   * Keeps open menus positioned while the page is scrolled or resized.
+   */
+  function _updatePositions() {
+    _getOpenInstances().forEach(function(instance) {
+      instance.updatePosition();
+    });
+  }
+
+  /**
+   * Listens for changes that can move open menus. Scroll events are
+   * captured so that scrolling any container is caught. Added when a menu
+   * is opened and removed once every menu has been closed.
+   */
+  function _addPositionListeners() {
+    window.addEventListener('resize', _updatePositions, false);
+    window.addEventListener('scroll', _updatePositions, true);
+  }
+
+  function _removePositionListeners() {
+    window.removeEventListener('resize', _updatePositions, false);
+    window.removeEventListener('scroll', _updatePositions, true);
+  }
+
+  /**
+   * @returns {Array} - All of the dropdown instances with open menus
+   */
+  function _getOpenInstances() {
+    return instances.filter(function(instance) {
+      return instance.isOpen();
+    });
+  }
 
-    // Execute supplied callback function if it exists
-    if (callback && typeof callback === 'function') {
-      callback();
+  /**
+   * @param {HTMLElement} element - An element such as an event target
+   * @returns {Object} - The open dropdown instance whose menu or toggle
+   * contains the element, or undefined.
+   */
+  function _getInstanceContaining(element) {
+    return _getInnermost(_getOpenInstances().filter(function(instance) {
+      var toggle = instance.getToggle();
+
+      return instance.element.contains(element) ||
+        (toggle !== null && toggle.contains(element));
+    }));
+  }
+
+  /**
+   * @param {HTMLElement} element - An element such as an event target
+   * @returns {Object} - The open dropdown instance whose menu contains the
+   * element, or undefined. If the element is in an open submenu that's
+   * the submenu's instance.
+   */
+  function _getMenuContaining(element) {
+    return _getInnermost(_getOpenInstances().filter(function(instance) {
+      return instance.element.contains(element);
+    }));
+  }
+
+  /**
+   * @param {Array} matches - Dropdown instances
+   * @returns {Object} - The instance whose menu isn't a parent of any of
+   * the other instances' menus, i.e. the most deeply nested submenu.
+   */
+  function _getInnermost(matches) {
+    return matches.filter(function(instance) {
+      return !matches.some(function(other) {
+        return other !== instance && instance.element.contains(other.element);
+      });
+    })[0];
+  }
+
+  /**
+   * @param {Object} instance - A dropdown instance
+   * @returns {Object} - The instance of the menu that the dropdown's
+   * toggle is in, or undefined if it isn't a submenu.
+   */
+  function _getParentInstance(instance) {
+    var toggle = instance.getToggle();
+
+    if (!toggle) return;
+
+    return _getInnermost(instances.filter(function(other) {
+      return other !== instance && other.element.contains(toggle);
+    }));
+  }
+
+  /**
+   * @param {String} id - A unique string used for the dropdown toggle
+   * element's data-dropdown-toggle attribute and the corresponding menu's
+   * "id" attribute.
+   * @param {Function} callback - An optional callback function that gets
+   * emmitted after the menu is opened.
+   * @param {String} reason - Optional. Describes what opened the menu and
+   * is sent along in event.detail.reason. Defaults to "api".
+   *
+   * Emits a cancelable 'dropdownBeforeOpen' event before the menu is
+   * opened. If a listener calls preventDefault() on it the menu stays
+   * closed and the callback is not executed.
+   */
+  function openMenu(id, callback, reason) {
+    if (!id) {
+      throw new Error('You must provide a unique id for the menu you\'re trying to open.');
     }
+
+    var instance = _getInstance(id);
+
+    if (!instance) {
+      // Return if the dropdown doesn't exist
+      if (!document.querySelector('[' + TOGGLE_ATTR + '="' + id + '"]')) {
+        return;
+      }
+
+      throw new Error('There was no menu found with an id attribute that matches the "data-dropdown-toggle" attribute on the dropdown toggle.');
+    }
+
+    instance.open(callback, reason);
+  }
+
+  /**
+   * @param {String} id - A unique string associate with the dropdown's
+   * "data-dropdown-toggle" and "id" attributes.
+   * @param {Function} callback - An optional callback function that is
+   * executed after the closeMenu method is called.
+   * @param {String} reason - Optional. Describes what closed the menu
+   * (e.g. "escape", "outsideClick") and is sent along in
+   * event.detail.reason. Defaults to "api".
+   * @returns {Boolean} - false if closing the menu was canceled by a
+   * 'dropdownBeforeClose' listener, otherwise true.
+   *
+   * Emits a cancelable 'dropdownBeforeClose' event before the menu is
+   * closed. If a listener calls preventDefault() on it the menu stays
+   * open and the callback is not executed.
+   */
+  function closeMenu(id, callback, reason) {
+    if (!id) {
+      throw new Error('You must provide a unique id for the menu you\'re trying to close.');
+    }
+
+    var instance = _getInstance(id);
+
+    // If the menu has been removed from the DOM as a result of some other action in the menu then bail
+    if (!instance) {
+      return true;
+    }
+
+    return instance.close(callback, reason);
   }
 
   /**
@@ -170,6 +738,8 @@ var Dropdown = (function() {
     allDropdownMenus.forEach(function (menu) {
       menu.setAttribute('aria-hidden', 'true');
     });
+
+    _removePositionListeners();
   }
 
   /**
@@ -188,21 +758,17 @@ var Dropdown = (function() {
       throw new Error('You must provide a unique id for the menu you\'re trying to toggle.');
     }
 
-    var toggleButton = document.querySelector('[' + TOGGLE_ATTR + '="' + id + '"]');
+    var instance = _getInstance(id);
 
     // Return if the dropdown doesn't exist
-    if (!toggleButton) {
+    if (!instance) {
       return
     }
 
-    // Check the state of the dropdown toggle button
-    var isExpanded = toggleButton.getAttribute('aria-expanded') === 'true' || false;
-
     /**
-     * If the button is expanded/the menu is open run the close method,
-     * otherwise open the menu.
+     * If the menu is open run the close method, otherwise open the menu.
      */
-    isExpanded ? closeMenu(id, callback) : openMenu(id, callback);
+    instance.isOpen() ? instance.close(callback) : instance.open(callback);
   }
 
   /**
@@ -214,10 +780,23 @@ var Dropdown = (function() {
   function _setUpMenu(menu) {
     var menuObject = {};
 
+    // Submenus have their own items
+    var submenus = Array.prototype.slice.call(
+      menu.querySelectorAll('[' + TOGGLE_ATTR + ']')
+    ).map(function(toggle) {
+      return document.getElementById(toggle.getAttribute(TOGGLE_ATTR));
+    }).filter(function(submenu) {
+      return submenu && menu.contains(submenu);
+    });
+
     // Create a real Array of all the focusable elements in the menu
     var menuFocusables = Array.prototype.slice.call(
       menu.querySelectorAll(ALL_FOCUSABLE_ELS)
-    );
+    ).filter(function(item) {
+      return !submenus.some(function(submenu) {
+        return submenu.contains(item);
+      });
+    });
 
     // Create a property to hold an array of all focusables
     menuObject.all = menuFocusables;
@@ -231,10 +810,62 @@ var Dropdown = (function() {
     return menuObject;
   }
 
+  /**
+   * Moves focus to another item in a menu.
+   * @param {HTMLElement} menu
+   * @param {HTMLElement} currentItem - The item that has focus
+   * @param {String} which - "next", "previous", "first" or "last". Next
+   * and previous wrap around at the ends of the menu.
+   */
+  function _focusMenuItem(menu, currentItem, which) {
+    var items = _setUpMenu(menu);
+
+    var currentIndex = items.all.indexOf(currentItem);
+
+    var item;
+
+    switch (which) {
+      case 'next':
+        item = items.all[currentIndex + 1] || items.first;
+
+        break;
+      case 'previous':
+        item = currentIndex > 0 ? items.all[currentIndex - 1] : items.last;
+
+        break;
+      case 'first':
+        item = items.first;
+
+        break;
+      case 'last':
+        item = items.last;
+
+        break;
+    }
+
+    if (item) item.focus();
+  }
+
   /**
    * Event handlers
    */
 
+  /**
+   * Dropdowns can be initialized on more than one context, e.g. on the
+   * document and on the "More" dropdown Tabs creates for its overflow
+   * menu. This makes sure an event that bubbles through several of them
+   * is only handled once.
+   * @param {Event} event
+   * @returns {Boolean} - true if the event has already been handled
+   */
+  function _wasHandled(event) {
+    if (event[HANDLED_PROPERTY]) return true;
+
+    event[HANDLED_PROPERTY] = true;
+
+    return false;
+  }
+
   /**
    * @param {Event} event - This is function is used to handle all click
    * events on the document. It accepts the Event object, checks the target
@@ -242,33 +873,88 @@ var Dropdown = (function() {
    * it closes any open/active dropdown.
    */
   function _handleClick(event) {
+    if (_wasHandled(event)) return;
+
     var toggle = event.target.closest('[' + TOGGLE_ATTR + ']');
 
-    var menu = event.target.closest('#' + activeMenu);
+    var openInstances = _getOpenInstances();
 
     // Use this boolean on the event object in place of stopPropagation()
-    if (menu) {
-      event.clickedWithinMenu = true;
-    }
+    openInstances.forEach(function(instance) {
+      if (instance.element.contains(event.target)) {
+        event.clickedWithinMenu = true;
+      }
+    });
 
     if (!toggle || toggle.getAttribute('aria-expanded') === 'true') {
-      // No menu has been opened yet and the event target was not a toggle, so bail.
-      if (!activeMenu) return;
+      var item = event.target.closest(MENU_ITEM_SELECTOR);
+
+      // Items in submenus are selected by the submenu's instance
+      var itemInstance = item ? _getMenuContaining(item) : null;
+
+      if (itemInstance) {
+        itemInstance.select(item, 'click');
+      }
 
       /**
-       * Otherwise close the currently open menu unless the click
-       * happened inside of it.
+       * Close any open menus unless the click happened inside of them.
+       * If no menu has been opened yet there's nothing to do.
        */
-      if (!event.clickedWithinMenu) {
-        closeMenu(activeMenu);
-      }
+      openInstances.forEach(function(instance) {
+        // Closing a menu closes its submenus too
+        if (!instance.isOpen()) return;
+
+        if (instance.element.contains(event.target)) {
+          var keepOpen =
+            item !== null &&
+            item.getAttribute('role') === 'menuitemcheckbox' &&
+            instance.options.keepOpenOnCheck;
+
+          // Close the menu if one of its items was selected
+          if (
+            instance.options.closeOnSelect &&
+            !keepOpen &&
+            event.target.closest(ALL_FOCUSABLE_ELS) &&
+            !event.target.closest('[' + TOGGLE_ATTR + ']') &&
+            instance.close(null, 'select') &&
+            instance.options.returnFocus
+          ) {
+            instance.getToggle().focus();
+          }
+
+          return;
+        }
+
+        if (instance.getToggle() === toggle) {
+          instance.close(null, 'click');
+
+          return;
+        }
+
+        if (instance.options.closeOnOutsideClick) {
+          instance.close(null, 'outsideClick');
+        }
+      });
 
       return;
     }
 
     var dropdownId = toggle.getAttribute(TOGGLE_ATTR);
 
-    openMenu(dropdownId);
+    openMenu(dropdownId, null, 'click');
+  }
+
+  /**
+   * @param {HTMLElement} element - The target of a keydown event
+   * @returns {Boolean} - true if the element takes text input, e.g. a
+   * search field in a menu, so that keys like Home and letters are left
+   * for it to handle
+   */
+  function _isTextField(element) {
+    return element.nodeName === 'INPUT' ||
+      element.nodeName === 'TEXTAREA' ||
+      element.nodeName === 'SELECT' ||
+      element.closest('[contenteditable]:not([contenteditable="false"])') !== null;
   }
 
   /**
@@ -279,138 +965,197 @@ var Dropdown = (function() {
    * keyboard navigation.
    */
   function _handleKeydown(event) {
+    if (_wasHandled(event)) return;
+
+    // The open dropdown that the event happened in (if any)
+    var activeInstance = _getInstanceContaining(event.target);
+
+    // The open menu that has focus. Submenu toggles are in their parent menu.
+    var menuInstance = _getMenuContaining(event.target);
+
+    var activeMenu = menuInstance ? menuInstance.element : null;
+
+    var toggle = event.target.closest('[' + TOGGLE_ATTR + ']');
+
     switch (event.keyCode) {
       // Handle down key
       case KEYS.down:
         event.preventDefault()
-        var toggle = event.target.closest('[' + TOGGLE_ATTR + ']');
 
         /**
-         * If you were focused on the dropdown toggle
+         * If you were focused on the dropdown toggle. Toggles for submenus
+         * are moved past like any other item in their menu.
          */
-        if (toggle) {
+        if (toggle && !menuInstance) {
           var dropdownId = toggle.getAttribute(TOGGLE_ATTR);
 
           var menu = document.getElementById(dropdownId);
 
           // If your focused on the toggle button and the menu is open.
           if (toggle.getAttribute('aria-expanded') === 'true') {
-            var currentMenu = _setUpMenu(menu);
+            _focusMenuItem(menu, null, 'first');
 
-            currentMenu.first.focus();
+            return;
           }
 
-          openMenu(dropdownId);
+          openMenu(dropdownId, null, 'keyboard');
+
+          return;
         }
 
-        /**
-         * Handle down arrow key when inside the open menu.
-         */
-        if (event.target.closest('#' + activeMenu) !== null) {
-          var theMenu = event.target.closest('#' + activeMenu);
+        // Handle down arrow key when inside the open menu.
+        if (activeMenu && activeMenu.contains(event.target)) {
+          _focusMenuItem(activeMenu, event.target, 'next');
+        }
 
-          currentMenu = _setUpMenu(theMenu);
+        break;
+
+      case KEYS.up:
+        event.preventDefault()
+
+        // Handle up arrow key when inside the open menu.
+        if (activeMenu && activeMenu.contains(event.target)) {
+          _focusMenuItem(activeMenu, event.target, 'previous');
+        }
+
+        break;
 
-          var currentIndex;
+      case KEYS.right:
+        // Open the submenu of the focused item
+        if (toggle && menuInstance) {
+          event.preventDefault();
 
-          /**
-           * This keeps track of which button/focusable is focused in the open menu
-           */
-          for (var i = 0; i < currentMenu.all.length; i++) {
-            if (event.target == currentMenu.all[i]) {
-              currentIndex = i;
-            }
+          var submenuId = toggle.getAttribute(TOGGLE_ATTR);
+
+          if (toggle.getAttribute('aria-expanded') === 'true') {
+            _focusMenuItem(document.getElementById(submenuId), null, 'first');
+          } else {
+            openMenu(submenuId, null, 'keyboard');
           }
+        }
 
-          var nextItem = currentMenu.all[currentIndex + 1];
+        break;
 
-          if (!nextItem) {
-            currentMenu.first.focus();
+      case KEYS.left:
+        // Close the submenu that has focus and go back to its parent item
+        if (menuInstance && _getParentInstance(menuInstance)) {
+          event.preventDefault();
 
-            return;
+          if (menuInstance.close(null, 'keyboard') && menuInstance.trigger) {
+            menuInstance.trigger.focus();
           }
+        }
 
-          nextItem.focus();
+        break;
+
+      case KEYS.home:
+      case KEYS.end:
+        // Jump to the first or last item in the open menu
+        if (
+          activeMenu &&
+          activeMenu.contains(event.target) &&
+          !_isTextField(event.target)
+        ) {
+          event.preventDefault();
+
+          _focusMenuItem(
+            activeMenu,
+            event.target,
+            event.keyCode === KEYS.home ? 'first' : 'last'
+          );
         }
 
         break;
 
-      case KEYS.up:
+      case KEYS.escape:
         /**
-         * TODO: This needs to be refactored into something reusable - lots of
-         * repetition here.
+         * If focus is in an open menu (or on its toggle) close it and move
+         * focus back to the toggle. Bail if closing was canceled.
          */
+        if (activeInstance) {
+          if (!activeInstance.close(null, 'escape')) break;
 
-        event.preventDefault()
+          if (activeInstance.options.returnFocus && activeInstance.trigger) {
+            activeInstance.trigger.focus();
+          }
 
-        // Handle up arrow key when inside the open menu.
-        if (event.target.closest('#' + activeMenu) !== null) {
-          theMenu = event.target.closest('#' + activeMenu);
+          break;
+        }
 
-          currentMenu = _setUpMenu(theMenu);
+        // Otherwise close any menus that are still open
+        _getOpenInstances().forEach(function(instance) {
+          instance.close(null, 'escape');
+        });
 
-          currentIndex;
+        break;
 
-          // This keeps track of which button/focusable is focused in the open menu
-          for (i = 0; i < currentMenu.all.length; i++) {
-            if (event.target == currentMenu.all[i]) {
-              currentIndex = i;
-            }
-          }
+      case KEYS.tab:
+        // Handle tab key when inside the open menu.
+        if (activeMenu && activeMenu.contains(event.target)) {
+          var currentMenu = _setUpMenu(activeMenu);
 
-          var previousItem = currentMenu.all[currentIndex - 1];
+          // Close the dropdown when the user tabs out of the menu.
+          if (document.activeElement == currentMenu.last && !event.shiftKey) {
+            menuInstance.close(null, 'tab');
 
-          if (!previousItem && currentMenu.last !== undefined) {
-            currentMenu.last.focus();
             return;
           }
-
-          previousItem.focus();
         }
 
         break;
 
-      case KEYS.escape:
-        // If there's an open menu, close it.
-        if (activeMenu) {
-          closeMenu(activeMenu);
-        }
+      case KEYS.enter:
+      case KEYS.space:
+        if (!activeMenu || !activeMenu.contains(event.target)) break;
+
+        // Space is part of the search once a typeahead search has started
+        if (
+          event.keyCode === KEYS.space &&
+          !_isTextField(event.target) &&
+          menuInstance.typeahead(' ', event.target)
+        ) {
+          event.preventDefault();
 
-        if (activeToggle) {
-          activeToggle.focus();
+          break;
         }
 
         /**
-         * Resets the state variables so as not to interfere with other
-         * Escape key handlers/interactions
+         * The browser clicks buttons (and follows links with Enter). Other
+         * menu items, e.g. <div role="menuitemcheckbox" tabindex="0">,
+         * are clicked here so that they work the same way.
          */
-        activeMenu = null;
-        activeToggle = null;
-
-        break;
-
-      case KEYS.tab:
-        // Handle tab key when inside the open menu.
-        if (event.target.closest('#' + activeMenu) !== null || undefined) {
-          theMenu = event.target.closest('#' + activeMenu);
+        var menuItem = event.target.closest(MENU_ITEM_SELECTOR);
 
-          currentMenu = _setUpMenu(theMenu);
+        if (
+          menuItem &&
+          menuItem.nodeName !== 'BUTTON' &&
+          !(menuItem.nodeName === 'A' && event.keyCode === KEYS.enter)
+        ) {
+          event.preventDefault();
 
-          currentIndex;
-
-          // This keeps track of which button/focusable is focused in the open menu
-          for (i = 0; i < currentMenu.all.length; i++) {
-            if (event.target == currentMenu.all[i]) {
-              currentIndex = i;
-            }
-          }
+          menuItem.click();
+        }
 
-          // Close the dropdown when the user tabs out of the menu.
-          if (document.activeElement == currentMenu.last && !event.shiftKey) {
-            closeMenu(activeMenu);
+        break;
 
-            return;
-          }
+      default:
+        /**
+         * Typeahead. Typing a character moves focus to the next item that
+         * starts with it. Skip shortcuts like Ctrl+C and typing in text
+         * fields inside of the menu.
+         */
+        if (
+          activeMenu &&
+          activeMenu.contains(event.target) &&
+          !_isTextField(event.target) &&
+          event.key &&
+          event.key.length === 1 &&
+          !event.ctrlKey &&
+          !event.metaKey &&
+          !event.altKey &&
+          menuInstance.typeahead(event.key, event.target)
+        ) {
+          event.preventDefault();
         }
 
         break;
@@ -435,6 +1180,13 @@ var Dropdown = (function() {
      */
     context.removeEventListener('click', _handleClick, false);
     context.removeEventListener('keydown', _handleKeydown, false);
+
+    // Destroy any dropdown instances inside of the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
   }
 
   /**
@@ -443,23 +1195,99 @@ var Dropdown = (function() {
    * dropdown can be initialized on. All event listeners will be attached
    * to this element. Usually best to just leave it to default
    * to the document.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every dropdown in the context. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     // Optional element to bind the event listeners to
     if (context === undefined) {
       context = document;
     }
 
-    // Destroy any currently initialized dropdowns
-    destroy(context);
+    // Set up dropdowns that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    /**
+     * Initializing part of the page without any options, like Tabs does
+     * for its overflow dropdowns, keeps the options the page passed in.
+     */
+    if (context === document || options !== undefined) {
+      // eslint-disable-next-line no-undef
+      defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+    }
+
+    // Remove any event listeners from a previous initialization
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
 
     /**
      * Attach all event listeners to the document
      */
     context.addEventListener('click', _handleClick, false);
     context.addEventListener('keydown', _handleKeydown, false);
+
+    /**
+     * Create an instance for each dropdown that doesn't have one yet and
+     * update the options of the ones that do.
+     */
+    Array.prototype.slice.call(context.querySelectorAll('[' + TOGGLE_ATTR + ']'))
+      .forEach(function(toggle) {
+        var instance = _getInstance(toggle.getAttribute(TOGGLE_ATTR));
+
+        if (instance) {
+          // eslint-disable-next-line no-undef
+          instance.options = RivetRegistry.getOptions(instance.element, defaultOptions);
+        }
+      });
+  }
+
+  /**
+   * Used by Rivet.observe() to set up dropdowns that are added to the DOM
+   * after the page has loaded.
+   * @param {HTMLButtonElement} toggle - A dropdown toggle button
+   */
+  function _connect(toggle) {
+    var menu = document.getElementById(toggle.getAttribute(TOGGLE_ATTR));
+
+    if (!menu) return;
+
+    if (!toggle.hasAttribute('aria-haspopup')) {
+      toggle.setAttribute('aria-haspopup', 'true');
+    }
+
+    if (!menu.hasAttribute('aria-hidden')) {
+      menu.setAttribute('aria-hidden', 'true');
+    }
+
+    toggle.setAttribute(
+      'aria-expanded',
+      menu.getAttribute('aria-hidden') === 'false' ? 'true' : 'false'
+    );
+
+    _getInstance(menu.id);
+  }
+
+  /**
+   * Used by Rivet.observe() to clean up after dropdown menus that have
+   * been removed from the DOM.
+   */
+  function _disconnect() {
+    instances.slice().forEach(function(instance) {
+      if (!document.documentElement.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
   }
 
+  // Registered by init() so that observer mode only sets up dropdowns once
+  // they've been initialized
+  var observedComponent = {
+    selector: '[' + TOGGLE_ATTR + ']',
+    connect: _connect,
+    disconnect: _disconnect
+  };
+
   /**
    * Return public APIs
    */
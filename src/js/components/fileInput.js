@@ -13,6 +13,25 @@ var FileInput = (function() {
   var DEFAULT_TEXT = 'No file selected';
   var UPLOAD_ATTR = 'data-upload';
 
+  /**
+   * Default options. These can be overridden for every file input by
+   * passing options to init(), or for a single file input with data-rvt-*
+   * attributes or JSON in a data-rvt-options attribute on the data-upload
+   * element, e.g. data-rvt-default-text="No photo selected".
+   */
+  var DEFAULTS = {
+    // Shown in the preview when no files are attached
+    defaultText: DEFAULT_TEXT,
+    /**
+     * Shown when more than one file is attached. {count} is replaced
+     * with the number of files.
+     */
+    multipleFilesText: '{count} files selected'
+  };
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
+
   /*!
    * Sanitize and encode all HTML in a user-submitted string
    * (c) 2018 Chris Ferdinandi, MIT License, https://gomakethings.com
@@ -28,12 +47,14 @@ var FileInput = (function() {
   /**
    *
    * @param {HTMLInputElement} input - HTML file input
+   * @param {Object} options - The file input's options
    * @return {HTMLSpanElement} - A span containing the a description
    * of the number of files attached to file input
    */
-  function _buildMultipleFiles(input) {
+  function _buildMultipleFiles(input, options) {
     var fileCount = document.createElement('span');
-    fileCount.textContent = input.files.length + ' files selected';
+    fileCount.textContent =
+      options.multipleFilesText.replace('{count}', input.files.length);
     return fileCount;
   }
 
@@ -81,6 +102,9 @@ var FileInput = (function() {
     // The preview element where we'll inject file count, etc.
     var uploadPreview = uploadElement.querySelector('[data-file-preview]');
 
+    // eslint-disable-next-line no-undef
+    var options = RivetRegistry.getOptions(uploadElement, defaultOptions);
+
     // Check to make sure that at least one file was attached
     if (uploadInput.files.length > 0) {
       // Set remove the preview element placeholder text
@@ -92,18 +116,25 @@ var FileInput = (function() {
        * otherwise show the file name that was uploaded.
        */
       uploadInput.files.length > 1 ?
-        uploadPreview.appendChild(_buildMultipleFiles(uploadInput)) :
+        uploadPreview.appendChild(_buildMultipleFiles(uploadInput, options)) :
         uploadPreview.appendChild(_buildSingleFile(uploadInput));
 
       // Fire a custom event as a hook for other scripts
       // eslint-disable-next-line no-undef
-      fireCustomEvent(uploadElement, UPLOAD_ATTR, 'fileAttached');
+      fireCustomEvent(uploadElement, UPLOAD_ATTR, 'fileAttached', {
+        detail: {
+          element: uploadElement,
+          trigger: uploadInput,
+          files: uploadInput.files,
+          reason: 'change'
+        }
+      });
     } else {
       /**
        * If no files were attached set the placeholder text back
        * to the default
        */
-      uploadPreview.innerHTML = DEFAULT_TEXT;
+      uploadPreview.textContent = options.defaultText;
     }
   }
 
@@ -127,18 +158,52 @@ var FileInput = (function() {
    * file input can be initialized on. All event listeners will be attached
    * to this element. Usually best to just leave it to default
    * to the document.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every file input. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     if (context === undefined) {
       context = document;
     }
 
+    // Set up file inputs that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
     // Destroy any currently initialized file inputs
     destroy(context);
 
     context.addEventListener('change', _handleChange, false);
   }
 
+  /**
+   * Used by Rivet.observe() to set up file inputs that are added to the
+   * DOM after the page has loaded.
+   * @param {HTMLElement} uploadElement - The file input wrapper
+   * (data-upload) element
+   */
+  function _connect(uploadElement) {
+    var uploadPreview = uploadElement.querySelector('[data-file-preview]');
+
+    // Show the default text if the preview was left empty
+    if (uploadPreview && uploadPreview.textContent.trim() === '') {
+      // eslint-disable-next-line no-undef
+      uploadPreview.textContent = RivetRegistry.getOptions(uploadElement, defaultOptions).defaultText;
+    }
+  }
+
+  // Registered by init() so that observer mode only sets up file inputs once
+  // they've been initialized
+  var observedComponent = {
+    selector: '[' + UPLOAD_ATTR + ']',
+    connect: _connect,
+    // File inputs don't keep any state that needs to be cleaned up
+    disconnect: function() {}
+  };
+
   // Expose public API here
   return {
     init: init,
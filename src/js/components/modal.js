@@ -23,90 +23,274 @@ var Modal = (function() {
   var ALL_FOCUSABLE_ELS = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex="-1"]';
 
   /**
-   * These variables are used to keep track of currently active/open modals.
-   * They are available in the root scope of the Modal closure so that
-   * all of the Modal's methods have access to them.
-   *
-   * TODO: This probably isn't the best solutions as it makes most of the
-   * Modal methods impure. I would be interested in how we might get rid
-   * of the need for these global (to the Modal) variables.
+   * Default options. These can be overridden for every modal by passing
+   * options to init(), or for a single modal with data-rvt-* attributes
+   * or JSON in a data-rvt-options attribute, e.g.
+   * data-rvt-close-on-escape="false".
    */
-  var activeTrigger;
-  var activeModal;
+  var DEFAULTS = {
+    // Close the modal when its background is clicked
+    closeOnBackgroundClick: true,
+    // Close the modal when the Escape key is pressed
+    closeOnEscape: true,
+    // Return focus to whatever opened the modal when it closes
+    returnFocus: true
+  };
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
 
   /**
-   * @param {String} id - A unique string used for a modal's id and/or
-   * data-modal-trigger attribute.
+   * Keeps track of all currently open modal instances. The last instance
+   * in the stack is the top-most modal, which is the only one that
+   * responds to the Escape key, background clicks and focus trapping.
    */
-  function _createModalObject(id) {
-    var modal = {};
-
-    modal.trigger =
-      document.querySelector('[' + TRIGGER_ATTR + '="' + id + '"]');
+  var modalStack = [];
 
-    modal.body = document.getElementById(id);
-
-    return modal.trigger && modal.body ? modal : null;
-  }
+  /**
+   * Keeps track of every modal instance that has been created.
+   */
+  var instances = [];
 
   /**
-   * Opens the modal
-   * @param {String} id - A unique string used for the modal's id attribute
-   * @param {Function} callback - A function that is executed after modal
-   * is opened.
+   * Creates an object that holds the state of a single modal and the
+   * methods used to open, close and destroy it. Instances are stored on
+   * the modal element and can be retrieved with Rivet.get(element).
+   * @param {HTMLElement} element - The modal element
+   * @returns {Object} - The modal instance
    */
-  function open(id, callback) {
+  function _createInstance(element) {
+    var instance = {
+      element: element,
+      options: _getOptions(element),
+      // The element to return focus to when the modal closes
+      returnFocusTo: null
+    };
+
     /**
-     * DEPRECATED: This is to add backwards compatibility for the older API
-     * where you needed to pass in the modal Object/HTMLElement. This should
-     * be deprecated in the next major version.
+     * @returns {Boolean} - true if the modal is currently open.
      */
-    if (typeof id === 'object' && id.nodeType === 1) {
-      id = id.getAttribute('id');
+    function isOpen() {
+      return modalStack.indexOf(instance) !== -1;
+    }
 
-      if (!id) {
-        throw new Error('Please proved an id attribute for the modal you want to open.');
+    /**
+     * Opens the modal. See open() below.
+     * @param {Function} callback
+     * @param {String} reason
+     */
+    function openInstance(callback, reason) {
+      // The modal is already open, so don't add it to the stack again.
+      if (isOpen()) return;
+
+      var trigger =
+        document.querySelector('[' + TRIGGER_ATTR + '="' + element.id + '"]');
+
+      /**
+       * Keep track of whatever should receive focus when this modal closes.
+       * When a modal is opened from inside another open modal (or from
+       * anywhere else without a trigger), that's the focused element.
+       */
+      var activeElement = document.activeElement;
+
+      var returnFocusTo =
+        activeElement && activeElement !== document.body ?
+          activeElement :
+          trigger;
+
+      var eventDetail = {
+        element: element,
+        trigger: returnFocusTo || null,
+        reason: reason || 'api'
+      };
+
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(element, 'id', 'modalBeforeOpen', { cancelable: true, detail: eventDetail })) return;
+
+      instance.returnFocusTo = returnFocusTo;
+
+      modalStack.push(instance);
+
+      element.setAttribute('aria-hidden', 'false');
+
+      // Sets a class on the body to handle overflow and scroll.
+      document.body.classList.add('rvt-modal-open');
+
+      /**
+       * Emit a custom 'modalOpen' event and send along the modal's
+       * id attribute in the event.detail.name(), the modal, its trigger
+       * and what opened it.
+       */
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(element, 'id', 'modalOpen', { detail: eventDetail });
+
+      if (callback && typeof callback === 'function') {
+        callback();
       }
     }
+
     /**
-     * END DEPRECATION
+     * Closes the modal. See close() below.
+     * @param {Function} callback
+     * @param {String} reason
      */
+    function closeInstance(callback, reason) {
+      /**
+       * Return if the modal is already closed. Modals that were shown in
+       * the markup (aria-hidden="false") can still be closed.
+       */
+      if (!isOpen() && element.getAttribute('aria-hidden') !== 'false') return;
+
+      var eventDetail = {
+        element: element,
+        trigger: isOpen() ?
+          instance.returnFocusTo :
+          document.querySelector('[' + TRIGGER_ATTR + '="' + element.id + '"]'),
+        reason: reason || 'api'
+      };
+
+      // eslint-disable-next-line no-undef
+      if (!fireCustomEvent(element, 'id', 'modalBeforeClose', { cancelable: true, detail: eventDetail })) return;
+
+      element.setAttribute('aria-hidden', 'true');
+
+      /**
+       * Only the top-most modal gives focus back when it closes. Closing a
+       * modal underneath it through the API shouldn't pull focus out of
+       * the modal the user is in.
+       */
+      var wasTopOfStack = _topOfStack() === instance;
+
+      _removeFromStack(instance);
+
+      /**
+       * Emit a custom 'modalClose' event and send along the modal's
+       * id attribute in the event.detail.name(), the modal, its trigger
+       * and what closed it.
+       */
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(element, 'id', 'modalClose', { detail: eventDetail });
+
+      // Return focus to whatever opened the modal if it's still in the DOM.
+      var returnFocusTo = instance.returnFocusTo;
+
+      instance.returnFocusTo = null;
+
+      if (
+        wasTopOfStack &&
+        instance.options.returnFocus &&
+        returnFocusTo &&
+        document.body.contains(returnFocusTo)
+      ) {
+        returnFocusTo.focus();
+      }
 
-    var modal = _createModalObject(id);
+      if (callback && typeof callback === 'function') {
+        callback();
+      }
+    }
 
-    if (!modal) return;
+    /**
+     * Removes the instance. If the modal is open it is hidden without
+     * emitting any events.
+     */
+    function destroyInstance() {
+      if (isOpen()) {
+        element.setAttribute('aria-hidden', 'true');
+
+        _removeFromStack(instance);
+      }
+
+      instances.splice(instances.indexOf(instance), 1);
 
-    if (!modal.body) {
-      throw new Error('Could not find a modal with the id of ' + id + ' to open.');
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(element);
     }
 
-    activeModal = modal.body;
+    instance.isOpen = isOpen;
+    instance.open = openInstance;
+    instance.close = closeInstance;
+    instance.destroy = destroyInstance;
 
-    activeTrigger = modal.trigger;
+    instances.push(instance);
 
-    modal.body.setAttribute('aria-hidden', 'false');
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(element, instance);
 
-    // Sets a class on the body to handle overflow and scroll.
-    document.body.classList.add('rvt-modal-open');
+    return instance;
+  }
+
+  /**
+   * @param {HTMLElement} element - The modal element
+   * @returns {Object} - The modal's options
+   */
+  function _getOptions(element) {
+    // eslint-disable-next-line no-undef
+    var defaults = RivetRegistry.extend({}, defaultOptions);
 
     /**
-     * Emit a custom 'modalOpen' event and send along the modal's
-     * id attribute in the event.detail.name()
+     * Modal dialogs (data-modal-dialog) can only be closed with one of
+     * their buttons.
      */
+    if (element.hasAttribute('data-modal-dialog')) {
+      defaults.closeOnBackgroundClick = false;
+      defaults.closeOnEscape = false;
+    }
+
     // eslint-disable-next-line no-undef
-    fireCustomEvent(activeModal, 'id', 'modalOpen');
+    return RivetRegistry.getOptions(element, defaults);
+  }
 
-    if (callback && typeof callback === 'function') {
-      callback();
+  /**
+   * @param {String} id - A modal's id attribute
+   * @returns {Object} - The modal's instance, which is created if it
+   * doesn't exist yet, or null if there is no modal with that id.
+   */
+  function _getInstance(id) {
+    var element = document.getElementById(id);
+
+    if (!element) return null;
+
+    // eslint-disable-next-line no-undef
+    return RivetRegistry.get(element) || _createInstance(element);
+  }
+
+  /**
+   * Removes an instance from the stack of open modals. Only allows the
+   * body to scroll again once the last open modal has been closed.
+   * @param {Object} instance - A modal instance
+   */
+  function _removeFromStack(instance) {
+    var index = modalStack.indexOf(instance);
+
+    if (index !== -1) {
+      modalStack.splice(index, 1);
+    }
+
+    if (!modalStack.length) {
+      document.body.classList.remove('rvt-modal-open');
     }
   }
 
   /**
-   * Closes the modal
+   * @returns {Object} - The instance of the top-most open modal, or
+   * undefined if no modals are open.
+   */
+  function _topOfStack() {
+    return modalStack[modalStack.length - 1];
+  }
+
+  /**
+   * Opens the modal. Emits a cancelable 'modalBeforeOpen' event first. If
+   * a listener calls preventDefault() on it the modal stays closed and the
+   * callback is not executed.
    * @param {String} id - A unique string used for the modal's id attribute
-   * @param {Function} callback - A function that is executed after modal is closed.
+   * @param {Function} callback - A function that is executed after modal
+   * is opened.
+   * @param {String} reason - Optional. Describes what opened the modal and
+   * is sent along in event.detail.reason. Defaults to "api".
    */
-  function close(id, callback) {
+  function open(id, callback, reason) {
     /**
      * DEPRECATED: This is to add backwards compatibility for the older API
      * where you needed to pass in the modal Object/HTMLElement. This should
@@ -116,35 +300,52 @@ var Modal = (function() {
       id = id.getAttribute('id');
 
       if (!id) {
-        throw new Error('Please proved an id attribute for the modal you want to close.');
+        throw new Error('Please proved an id attribute for the modal you want to open.');
       }
     }
     /**
      * END DEPRECATION
      */
 
-    var modal = _createModalObject(id);
-
-    if (!modal) return;
+    var instance = _getInstance(id);
 
-    if (!modal.body) {
-      throw new Error('Could not find a modal with the id of ' + id + ' to close.');
-    }
+    if (!instance) return;
 
-    modal.body.setAttribute('aria-hidden', 'true');
+    instance.open(callback, reason);
+  }
 
-    document.body.classList.remove('rvt-modal-open');
-    
+  /**
+   * Closes the modal. Emits a cancelable 'modalBeforeClose' event first.
+   * If a listener calls preventDefault() on it the modal stays open and the
+   * callback is not executed.
+   * @param {String} id - A unique string used for the modal's id attribute
+   * @param {Function} callback - A function that is executed after modal is closed.
+   * @param {String} reason - Optional. Describes what closed the modal
+   * (e.g. "escape", "background", "closeButton") and is sent along in
+   * event.detail.reason. Defaults to "api".
+   */
+  function close(id, callback, reason) {
     /**
-     * Emit a custom 'modalClose' event and send along the modal's
-     * id attribute in the event.detail.name()
+     * DEPRECATED: This is to add backwards compatibility for the older API
+     * where you needed to pass in the modal Object/HTMLElement. This should
+     * be deprecated in the next major version.
      */
-    // eslint-disable-next-line no-undef
-    fireCustomEvent(activeModal, 'id', 'modalClose');
+    if (typeof id === 'object' && id.nodeType === 1) {
+      id = id.getAttribute('id');
 
-    if (callback && typeof callback === 'function') {
-      callback();
+      if (!id) {
+        throw new Error('Please proved an id attribute for the modal you want to close.');
+      }
     }
+    /**
+     * END DEPRECATION
+     */
+
+    var instance = _getInstance(id);
+
+    if (!instance) return;
+
+    instance.close(callback, reason);
   }
 
   /**
@@ -162,7 +363,12 @@ var Modal = (function() {
       throw new Error('Could not find a modal trigger with the id of ' + id);
     }
 
-    activeTrigger = trigger;
+    // If the modal is open, return focus to this trigger when it closes.
+    var instance = _getInstance(id);
+
+    if (instance && instance.isOpen()) {
+      instance.returnFocusTo = trigger;
+    }
 
     trigger.focus();
   }
@@ -182,8 +388,6 @@ var Modal = (function() {
       throw new Error('Could not find a modal with the id of ' + id);
     }
 
-    activeModal = modal;
-
     modal.focus();
   }
 
@@ -195,9 +399,16 @@ var Modal = (function() {
     /**
      * Stores a boolean in the event object, so we can check to see
      * if we should prevent the event from bubbling up when the user
-     * clicks inside of the inner modal element.
+     * clicks inside of the inner modal element. The inner element has to
+     * belong to the closest modal, otherwise clicking the background of a
+     * modal that is nested inside another modal's markup would count as
+     * a click inside the outer modal.
      */
-    event.target.closest('.rvt-modal__inner, .modal__inner') !== null ?
+    var closestModal = event.target.closest(MODAL_SELECTOR);
+
+    var closestInner = event.target.closest('.rvt-modal__inner, .modal__inner');
+
+    closestInner !== null && closestModal !== null && closestModal.contains(closestInner) ?
       event.clickedInModal = true:
       event.clickedInModal = false;
 
@@ -223,31 +434,37 @@ var Modal = (function() {
     var id = trigger.getAttribute(TRIGGER_ATTR) ||
       (trigger.getAttribute(CLOSE_ATTR) && trigger.getAttribute(CLOSE_ATTR) !== 'close' ?
         trigger.getAttribute(CLOSE_ATTR) : false) ||
-        event.target.closest(MODAL_SELECTOR);
+        closestModal;
+
+    var topModal = _topOfStack();
 
     switch (trigger !== null) {
       case trigger.hasAttribute(TRIGGER_ATTR):
-        open(id);
+        var instance = _getInstance(id);
+
+        if (!instance) return;
+
+        instance.open(null, 'trigger');
 
-        activeModal.focus();
+        // Only focus the modal if opening it wasn't canceled
+        if (instance.isOpen()) focusModal(id);
 
         break;
       case trigger.hasAttribute(CLOSE_ATTR):
         event.preventDefault();
 
-        close(id);
-        
-        // Check to make sure modal was opened via a trigger element.
-        if (activeTrigger !== null) activeTrigger.focus();
+        // Closing the modal returns focus to the element that opened it.
+        close(id, null, 'closeButton');
 
         break;
       case trigger === id && !event.clickedInModal:
-        // If the modal is a dialog bail
-        if (trigger.hasAttribute('data-modal-dialog')) return;
+        // Only the top-most modal can be closed by clicking its background
+        if (!topModal || topModal.element !== trigger) return;
 
-        close(id);
+        // If the modal is a dialog bail
+        if (!topModal.options.closeOnBackgroundClick) return;
 
-        activeTrigger.focus();
+        close(id, null, 'background');
 
         break;
       default:
@@ -263,9 +480,10 @@ var Modal = (function() {
    * @param {HTMLElement} last - last focus-able HTMLElement in an array
    * of focus-able elements
    * @param {Event} event - The event object
+   * @param {HTMLElement} modal - The top-most open modal
    */
-  function _handleBackwardTab(first, last, event) {
-    if (document.activeElement === first || document.activeElement === activeModal) {
+  function _handleBackwardTab(first, last, event, modal) {
+    if (document.activeElement === first || document.activeElement === modal) {
       event.preventDefault();
       last.focus();
     }
@@ -292,10 +510,12 @@ var Modal = (function() {
    * @param {Event} event - The event object
    */
   function _handleKeydown(event) {
-    // Do not continue if key stroke is anything other than Escape or Tab
-    var currentModal = event.target.closest(MODAL_SELECTOR);
+    var topModal = _topOfStack();
+
+    // Do not continue if there aren't any open modals
+    if (!topModal) return;
 
-    if (!currentModal) return;
+    var currentModal = topModal.element;
 
     switch (event.keyCode) {
       case KEYS.tab:
@@ -314,18 +534,30 @@ var Modal = (function() {
 
         var lastFocusable = focusables[focusables.length - 1];
 
+        if (!firstFocusable) return;
+
+        /**
+         * If focus has ended up outside of the top-most modal (for
+         * instance, in a modal further down the stack) move it back in.
+         */
+        if (!currentModal.contains(document.activeElement)) {
+          event.preventDefault();
+          firstFocusable.focus();
+
+          return;
+        }
+
         event.shiftKey ?
-          _handleBackwardTab(firstFocusable, lastFocusable, event) :
+          _handleBackwardTab(firstFocusable, lastFocusable, event, currentModal) :
           _handleForwardTab(firstFocusable, lastFocusable, event);
 
         break;
       case KEYS.escape:
         // If it's a modal dialog, bail
-        if (activeModal.hasAttribute('data-modal-dialog')) return;
-
-        close(activeModal.id);
+        if (!topModal.options.closeOnEscape) return;
 
-        if (activeTrigger !== null) activeTrigger.focus();
+        // Only the top-most modal is closed.
+        close(currentModal.id, null, 'escape');
 
         break;
       default:
@@ -333,6 +565,291 @@ var Modal = (function() {
     }
   }
 
+  /**
+   * Used to create unique ids for modals generated by confirm() and
+   * prompt().
+   */
+  var generatedCount = 0;
+
+  /**
+   * Builds a button for the controls of a generated modal.
+   * @param {Object} button - An object with a "label", an "action" that
+   * the promise will be resolved with, an optional "modifier" such as
+   * "secondary" or "danger" and an optional "type".
+   * @returns {HTMLButtonElement}
+   */
+  function _buildDialogButton(button) {
+    var buttonEl = document.createElement('button');
+
+    buttonEl.setAttribute('type', button.type || 'button');
+
+    buttonEl.className = button.modifier ?
+      'rvt-button rvt-button--' + button.modifier :
+      'rvt-button';
+
+    buttonEl.setAttribute('data-modal-action', button.action);
+
+    buttonEl.textContent = button.label;
+
+    return buttonEl;
+  }
+
+  /**
+   * Builds the markup for a modal generated by confirm() or prompt() and
+   * appends it to the document body. The title, message and button labels
+   * are all added as text, so they are safe to use with user input.
+   * @param {Object} options - See confirm()
+   * @returns {HTMLElement} - The generated modal
+   */
+  function _buildDialog(options) {
+    generatedCount++;
+
+    var id = 'rvt-modal-generated-' + generatedCount;
+
+    var modal = document.createElement('div');
+    modal.className = 'rvt-modal';
+    modal.id = id;
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('tabindex', '-1');
+    modal.setAttribute('aria-hidden', 'true');
+    modal.setAttribute('aria-labelledby', id + '-title');
+    modal.setAttribute('data-modal-generated', '');
+
+    if (options.dialog) {
+      modal.setAttribute('data-modal-dialog', 'true');
+    }
+
+    var inner = document.createElement('div');
+    inner.className = 'rvt-modal__inner';
+
+    var header = document.createElement('header');
+    header.className = 'rvt-modal__header';
+
+    var title = document.createElement('h1');
+    title.className = 'rvt-modal__title';
+    title.id = id + '-title';
+    title.textContent = options.title || '';
+
+    header.appendChild(title);
+    inner.appendChild(header);
+
+    var body = document.createElement('div');
+    body.className = 'rvt-modal__body';
+
+    if (options.message) {
+      var message = document.createElement('p');
+      message.id = id + '-message';
+      message.textContent = options.message;
+
+      body.appendChild(message);
+
+      modal.setAttribute('aria-describedby', message.id);
+    }
+
+    inner.appendChild(body);
+
+    var controls = document.createElement('div');
+    controls.className = 'rvt-modal__controls';
+
+    options.buttons.forEach(function(button) {
+      controls.appendChild(_buildDialogButton(button));
+    });
+
+    inner.appendChild(controls);
+
+    // Modal dialogs can't be dismissed, so they don't get a close button.
+    if (!options.dialog) {
+      var closeButton = document.createElement('button');
+      closeButton.className = 'rvt-button rvt-button--plain rvt-modal__close';
+      closeButton.setAttribute('type', 'button');
+      closeButton.setAttribute(CLOSE_ATTR, id);
+      closeButton.innerHTML =
+        '<span class="v-hide">Close</span>' +
+        '<svg role="img" alt="" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">' +
+        '<path fill="currentColor" d="M9.41,8l5.29-5.29a1,1,0,0,0-1.41-1.41L8,6.59,2.71,1.29A1,1,0,0,0,1.29,2.71L6.59,8,1.29,13.29a1,1,0,1,0,1.41,1.41L8,9.41l5.29,5.29a1,1,0,0,0,1.41-1.41Z"/>' +
+        '</svg>';
+
+      inner.appendChild(closeButton);
+    }
+
+    modal.appendChild(inner);
+
+    document.body.appendChild(modal);
+
+    return modal;
+  }
+
+  /**
+   * Opens a generated modal and returns a Promise that is resolved when
+   * it closes. The modal is removed from the DOM once it has been closed.
+   * @param {HTMLElement} modal - A modal built by _buildDialog()
+   * @param {Function} getResult - A function that is passed the action of
+   * the button that was clicked and returns the value to resolve with.
+   * @param {HTMLElement} focusTarget - The element to focus once the
+   * modal is open.
+   * @returns {Promise}
+   */
+  function _openDialog(modal, getResult, focusTarget) {
+    var instance = _getInstance(modal.id);
+
+    // eslint-disable-next-line no-undef
+    return new Promise(function(resolve) {
+      // Resolve with null if the modal is dismissed (Escape, close button, etc.)
+      var result = null;
+
+      function handleAction(event) {
+        var button = event.target.closest('[data-modal-action]');
+
+        if (!button) return;
+
+        event.preventDefault();
+
+        result = getResult(button.getAttribute('data-modal-action'));
+
+        instance.close(null, 'action');
+
+        // Closing was canceled by a 'modalBeforeClose' listener
+        if (instance.isOpen()) result = null;
+      }
+
+      function handleClose(event) {
+        if (event.target !== modal) return;
+
+        modal.removeEventListener('click', handleAction, false);
+        modal.removeEventListener('modalClose', handleClose, false);
+
+        instance.destroy();
+
+        modal.parentNode.removeChild(modal);
+
+        resolve(result);
+      }
+
+      modal.addEventListener('click', handleAction, false);
+      modal.addEventListener('modalClose', handleClose, false);
+
+      instance.open();
+
+      // Opening was canceled by a 'modalBeforeOpen' listener
+      if (!instance.isOpen()) {
+        handleClose({ target: modal });
+
+        return;
+      }
+
+      focusTarget ? focusTarget.focus() : modal.focus();
+    });
+  }
+
+  /**
+   * Opens a modal asking the user to confirm or cancel an action. The
+   * modal markup is generated at runtime and removed after it closes.
+   * NOTE: Requires native Promise support or a Promise polyfill.
+   *
+   * @param {Object} options
+   * @param {String} options.title - The modal title
+   * @param {String} options.message - An optional message shown in the
+   * modal body.
+   * @param {String} options.confirmText - Label for the confirm button.
+   * Defaults to "OK".
+   * @param {String} options.cancelText - Label for the cancel button.
+   * Defaults to "Cancel".
+   * @param {Array} options.buttons - Optional list of custom buttons used
+   * in place of the confirm and cancel buttons. Each button is an object
+   * with a "label", an "action" and an optional "modifier"
+   * (e.g. "secondary", "danger").
+   * @param {Boolean} options.dialog - If true, the modal can't be
+   * dismissed with the Escape key or by clicking the background
+   * (see data-modal-dialog).
+   * @returns {Promise} - Resolves with the action of the button that was
+   * clicked ("confirm" or "cancel" by default), or null if the modal was
+   * dismissed.
+   */
+  function confirm(options) {
+    options = options || {};
+
+    var modal = _buildDialog({
+      title: options.title,
+      message: options.message,
+      dialog: options.dialog,
+      buttons: options.buttons || [
+        { label: options.confirmText || 'OK', action: 'confirm' },
+        { label: options.cancelText || 'Cancel', action: 'cancel', modifier: 'secondary' }
+      ]
+    });
+
+    return _openDialog(modal, function(action) {
+      return action;
+    });
+  }
+
+  /**
+   * Opens a modal with a text input asking the user to enter a value.
+   * The modal markup is generated at runtime and removed after it closes.
+   * NOTE: Requires native Promise support or a Promise polyfill.
+   *
+   * @param {Object} options
+   * @param {String} options.title - The modal title
+   * @param {String} options.message - An optional message shown above
+   * the input.
+   * @param {String} options.label - Label for the text input. Defaults to
+   * the message, or the title if there is no message.
+   * @param {String} options.value - An optional initial value for the input
+   * @param {String} options.placeholder - An optional placeholder for the input
+   * @param {String} options.confirmText - Label for the submit button.
+   * Defaults to "OK".
+   * @param {String} options.cancelText - Label for the cancel button.
+   * Defaults to "Cancel".
+   * @param {Boolean} options.dialog - If true, the modal can't be
+   * dismissed with the Escape key or by clicking the background.
+   * @returns {Promise} - Resolves with the value that was entered, or null
+   * if the user canceled or dismissed the modal.
+   */
+  function prompt(options) {
+    options = options || {};
+
+    var modal = _buildDialog({
+      title: options.title,
+      message: options.message,
+      dialog: options.dialog,
+      buttons: [
+        { label: options.confirmText || 'OK', action: 'confirm' },
+        { label: options.cancelText || 'Cancel', action: 'cancel', modifier: 'secondary' }
+      ]
+    });
+
+    var form = document.createElement('form');
+
+    var label = document.createElement('label');
+    label.setAttribute('for', modal.id + '-input');
+    label.textContent = options.label || options.message || options.title || '';
+
+    var input = document.createElement('input');
+    input.setAttribute('type', 'text');
+    input.id = modal.id + '-input';
+    input.value = options.value || '';
+
+    if (options.placeholder) {
+      input.setAttribute('placeholder', options.placeholder);
+    }
+
+    form.appendChild(label);
+    form.appendChild(input);
+
+    modal.querySelector('.rvt-modal__body').appendChild(form);
+
+    // Pressing Enter in the input submits the value
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+
+      modal.querySelector('[data-modal-action="confirm"]').click();
+    }, false);
+
+    return _openDialog(modal, function(action) {
+      return action === 'confirm' ? input.value : null;
+    }, input);
+  }
+
   /**
    * Destroys any initialized Modals
    * @param {HTMLElement} context - An optional DOM element. This only
@@ -350,6 +867,13 @@ var Modal = (function() {
     // Cleans up event listeners
     context.removeEventListener('click', _handleClick, false);
     context.removeEventListener('keydown', _handleKeydown, false);
+
+    // Destroy any modal instances inside of the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
   }
 
   /**
@@ -359,21 +883,101 @@ var Modal = (function() {
    * element for instance, <div id="my-div">Modals only work here</div>,
    * We recommend initializing the modal without passing the context argument
    * and letting all event listeners get attached to the document instead.
+   * @param {Object} options - Optional. Overrides the default options for
+   * every modal in the context. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     // Optional element to bind the event listeners to
     if (context === undefined) {
       context = document;
     }
 
-    // Destroy any initialized modals
-    destroy(context);
+    // Set up modals that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
+    // Remove any event listeners from a previous initialization
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
 
     // Set up event listeners
     context.addEventListener('click', _handleClick, false);
     context.addEventListener('keydown', _handleKeydown, false);
+
+    /**
+     * Create an instance for each modal that doesn't have one yet and
+     * update the options of the ones that do.
+     */
+    Array.prototype.slice.call(context.querySelectorAll(MODAL_SELECTOR))
+      .forEach(function(element) {
+        // eslint-disable-next-line no-undef
+        var instance = RivetRegistry.get(element);
+
+        if (instance) {
+          instance.options = _getOptions(element);
+
+          return;
+        }
+
+        _createInstance(element);
+      });
+  }
+
+  /**
+   * Used by Rivet.observe() to set up modals whose triggers are added to
+   * the DOM after the page has loaded.
+   * @param {HTMLElement} trigger - A modal trigger button
+   */
+  function _connect(trigger) {
+    var modal = document.getElementById(trigger.getAttribute(TRIGGER_ATTR));
+
+    if (!modal) return;
+
+    if (!modal.hasAttribute('role')) modal.setAttribute('role', 'dialog');
+
+    if (!modal.hasAttribute('tabindex')) modal.setAttribute('tabindex', '-1');
+
+    if (!modal.hasAttribute('aria-hidden')) {
+      modal.setAttribute('aria-hidden', 'true');
+    }
+
+    _getInstance(modal.id);
+  }
+
+  /**
+   * Used by Rivet.observe() to clean up after modals that have been
+   * removed from the DOM. If a removed modal was the top-most open modal
+   * focus is returned to whatever opened it.
+   */
+  function _disconnect() {
+    instances.slice().forEach(function(instance) {
+      if (document.documentElement.contains(instance.element)) return;
+
+      var wasTopOfStack = _topOfStack() === instance;
+
+      instance.destroy();
+
+      if (
+        wasTopOfStack &&
+        instance.returnFocusTo &&
+        document.documentElement.contains(instance.returnFocusTo)
+      ) {
+        instance.returnFocusTo.focus();
+      }
+    });
   }
 
+  // Registered by init() so that observer mode only sets up modals once
+  // they've been initialized
+  var observedComponent = {
+    selector: TRIGGER_SELECTOR,
+    connect: _connect,
+    disconnect: _disconnect
+  };
+
   // Returns public APIs
   return {
     init: init,
@@ -381,6 +985,8 @@ var Modal = (function() {
     open: open,
     close: close,
     focusTrigger: focusTrigger,
-    focusModal: focusModal
+    focusModal: focusModal,
+    confirm: confirm,
+    prompt: prompt
   }
 })();
\ No newline at end of file
@@ -14,12 +14,15 @@ var Tabs = (function() {
 
   // Keycodes for easy reference
   var KEYS = {
+    enter: 13,
+    space: 32,
     end: 35,
     home: 36,
     left: 37,
     up: 38,
     right: 39,
     down: 40,
+    delete: 46
   };
 
   /**
@@ -29,6 +32,80 @@ var Tabs = (function() {
    */
   var LEGACY_SELECTORS = '[data-tab], .rvt-tabs__tab[aria-controls]';
 
+  /**
+   * Default options. These can be overridden for every set of tabs by
+   * passing options to init(), or for a single set with data-rvt-*
+   * attributes or JSON in a data-rvt-options attribute on the tab list,
+   * e.g. data-rvt-activation="automatic".
+   */
+  var DEFAULTS = {
+    /**
+     * "manual" only moves focus when the arrow keys are used and tabs are
+     * activated with Enter/Space. "automatic" activates tabs as soon as
+     * they receive focus.
+     */
+    activation: 'manual',
+    /**
+     * Allow tabs to be removed with the Delete key. The tab's panel is
+     * removed with it.
+     */
+    closable: false,
+    /**
+     * Keeps the active tab in the URL so that it survives a reload and
+     * can be shared. "hash" uses the panel id as the URL hash (#tab-2)
+     * and "query" uses a query parameter (?tabs=tab-2). Off by default.
+     */
+    deepLink: '',
+    /**
+     * The query parameter used when deepLink is "query". Defaults to the
+     * tab list's id, or "tab" if it doesn't have one. Each set of tabs on
+     * the page needs its own parameter.
+     */
+    deepLinkParam: '',
+    /**
+     * "push" adds a history entry every time a tab is activated, so the
+     * Back and Forward buttons move between tabs. "replace" updates the
+     * URL without adding entries.
+     */
+    deepLinkHistory: 'push',
+    /**
+     * Used to load panels that have a data-tab-src attribute. A function
+     * that is passed the URL and the panel and returns a Promise that
+     * resolves with the panel's HTML. Defaults to a GET request.
+     */
+    fetch: null,
+    /**
+     * Moves tabs that don't fit on one line into a "More" dropdown menu
+     * at the end of the tab list. The selected tab always stays in the
+     * tab list. Not used for vertical tabs.
+     */
+    overflow: false,
+    // The label of the overflow menu's toggle button
+    overflowText: 'More'
+  };
+
+  // Panels with this attribute are loaded from its URL when first shown
+  var SRC_ATTR = 'data-tab-src';
+
+  // Added to panels once their content has been loaded
+  var LOADED_ATTR = 'data-tab-loaded';
+
+  // Added to the overflow menu items. Holds the id of the tab's panel.
+  var OVERFLOW_ATTR = 'data-tab-overflow';
+
+  // Used to give overflow menus of tab lists without an id a unique id
+  var overflowCount = 0;
+
+  /**
+   * history.state key used to remember the active panel of every set of
+   * deep linked tabs. The URL hash can only hold one panel id, so this
+   * is what lets Back/Forward restore multiple sets of tabs.
+   */
+  var HISTORY_STATE_KEY = 'rivetTabs';
+
+  // Defaults merged with any options passed to init()
+  var defaultOptions = DEFAULTS;
+
   /**
    * @param {nodes} nodeList - Accepts a nodeList and returns an array.
    */
@@ -55,22 +132,850 @@ var Tabs = (function() {
   }
 
   /**
-   *
-   * @param {String} id
+   * Keeps track of every tab set instance that has been created.
+   */
+  var instances = [];
+
+  /**
+   * @param {String} search - A query string, e.g. location.search
+   * @param {String} name
+   * @returns {String} - The parameter's value, or null if it isn't set
+   */
+  function _getQueryParam(search, name) {
+    var params = search.replace(/^\?/, '').split('&');
+
+    for (var i = 0; i < params.length; i++) {
+      var pair = params[i].split('=');
+
+      if (decodeURIComponent(pair[0]) === name) {
+        return decodeURIComponent((pair[1] || '').replace(/\+/g, ' '));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {String} search - A query string, e.g. location.search
+   * @param {String} name
+   * @param {String} value
+   * @returns {String} - The query string with the parameter added or
+   * updated and any other parameters left alone
+   */
+  function _setQueryParam(search, name, value) {
+    var param = encodeURIComponent(name) + '=' + encodeURIComponent(value);
+
+    var params = search.replace(/^\?/, '').split('&')
+      .filter(function(item) {
+        return item !== '' &&
+          decodeURIComponent(item.split('=')[0]) !== name;
+      });
+
+    params.push(param);
+
+    return '?' + params.join('&');
+  }
+
+  /**
+   * @returns {Object} - The current history.state with the active panel
+   * of every set of deep linked tabs added to it
+   */
+  function _getHistoryState() {
+    var currentState = window.history.state;
+
+    var state =
+      // eslint-disable-next-line no-undef
+      RivetRegistry.extend({}, typeof currentState === 'object' ? currentState : {});
+
+    state[HISTORY_STATE_KEY] = instances
+      .filter(function(instance) {
+        return instance.options.deepLink && instance.getActiveTab();
+      })
+      .map(function(instance) {
+        return _getPanelId(instance.getActiveTab());
+      });
+
+    return state;
+  }
+
+  /**
+   * @param {HTMLButtonElement} tab
+   * @returns {String} - The id of the panel the tab controls
+   */
+  function _getPanelId(tab) {
+    /**
+     * NOTE: should think about removing the aria-controls selector in
+     * future versions in favor of the standard data attributes
+     * we are for JS hooks throughout Rivet.
+     */
+    return tab.getAttribute('data-tab') || tab.getAttribute('aria-controls');
+  }
+
+  /**
+   * The default way of loading panel content.
+   * NOTE: Requires native Promise support or a Promise polyfill.
+   * @param {String} url
+   * @returns {Promise} - Resolves with the response text
+   */
+  function _fetchHtml(url) {
+    // eslint-disable-next-line no-undef
+    return new Promise(function(resolve, reject) {
+      var request = new XMLHttpRequest();
+
+      request.open('GET', url);
+
+      request.onload = function() {
+        request.status >= 200 && request.status < 300 ?
+          resolve(request.responseText) :
+          reject(new Error('Could not load ' + url + ' (' + request.status + ')'));
+      };
+
+      request.onerror = function() {
+        reject(new Error('Could not load ' + url));
+      };
+
+      request.send();
+    });
+  }
+
+  /**
+   * Loads the content of a panel that has a data-tab-src attribute. A
+   * loading indicator is shown and the panel is marked aria-busy until
+   * the content has been added. Any Rivet components in the content are
+   * then set up. Panels are only loaded once, unless loading fails.
+   * @param {Object} instance - The tab set instance
+   * @param {HTMLButtonElement} tab - The tab that controls the panel
+   * @param {String} reason - What activated the tab
+   */
+  function _loadPanel(instance, tab, reason) {
+    var panel = document.getElementById(_getPanelId(tab));
+
+    if (
+      !panel ||
+      !panel.hasAttribute(SRC_ATTR) ||
+      panel.hasAttribute(LOADED_ATTR) ||
+      panel.getAttribute('aria-busy') === 'true'
+    ) return;
+
+    var url = panel.getAttribute(SRC_ATTR);
+
+    var fetchHtml =
+      typeof instance.options.fetch === 'function' ?
+        instance.options.fetch :
+        _fetchHtml;
+
+    // Put any placeholder content back if loading fails
+    var placeholder = panel.innerHTML;
+
+    var loader = document.createElement('div');
+
+    loader.className = 'rvt-loader';
+    loader.setAttribute('aria-label', 'Content loading');
+
+    panel.innerHTML = '';
+    panel.appendChild(loader);
+    panel.setAttribute('aria-busy', 'true');
+
+    var detail = {
+      element: panel,
+      trigger: tab,
+      url: url,
+      reason: reason || 'api'
+    };
+
+    /**
+     * Starting the chain with a new Promise means a fetch option that
+     * throws (or doesn't return a promise) is handled the same as a
+     * request that failed. Only failed requests count as load errors.
+     */
+    // eslint-disable-next-line no-undef
+    new Promise(function(resolve) {
+      resolve(fetchHtml(url, panel));
+    }).then(
+      function(html) {
+        panel.innerHTML = html;
+        panel.setAttribute(LOADED_ATTR, '');
+        panel.removeAttribute('aria-busy');
+
+        /**
+         * Set up any components in the new content. A component that
+         * fails to set up shouldn't keep the panel from finishing loading.
+         */
+        try {
+          // eslint-disable-next-line no-undef
+          RivetRegistry.connect(panel);
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(error);
+        }
+
+        // eslint-disable-next-line no-undef
+        fireCustomEvent(panel, 'id', 'tabPanelLoaded', {
+          detail: detail
+        });
+      },
+      function(error) {
+        panel.innerHTML = placeholder;
+        panel.removeAttribute('aria-busy');
+
+        detail.error = error;
+
+        // eslint-disable-next-line no-undef
+        fireCustomEvent(panel, 'id', 'tabPanelError', {
+          detail: detail
+        });
+      }
+    );
+  }
+
+  /**
+   * Creates an object that holds the state of a single set of tabs and
+   * the methods used to activate tabs and destroy it. Instances are stored
+   * on the tab list element (the parent of the tabs) and can be retrieved
+   * with Rivet.get(tablist).
+   * @param {HTMLElement} element - The tab list element
+   * @returns {Object} - The tab set instance
    */
-  function activateTab(id, callback) {
+  function _createInstance(element) {
+    var instance = {
+      element: element,
+      // eslint-disable-next-line no-undef
+      options: RivetRegistry.getOptions(element, defaultOptions)
+    };
+
+    /**
+     * The tab that was selected when the page loaded. Deep linked tabs go
+     * back to it when the URL no longer points at one of their tabs.
+     */
+    var defaultTab;
+
+    /**
+     * @returns {Array} - The tabs (buttons) in the set
+     */
+    function getTabs() {
+      return nodeListToArray(element.querySelectorAll(LEGACY_SELECTORS))
+        .filter(function(tab) {
+          return tab.parentNode === element;
+        });
+    }
+
+    /**
+     * Creates a new array of the tab panels. The array index of each
+     * panel corresponds to the index of each tab (button).
+     * @returns {Array}
+     */
+    function getPanels() {
+      return getTabs().map(function(tab) {
+        return document.getElementById(_getPanelId(tab));
+      });
+    }
+
+    /**
+     * @returns {HTMLButtonElement} - The currently selected tab or null
+     */
+    function getActiveTab() {
+      return getTabs().filter(function(tab) {
+        return tab.getAttribute('aria-selected') === 'true';
+      })[0] || null;
+    }
+
+    /**
+     * @returns {String} - The query parameter used for deep linking
+     */
+    function _getDeepLinkParam() {
+      return instance.options.deepLinkParam || element.id || 'tab';
+    }
+
+    /**
+     * @returns {String} - The panel id in the URL, or null if there isn't
+     * one
+     */
+    function _getUrlPanelId() {
+      if (instance.options.deepLink === 'query') {
+        return _getQueryParam(window.location.search, _getDeepLinkParam());
+      }
+
+      var hash = window.location.hash.replace(/^#/, '');
+
+      return hash ? decodeURIComponent(hash) : null;
+    }
+
+    /**
+     * Writes the active tab's panel id to the URL.
+     * @param {HTMLButtonElement} activeTab
+     */
+    function _updateUrl(activeTab) {
+      var panelId = _getPanelId(activeTab);
+
+      if (_getUrlPanelId() === panelId) return;
+
+      var location = window.location;
+
+      var url = instance.options.deepLink === 'query' ?
+        location.pathname +
+          _setQueryParam(location.search, _getDeepLinkParam(), panelId) +
+          location.hash :
+        location.pathname + location.search + '#' + encodeURIComponent(panelId);
+
+      instance.options.deepLinkHistory === 'replace' ?
+        window.history.replaceState(_getHistoryState(), '', url) :
+        window.history.pushState(_getHistoryState(), '', url);
+    }
+
+    /**
+     * Activates a tab in the set. See activateTab() below.
+     * @param {HTMLButtonElement} activeTab
+     * @param {Function} callback
+     * @param {String} reason
+     */
+    function activate(activeTab, callback, reason) {
+      var tabs = getTabs();
+
+      var tabPanels = getPanels();
+
+      // Keep track of the previously selected tab to send along with the event
+      var previousTab = getActiveTab();
+
+      var previousPanel = previousTab ? tabPanels[tabs.indexOf(previousTab)] : null;
+
+      tabs.forEach(function(item) {
+        item === activeTab ?
+          handleTabActivate(item) :
+          handleTabDeactivate(item);
+      });
+
+      tabPanels.forEach(function(item) {
+        item.id === _getPanelId(activeTab) ?
+          item.removeAttribute('hidden') :
+          item.setAttribute('hidden', 'hidden');
+      });
+
+      // Make sure the selected tab isn't in the overflow menu
+      if (overflow !== null) updateOverflow();
+
+      // Tabs activated because the URL changed are already in the URL
+      if (instance.options.deepLink && reason !== 'url') {
+        _updateUrl(activeTab);
+      }
+
+      /**
+       * NOTE: For backward compatibility, we're excepting either the
+       * 'data-tab' or 'aria-controls' attributes.
+       */
+      var eventAttribute =
+        activeTab.hasAttribute('data-tab') ? 'data-tab' : 'aria-controls';
+
+      // Fire the custom 'tabActivated' event
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(activeTab, eventAttribute, 'tabActivated', {
+        detail: {
+          element: tabPanels[tabs.indexOf(activeTab)],
+          trigger: activeTab,
+          previousTab: previousTab,
+          previousPanel: previousPanel,
+          reason: reason || 'api'
+        }
+      });
+
+      _loadPanel(instance, activeTab, reason);
+
+      // Execute callback if it exists
+      if (callback && typeof callback === 'function') {
+        callback();
+      }
+    }
+
+    /**
+     * @returns {Boolean} - true if the tab list has
+     * aria-orientation="vertical"
+     */
+    function isVertical() {
+      return element.getAttribute('aria-orientation') === 'vertical';
+    }
+
+    /**
+     * Puts a panel where it belongs among the other panels, i.e. in the
+     * same order as the tabs.
+     * @param {HTMLElement} panel
+     * @param {HTMLButtonElement} nextTab - The tab after the panel's tab,
+     * or undefined if the panel's tab is the last one.
+     */
+    function _insertPanel(panel, nextTab) {
+      var nextPanel =
+        nextTab ? document.getElementById(_getPanelId(nextTab)) : null;
+
+      if (nextPanel) {
+        nextPanel.parentNode.insertBefore(panel, nextPanel);
+
+        return;
+      }
+
+      var otherPanels = getPanels().filter(function(item) {
+        return item && item !== panel;
+      });
+
+      // Panels go after the tab list if there aren't any others yet
+      var previous = otherPanels[otherPanels.length - 1] || element;
+
+      previous.parentNode.insertBefore(panel, previous.nextSibling);
+    }
+
+    /**
+     * Creates a new tab and panel. See addTab() below.
+     * @param {Object} tabOptions
+     * @returns {HTMLButtonElement} - The new tab
+     */
+    function addTab(tabOptions) {
+      var tabs = getTabs();
+
+      var position =
+        typeof tabOptions.position === 'number' ? tabOptions.position : tabs.length;
+
+      if (!element.hasAttribute('role')) element.setAttribute('role', 'tablist');
+
+      var tab = document.createElement('button');
+      tab.className = 'rvt-tabs__tab';
+      tab.setAttribute('type', 'button');
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('data-tab', tabOptions.id);
+      tab.textContent = tabOptions.label;
+
+      // Don't replace the id of an element that's already on the page
+      if (!document.getElementById(tabOptions.id + '-tab')) {
+        tab.id = tabOptions.id + '-tab';
+      }
+
+      var panel = document.createElement('div');
+      panel.className = 'rvt-tabs__panel';
+      panel.id = tabOptions.id;
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('tabindex', '0');
+
+      if (tab.id) {
+        panel.setAttribute('aria-labelledby', tab.id);
+      }
+
+      if (typeof tabOptions.content === 'string') {
+        panel.innerHTML = tabOptions.content;
+      } else if (tabOptions.content) {
+        panel.appendChild(tabOptions.content);
+      }
+
+      // New tabs are hidden unless there's no other tab to show
+      handleTabDeactivate(tab);
+
+      panel.setAttribute('hidden', 'hidden');
+
+      var nextTab = tabs[Math.max(position, 0)];
+
+      element.insertBefore(tab, nextTab || null);
+
+      _insertPanel(panel, nextTab);
+
+      // Set up any components in the new content
+      // eslint-disable-next-line no-undef
+      RivetRegistry.connect(panel);
+
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(tab, 'data-tab', 'tabAdded', {
+        detail: {
+          element: panel,
+          trigger: tab,
+          reason: 'api'
+        }
+      });
+
+      if (!getActiveTab()) {
+        activate(tab);
+      } else if (overflow !== null) {
+        updateOverflow();
+      }
+
+      return tab;
+    }
+
+    /**
+     * Removes a tab and its panel. If the tab was selected the tab after
+     * it (or before it, if it was the last tab) is activated instead.
+     * Emits a 'tabRemoved' event once the tab is gone.
+     * @param {HTMLButtonElement} tab
+     * @param {String} reason
+     * @returns {HTMLButtonElement} - The tab that should receive focus
+     * next, or undefined if there are no tabs left.
+     */
+    function removeTab(tab, reason) {
+      var tabs = getTabs();
+
+      var index = tabs.indexOf(tab);
+
+      if (index === -1) return;
+
+      var panel = document.getElementById(_getPanelId(tab));
+
+      var wasSelected = tab.getAttribute('aria-selected') === 'true';
+
+      var nextTab = tabs[index + 1] || tabs[index - 1];
+
+      tab.parentNode.removeChild(tab);
+
+      if (panel) panel.parentNode.removeChild(panel);
+
+      /**
+       * The tab isn't in the DOM anymore, so send the event from the tab
+       * list to make sure it reaches the document.
+       */
+      // eslint-disable-next-line no-undef
+      fireCustomEvent(tab, tab.hasAttribute('data-tab') ? 'data-tab' : 'aria-controls', 'tabRemoved', {
+        target: element,
+        detail: {
+          element: panel,
+          trigger: tab,
+          reason: reason || 'api'
+        }
+      });
+
+      if (wasSelected && nextTab) {
+        activate(nextTab, null, reason);
+      } else if (overflow !== null) {
+        updateOverflow();
+      }
+
+      return nextTab;
+    }
+
+    /**
+     * Moves a tab and its panel to a new position. The selected tab stays
+     * selected.
+     * @param {HTMLButtonElement} tab
+     * @param {Number} index - The tab's new position, starting at 0
+     */
+    function moveTab(tab, index) {
+      var otherTabs = getTabs().filter(function(item) {
+        return item !== tab;
+      });
+
+      if (otherTabs.length === getTabs().length) return;
+
+      var nextTab = otherTabs[Math.max(index, 0)];
+
+      element.insertBefore(tab, nextTab || null);
+
+      var panel = document.getElementById(_getPanelId(tab));
+
+      if (panel) _insertPanel(panel, nextTab);
+
+      if (overflow !== null) updateOverflow();
+    }
+
+    /**
+     * Activates the tab that the URL points at. Used by deep linked tabs
+     * when they're initialized and when the Back and Forward buttons are
+     * used.
+     * @param {Object} state - Optional. A history.state object that was
+     * saved when a tab was activated.
+     */
+    function syncWithUrl(state) {
+      var tabs = getTabs();
+
+      var panelIds = state && state[HISTORY_STATE_KEY];
+
+      var tab;
+
+      if (tabs.indexOf(defaultTab) === -1) {
+        defaultTab = tabs[0];
+      }
+
+      if (panelIds) {
+        tab = tabs.filter(function(item) {
+          return panelIds.indexOf(_getPanelId(item)) !== -1;
+        })[0] || defaultTab;
+      } else {
+        var panelId = _getUrlPanelId();
+
+        tab = tabs.filter(function(item) {
+          return _getPanelId(item) === panelId;
+        })[0];
+
+        // A hash that belongs to another set of tabs leaves this one alone
+        if (!tab && (instance.options.deepLink === 'query' || !panelId)) {
+          tab = defaultTab;
+        }
+      }
+
+      if (tab && tab !== getActiveTab()) {
+        activate(tab, null, 'url');
+      }
+    }
+
+    /**
+     * The "More" dropdown used by the overflow option and the tabs that
+     * have been moved into it. Created the first time it's needed. The
+     * dropdown goes right after the tab list, not inside it, because a tab
+     * list can only contain tabs.
+     */
+    var overflow = null;
+
+    /**
+     * @param {HTMLButtonElement} tab
+     * @returns {Boolean} - true if the tab has been moved into the
+     * overflow menu
+     */
+    function isOverflowed(tab) {
+      return overflow !== null && overflow.tabs.indexOf(tab) !== -1;
+    }
+
+    /**
+     * @returns {HTMLElement} - The overflow dropdown menu, or null if the
+     * overflow option isn't used
+     */
+    function getOverflowMenu() {
+      return overflow !== null ? overflow.menu : null;
+    }
+
+    /**
+     * Builds the overflow dropdown and starts watching the tab list for
+     * size changes.
+     */
+    function _createOverflow() {
+      overflowCount++;
+
+      var id = (element.id || 'rvt-tabs-' + overflowCount) + '-more';
+
+      var wrapper = document.createElement('div');
+      wrapper.className = 'rvt-dropdown rvt-tabs__more';
+
+      var toggle = document.createElement('button');
+      toggle.className = 'rvt-tabs__more-toggle';
+      toggle.setAttribute('type', 'button');
+      toggle.setAttribute('data-dropdown-toggle', id);
+      toggle.setAttribute('aria-haspopup', 'true');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.innerHTML =
+        '<span class="rvt-dropdown__toggle-text"></span>' +
+        '<svg role="img" alt="" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">' +
+        '<path fill="currentColor" d="M8,12.46a2,2,0,0,1-1.52-.7L1.24,5.65a1,1,0,1,1,1.52-1.3L8,10.46l5.24-6.11a1,1,0,0,1,1.52,1.3L9.52,11.76A2,2,0,0,1,8,12.46Z"/>' +
+        '</svg>';
+
+      var menu = document.createElement('div');
+      menu.className = 'rvt-dropdown__menu rvt-dropdown__menu--right';
+      menu.id = id;
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-hidden', 'true');
+
+      wrapper.appendChild(toggle);
+      wrapper.appendChild(menu);
+
+      element.parentNode.insertBefore(wrapper, element.nextSibling);
+
+      element.classList.add('rvt-tabs__tablist--overflow');
+
+      /**
+       * Sets up the dropdown's click and keyboard handling, so the menu
+       * works even if Dropdown.init() hasn't been called for the page.
+       */
+      // eslint-disable-next-line no-undef
+      Dropdown.init(wrapper);
+
+      overflow = {
+        wrapper: wrapper,
+        toggle: toggle,
+        menu: menu,
+        tabs: [],
+        observer: null
+      };
+
+      // Fall back to the window's resize event in older browsers
+      if (typeof ResizeObserver !== 'undefined') {
+        // eslint-disable-next-line no-undef
+        overflow.observer = new ResizeObserver(function() {
+          updateOverflow();
+        });
+
+        /**
+         * Watch the tab list's parent. The tab list itself is only as wide
+         * as the tabs that are left in it.
+         */
+        overflow.observer.observe(element.parentNode);
+      } else {
+        window.addEventListener('resize', updateOverflow, false);
+      }
+    }
+
+    /**
+     * Moves every tab back into the tab list and removes the overflow
+     * dropdown.
+     */
+    function _removeOverflow() {
+      if (overflow === null) return;
+
+      overflow.observer !== null ?
+        overflow.observer.disconnect() :
+        window.removeEventListener('resize', updateOverflow, false);
+
+      overflow.tabs.forEach(function(tab) {
+        tab.removeAttribute('hidden');
+      });
+
+      // eslint-disable-next-line no-undef
+      Dropdown.destroy(overflow.wrapper);
+
+      if (overflow.wrapper.parentNode) {
+        overflow.wrapper.parentNode.removeChild(overflow.wrapper);
+      }
+
+      element.classList.remove('rvt-tabs__tablist--overflow');
+
+      overflow = null;
+    }
+
+    /**
+     * Measures the tab list and moves the tabs that don't fit into the
+     * overflow menu. Called automatically when the tab list is resized
+     * and when tabs are activated or removed. Sets up or removes the
+     * overflow menu if the overflow option has changed.
+     */
+    function updateOverflow() {
+      if (!instance.options.overflow || isVertical()) {
+        _removeOverflow();
+
+        return;
+      }
+
+      if (overflow === null) _createOverflow();
+
+      overflow.toggle.firstChild.textContent = instance.options.overflowText;
+
+      var tabs = getTabs();
+
+      var activeTab = getActiveTab();
+
+      // Start with every tab in the tab list and measure them
+      tabs.forEach(function(tab) {
+        tab.removeAttribute('hidden');
+      });
+
+      overflow.wrapper.setAttribute('hidden', 'hidden');
+      overflow.tabs = [];
+
+      var widths = tabs.map(function(tab) {
+        return tab.offsetWidth;
+      });
+
+      var available = element.clientWidth;
+
+      var total = widths.reduce(function(sum, width) {
+        return sum + width;
+      }, 0);
+
+      if (total > available) {
+        overflow.wrapper.removeAttribute('hidden');
+
+        available -= overflow.wrapper.offsetWidth;
+
+        var used = activeTab ? widths[tabs.indexOf(activeTab)] : 0;
+
+        tabs.forEach(function(tab, index) {
+          if (tab === activeTab) return;
+
+          /**
+           * Once a tab doesn't fit, every tab after it goes into the menu
+           * too so that the tabs stay in order.
+           */
+          if (overflow.tabs.length === 0 && used + widths[index] <= available) {
+            used += widths[index];
+
+            return;
+          }
+
+          overflow.tabs.push(tab);
+        });
+      }
+
+      overflow.menu.innerHTML = '';
+
+      overflow.tabs.forEach(function(tab) {
+        tab.setAttribute('hidden', 'hidden');
+
+        var item = document.createElement('button');
+        item.setAttribute('type', 'button');
+        item.setAttribute('role', 'menuitem');
+        item.setAttribute(OVERFLOW_ATTR, _getPanelId(tab));
+        item.textContent = tab.textContent.trim();
+
+        overflow.menu.appendChild(item);
+      });
+
+      if (overflow.tabs.length === 0) {
+        overflow.wrapper.setAttribute('hidden', 'hidden');
+      }
+    }
+
+    /**
+     * Removes the instance. The tabs are left as they are, apart from any
+     * tabs in the overflow menu, which are moved back into the tab list.
+     */
+    function destroyInstance() {
+      _removeOverflow();
+
+      instances.splice(instances.indexOf(instance), 1);
+
+      // eslint-disable-next-line no-undef
+      RivetRegistry.unregister(element);
+    }
+
+    instance.getTabs = getTabs;
+    instance.getPanels = getPanels;
+    instance.getActiveTab = getActiveTab;
+    instance.activate = activate;
+    instance.isVertical = isVertical;
+    instance.addTab = addTab;
+    instance.removeTab = removeTab;
+    instance.moveTab = moveTab;
+    instance.syncWithUrl = syncWithUrl;
+    instance.isOverflowed = isOverflowed;
+    instance.getOverflowMenu = getOverflowMenu;
+    instance.updateOverflow = updateOverflow;
+    instance.destroy = destroyInstance;
+
+    defaultTab = getActiveTab() || getTabs()[0];
+
+    instances.push(instance);
+
+    // eslint-disable-next-line no-undef
+    RivetRegistry.register(element, instance);
+
+    return instance;
+  }
+
+  /**
+   * @param {HTMLButtonElement} tab - Any tab in the set
+   * @returns {Object} - The instance for the tab's set, which is created
+   * if it doesn't exist yet.
+   */
+  function _getInstance(tab) {
+    var tabList = tab.parentNode;
+
+    // eslint-disable-next-line no-undef
+    return RivetRegistry.get(tabList) || _createInstance(tabList);
+  }
+
+  /**
+   * @param {String} id - The id of the panel a tab controls
+   * @returns {HTMLButtonElement} - The tab or null. Logs a warning if the
+   * tab doesn't exist.
+   */
+  function _findTab(id) {
     /**
      * NOTE: Adding "aria-controls" to this list for backwards
      * compatibility. Should eventually deprecate the use of or
      * "aria-controls" in favor of the data attributes added here.
      */
-    var activeTabSelector =
+    var tabSelector =
       '[data-tab="' + id + '"], [aria-controls="' + id + '"]';
 
-    var activeTab =
-      document.querySelector(activeTabSelector);
+    var tab = document.querySelector(tabSelector);
 
-    if (!activeTab) {
+    if (!tab) {
       /**
        * In recent rewrites of the some of the other JS components I've
        * been throwing Error Objects for things like missing parameters.
@@ -83,126 +988,324 @@ var Tabs = (function() {
         'Please see the Rivet Tabs JavaScript API documentation for more info: ' + '\n'
         + componentUrl
       );
-
-      return;
     }
 
-    var tabSet =
-      activeTab.parentNode.querySelectorAll(LEGACY_SELECTORS);
+    return tab;
+  }
 
-    var tabs = nodeListToArray(tabSet);
+  /**
+   *
+   * @param {String} id
+   * @param {Function} callback
+   * @param {String} reason - Optional. Describes what activated the tab
+   * and is sent along in event.detail.reason. Defaults to "api".
+   */
+  function activateTab(id, callback, reason) {
+    var activeTab = _findTab(id);
 
-    /**
-     * Creates a new array of the tab panels. The array index of each
-     * panel corresponds to the index of each tab (button).
-     */
-    var tabPanels = tabs.map(function (item) {
-      /**
-       * NOTE: should think about removing the aria-controls selector in
-       * future versions in favor of the standard data attributes
-       * we are for JS hooks throughout Rivet.
-       */
-      var id =
-        item.getAttribute('data-tab') ||
-        item.getAttribute('aria-controls');
+    if (!activeTab) return;
 
-      return document.getElementById(id);
-    });
+    _getInstance(activeTab).activate(activeTab, callback, reason);
+  }
 
-    tabs.forEach(function(item) {
-      item === activeTab ?
-        handleTabActivate(item) :
-        handleTabDeactivate(item);
-    });
+  /**
+   * @param {HTMLElement} item - An item in an overflow menu
+   * @returns {Object} - The instance of the tab set the menu belongs to
+   */
+  function _getOverflowInstance(item) {
+    var menu = item.closest('[role="menu"]');
+
+    return instances.filter(function(instance) {
+      return menu !== null && instance.getOverflowMenu() === menu;
+    })[0];
+  }
+
+  /**
+   * @param {HTMLElement} item - An item in an overflow menu
+   * @returns {HTMLButtonElement} - The tab the item stands in for
+   */
+  function _getOverflowedTab(item) {
+    var instance = _getOverflowInstance(item);
+
+    if (!instance) return null;
+
+    return instance.getTabs().filter(function(tab) {
+      return _getPanelId(tab) === item.getAttribute(OVERFLOW_ATTR);
+    })[0] || null;
+  }
+
+  /**
+   * Closes any open overflow menu that the target of a click isn't in.
+   * Dropdown only does this for clicks anywhere on the page if the page
+   * has called Dropdown.init(). Tabs only initializes the overflow
+   * dropdowns themselves.
+   * @param {HTMLElement} target
+   */
+  function _closeOverflowMenus(target) {
+    instances.forEach(function(instance) {
+      var menu = instance.getOverflowMenu();
 
-    tabPanels.forEach(function(item) {
-      var tabId =
-        activeTab.getAttribute('data-tab') ||
-        activeTab.getAttribute('aria-controls');
+      // eslint-disable-next-line no-undef
+      var dropdown = menu !== null ? RivetRegistry.get(menu) : null;
 
-      item.id === tabId ?
-        item.removeAttribute('hidden') :
-        item.setAttribute('hidden', 'hidden');
+      if (
+        dropdown &&
+        dropdown.isOpen() &&
+        dropdown.options.closeOnOutsideClick &&
+        !menu.parentNode.contains(target)
+      ) {
+        dropdown.close(null, 'outsideClick');
+      }
     });
+  }
 
-    /**
-     * NOTE: For backward compatibility, we're excepting either the
-     * 'data-tab' or 'aria-controls' attributes.
-     */
-    var eventAttribute =
-      activeTab.hasAttribute('data-tab') ? 'data-tab' : 'aria-controls';
+  /**
+   * Opens a tab set's overflow menu and focuses the item for a tab that
+   * has been moved into it.
+   * @param {Object} instance
+   * @param {HTMLButtonElement} tab
+   */
+  function _focusOverflowItem(instance, tab) {
+    var menu = instance.getOverflowMenu();
 
-    // Fire the custom 'tabActivated' event
     // eslint-disable-next-line no-undef
-    fireCustomEvent(activeTab, eventAttribute, 'tabActivated');
+    Dropdown.open(menu.id, null, 'keyboard');
+
+    var item =
+      menu.querySelector('[' + OVERFLOW_ATTR + '="' + _getPanelId(tab) + '"]');
+
+    if (item) item.focus();
+  }
+
+  /**
+   * Adds a tab and its panel to a set of tabs. The tab is wired up with
+   * the same ARIA attributes as the tabs in the markup. It's only
+   * selected if no other tab is.
+   * @param {HTMLElement|String} tabList - The tab list element or its id
+   * @param {Object} tabOptions
+   * @param {String} tabOptions.id - The id of the new panel
+   * @param {String} tabOptions.label - The text of the new tab
+   * @param {String|HTMLElement} tabOptions.content - Optional. HTML or an
+   * element to put in the panel.
+   * @param {Number} tabOptions.position - Optional. Where to add the tab,
+   * starting at 0. Defaults to the end of the tab list.
+   * @returns {HTMLButtonElement} - The new tab, or null if the tab list
+   * doesn't exist.
+   */
+  function addTab(tabList, tabOptions) {
+    tabOptions = tabOptions || {};
+
+    if (!tabOptions.id) {
+      throw new Error('You must provide an id for the tab you\'re trying to add.');
+    }
 
-    // Execute callback if it exists
-    if (callback && typeof callback === 'function') {
-      callback();
+    if (typeof tabList === 'string') {
+      tabList = document.getElementById(tabList);
     }
+
+    if (!tabList) {
+      // eslint-disable-next-line no-console
+      console.warn(
+        'There was no tab list found to add the ' + tabOptions.id + ' tab to.' + '\n' +
+        'Please see the Rivet Tabs JavaScript API documentation for more info: ' + '\n'
+        + componentUrl
+      );
+
+      return null;
+    }
+
+    // eslint-disable-next-line no-undef
+    var instance = RivetRegistry.get(tabList) || _createInstance(tabList);
+
+    return instance.addTab(tabOptions);
+  }
+
+  /**
+   * Removes a tab and its panel. If the tab was selected its neighbor is
+   * activated.
+   * @param {String} id - The id of the panel the tab controls
+   */
+  function removeTab(id) {
+    var tab = _findTab(id);
+
+    if (!tab) return;
+
+    _getInstance(tab).removeTab(tab, 'api');
+  }
+
+  /**
+   * Moves a tab and its panel to a new position in its tab list.
+   * @param {String} id - The id of the panel the tab controls
+   * @param {Number} index - The new position, starting at 0
+   */
+  function moveTab(id, index) {
+    var tab = _findTab(id);
+
+    if (!tab) return;
+
+    _getInstance(tab).moveTab(tab, index);
   }
 
   function _handleClick(event) {
+    _closeOverflowMenus(event.target);
+
+    var overflowItem = event.target.closest('[' + OVERFLOW_ATTR + ']');
+
+    // Items in the overflow menu activate the tab they stand in for
+    if (overflowItem) {
+      var overflowedTab = _getOverflowedTab(overflowItem);
+
+      if (!overflowedTab) return;
+
+      // eslint-disable-next-line no-undef
+      Dropdown.close(overflowItem.closest('[role="menu"]').id, null, 'select');
+
+      _getInstance(overflowedTab).activate(overflowedTab, null, 'click');
+
+      overflowedTab.focus();
+
+      return;
+    }
+
     // NOTE: Backwards compatibility for 'aria-controls' here.
     var activeTab = event.target.closest(LEGACY_SELECTORS);
 
     if (!activeTab) return;
 
-    var id =
-      activeTab.getAttribute('data-tab') ||
-      activeTab.getAttribute('aria-controls');
-
-    activateTab(id);
+    activateTab(_getPanelId(activeTab), null, 'click');
   }
 
   function _handleKeydown(event) {
     // Handle keydown events here
     var activeTab  = event.target.closest(LEGACY_SELECTORS);
 
-    if (!activeTab) return;
-
-    // Create a nodeList of all the buttons in the tab set
-    var tabSet =
-      activeTab.parentNode.querySelectorAll(LEGACY_SELECTORS);
+    var overflowItem = event.target.closest('[' + OVERFLOW_ATTR + ']');
 
     /**
-     * Convert nodeList to an array so we can find the first, last, etc.
-     * element and use Array methods on it.
+     * Left and Right move between tabs from inside the overflow menu too.
+     * The dropdown handles every other key in the menu.
      */
-    var tabs = nodeListToArray(tabSet);
+    if (overflowItem) {
+      if (event.keyCode !== KEYS.left && event.keyCode !== KEYS.right) return;
+
+      activeTab = _getOverflowedTab(overflowItem);
+    }
+
+    if (!activeTab) return;
+
+    var instance = _getInstance(activeTab);
+
+    // An array of all the buttons in the tab set
+    var tabs = instance.getTabs();
 
     var nextTab = tabs.indexOf(activeTab) + 1;
 
     var prevTab = tabs.indexOf(activeTab) - 1;
 
+    /**
+     * The arrow keys follow the tab list's aria-orientation. Left/Right
+     * for horizontal tabs (the default) and Up/Down for vertical tabs.
+     */
+    var nextKey = instance.isVertical() ? KEYS.down : KEYS.right;
+
+    var prevKey = instance.isVertical() ? KEYS.up : KEYS.left;
+
+    var tabToFocus;
+
     switch (event.keyCode) {
-      case KEYS.right:
-        event.preventDefault()
-        !tabs[nextTab] ?
-          tabs[0].focus() :
-          tabs[nextTab].focus();
+      case nextKey:
+        tabToFocus = !tabs[nextTab] ? tabs[0] : tabs[nextTab];
 
         break;
-      case KEYS.left:
-        event.preventDefault()
-        !tabs[prevTab] ?
-          tabs[tabs.length - 1].focus() :
-          tabs[prevTab].focus();
+      case prevKey:
+        tabToFocus = !tabs[prevTab] ? tabs[tabs.length - 1] : tabs[prevTab];
 
         break;
       case KEYS.end:
-        event.preventDefault()
-        tabs[tabs.length - 1].focus();
+        tabToFocus = tabs[tabs.length - 1];
 
         break;
       case KEYS.home:
-        event.preventDefault()
-        tabs[0].focus();
+        tabToFocus = tabs[0];
 
         break;
+      case KEYS.enter:
+      case KEYS.space:
+        // Prevent the button's click so the tab isn't activated twice
+        event.preventDefault();
+
+        instance.activate(activeTab, null, 'keyboard');
+
+        return;
+      case KEYS.delete:
+        if (!instance.options.closable) return;
+
+        event.preventDefault();
+
+        tabToFocus = instance.removeTab(activeTab, 'keyboard');
+
+        if (tabToFocus) tabToFocus.focus();
+
+        return;
       default:
         return;
     }
+
+    event.preventDefault();
+
+    var automatic = instance.options.activation === 'automatic';
+
+    // Tabs in the overflow menu are focused in the menu until activated
+    if (instance.isOverflowed(tabToFocus) && !automatic) {
+      _focusOverflowItem(instance, tabToFocus);
+
+      return;
+    }
+
+    if (overflowItem) {
+      // eslint-disable-next-line no-undef
+      Dropdown.close(overflowItem.closest('[role="menu"]').id, null, 'keyboard');
+    }
+
+    /**
+     * With automatic activation tabs are activated as they receive focus.
+     * Activating first moves tabs out of the overflow menu.
+     */
+    if (automatic) {
+      instance.activate(tabToFocus, null, 'keyboard');
+    }
+
+    tabToFocus.focus();
+  }
+
+  /**
+   * Handles the Back and Forward buttons and changes to the URL hash for
+   * deep linked tabs. See the deepLink option.
+   */
+  function _handleHistoryChange() {
+    instances.forEach(function(instance) {
+      if (instance.options.deepLink) {
+        instance.syncWithUrl(window.history.state);
+      }
+    });
+  }
+
+  /**
+   * Activates the tabs the URL points at for every set of deep linked
+   * tabs and saves their state for the Back and Forward buttons.
+   */
+  function _syncInstancesWithUrl() {
+    var deepLinked = instances.filter(function(instance) {
+      return instance.options.deepLink;
+    });
+
+    if (deepLinked.length === 0) return;
+
+    deepLinked.forEach(function(instance) {
+      instance.syncWithUrl(window.history.state);
+    });
+
+    window.history.replaceState(_getHistoryState(), '');
   }
 
   /**
@@ -213,28 +1316,150 @@ var Tabs = (function() {
       context = document;
     }
 
+    // Destroy any tab set instances inside of the context
+    instances.slice().forEach(function(instance) {
+      if (context === document || context.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+
     context.removeEventListener('click', _handleClick, false);
     context.removeEventListener('keydown', _handleKeydown, false);
+
+    if (context === document) {
+      window.removeEventListener('popstate', _handleHistoryChange, false);
+      window.removeEventListener('hashchange', _handleHistoryChange, false);
+    }
   }
 
   /**
    * @param {HTMLElement} context
+   * @param {Object} options - Optional. Overrides the default options for
+   * every set of tabs in the context. See DEFAULTS above.
    */
-  function init(context) {
+  function init(context, options) {
     if (context === undefined) {
       context = document;
     }
 
-    // Destroy any currently initialized tabs
-    destroy(context);
+    // Set up tabs that are added later when Rivet.observe() is running
+    // eslint-disable-next-line no-undef
+    RivetRegistry.addComponent(observedComponent);
+
+    // eslint-disable-next-line no-undef
+    defaultOptions = RivetRegistry.extend({}, DEFAULTS, options);
+
+    // Remove any event listeners from a previous initialization
+    context.removeEventListener('click', _handleClick, false);
+    context.removeEventListener('keydown', _handleKeydown, false);
 
     context.addEventListener('click', _handleClick, false);
     context.addEventListener('keydown', _handleKeydown, false);
+
+    /**
+     * The history events only fire on the window. Older browsers only
+     * fire hashchange when the hash changes, newer ones fire both.
+     */
+    window.removeEventListener('popstate', _handleHistoryChange, false);
+    window.removeEventListener('hashchange', _handleHistoryChange, false);
+
+    window.addEventListener('popstate', _handleHistoryChange, false);
+    window.addEventListener('hashchange', _handleHistoryChange, false);
+
+    /**
+     * Create an instance for each set of tabs that doesn't have one yet
+     * and update the options of the ones that do.
+     */
+    nodeListToArray(context.querySelectorAll(LEGACY_SELECTORS))
+      .forEach(function(tab) {
+        var instance = _getInstance(tab);
+
+        // eslint-disable-next-line no-undef
+        instance.options = RivetRegistry.getOptions(instance.element, defaultOptions);
+      });
+
+    _syncInstancesWithUrl();
+
+    instances.forEach(function(instance) {
+      var activeTab = instance.getActiveTab();
+
+      // Load the content of selected panels that have a data-tab-src
+      if (activeTab) _loadPanel(instance, activeTab, 'api');
+
+      instance.updateOverflow();
+    });
   }
 
+  /**
+   * Used by Rivet.observe() to set up tabs that are added to the DOM after
+   * the page has loaded. Makes sure exactly one tab in the set is
+   * selected and that only its panel is visible.
+   * @param {HTMLButtonElement} tab - Any tab in the set
+   */
+  function _connect(tab) {
+    var instance = _getInstance(tab);
+
+    var tabs = instance.getTabs();
+
+    var selectedTab = instance.getActiveTab() || tabs[0];
+
+    if (!instance.element.hasAttribute('role')) {
+      instance.element.setAttribute('role', 'tablist');
+    }
+
+    tabs.forEach(function(item) {
+      if (!item.hasAttribute('role')) item.setAttribute('role', 'tab');
+
+      item === selectedTab ?
+        handleTabActivate(item) :
+        handleTabDeactivate(item);
+    });
+
+    instance.getPanels().forEach(function(panel) {
+      if (!panel) return;
+
+      if (!panel.hasAttribute('role')) panel.setAttribute('role', 'tabpanel');
+
+      panel.id === _getPanelId(selectedTab) ?
+        panel.removeAttribute('hidden') :
+        panel.setAttribute('hidden', 'hidden');
+    });
+
+    if (instance.options.deepLink) {
+      instance.syncWithUrl(window.history.state);
+    }
+
+    _loadPanel(instance, instance.getActiveTab(), 'api');
+
+    instance.updateOverflow();
+  }
+
+  /**
+   * Used by Rivet.observe() to clean up after tabs that have been removed
+   * from the DOM.
+   */
+  function _disconnect() {
+    instances.slice().forEach(function(instance) {
+      if (!document.documentElement.contains(instance.element)) {
+        instance.destroy();
+      }
+    });
+  }
+
+  // Registered by init() so that observer mode only sets up tabs once
+  // they've been initialized
+  var observedComponent = {
+    selector: '[data-tab]',
+    connect: _connect,
+    disconnect: _disconnect
+  };
+
   return {
     init: init,
     destroy: destroy,
-    activateTab: activateTab
+    activateTab: activateTab,
+    addTab: addTab,
+    removeTab: removeTab,
+    moveTab: moveTab
   };
 })();
\ No newline at end of file
@@ -14,5 +14,6 @@
   Modal.init();
   Tabs.init();
   FileInput.init();
+  Combobox.init();
 })();
 /* eslint-enable */
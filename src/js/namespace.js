@@ -0,0 +1,47 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * Collects all of the components and the public Rivet utilities into a
+ * single object. This is the Rivet global in rivet.js and rivet.umd.js
+ * and the default export of rivet.esm.js, so it has the same shape in
+ * every build. Unlike index.js this doesn't initialize anything; call
+ * init() or the individual components' init() methods when you're ready.
+ */
+/* eslint-disable no-undef */
+// eslint-disable-next-line no-unused-vars
+var Rivet = (function() {
+  'use strict';
+
+  /**
+   * Initializes every component.
+   * @param {HTMLElement} context - An optional DOM element that is passed
+   * along to each component's init() method.
+   */
+  function init(context) {
+    Alert.init(context);
+    Drawer.init(context);
+    Dropdown.init(context);
+    Modal.init(context);
+    Tabs.init(context);
+    FileInput.init(context);
+    Combobox.init(context);
+  }
+
+  return {
+    Alert: Alert,
+    Drawer: Drawer,
+    Dropdown: Dropdown,
+    Modal: Modal,
+    Tabs: Tabs,
+    FileInput: FileInput,
+    Combobox: Combobox,
+    get: RivetRegistry.get,
+    observe: RivetRegistry.observe,
+    disconnect: RivetRegistry.disconnect,
+    init: init
+  };
+})();
+/* eslint-enable no-undef */
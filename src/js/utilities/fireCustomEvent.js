@@ -11,18 +11,42 @@
  * A data attribute with a unique value
  * @param {String} eventName
  * A unique name for the custom event
+ * @param {Object} options
+ * Optional settings for the event. Set "cancelable" to true to allow
+ * listeners to call preventDefault() on the event. Any properties of
+ * "detail" (e.g. the component element, its trigger and the reason for
+ * the event) are added to the event's detail alongside name(). Set
+ * "target" to dispatch the event from a different element, e.g. when the
+ * element has already been removed from the DOM.
+ * @returns {Boolean}
+ * false if the event was cancelable and a listener called
+ * preventDefault(), otherwise true.
  */
 // eslint-disable-next-line no-unused-vars
-var fireCustomEvent = function (element, attributeId, eventName) {
+var fireCustomEvent = function (element, attributeId, eventName, options) {
+  options = options || {};
+
+  var detail = {
+    name: function () {
+      return element.getAttribute(attributeId);
+    }
+  };
+
+  if (options.detail) {
+    Object.keys(options.detail).forEach(function (key) {
+      // Don't let extra detail overwrite name() for backwards compatibility
+      if (key === 'name') return;
+
+      detail[key] = options.detail[key];
+    });
+  }
+
   var event = new CustomEvent(eventName, {
     bubbles: true,
-    detail: {
-      name: function () {
-        return element.getAttribute(attributeId);
-      }
-    }
+    cancelable: options.cancelable === true,
+    detail: detail
   });
 
   // Distpatch the event
-  element.dispatchEvent(event);
+  return (options.target || element).dispatchEvent(event);
 }
@@ -0,0 +1,292 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * Keeps track of the component instances that Alert, Drawer, Dropdown,
+ * Modal and Tabs create for each element they manage. An instance holds
+ * the state and options of a single component (e.g. whether a dropdown
+ * menu is open) and exposes methods like open(), close() and destroy().
+ *
+ * Also reads component options from data-rvt-* attributes, see
+ * getOptions(), and provides an opt-in observer mode, Rivet.observe(), that watches the
+ * DOM for component markup being added or removed after the components
+ * have been initialized.
+ *
+ * This is internal to the components. The public parts, get(), observe()
+ * and disconnect(), are on the Rivet namespace, see namespace.js.
+ */
+// eslint-disable-next-line no-unused-vars
+var RivetRegistry = (function() {
+  'use strict';
+
+  // Property used to store an instance on the component's root element
+  var INSTANCE_PROPERTY = 'rivetInstance';
+
+  // Prefix for attributes used to set component options
+  var OPTION_PREFIX = 'data-rvt-';
+
+  // Attribute that can hold all of a component's options as JSON
+  var OPTIONS_ATTR = 'data-rvt-options';
+
+  /**
+   * Components that want to know when their markup is added to or
+   * removed from the DOM. See addComponent() below.
+   */
+  var components = [];
+
+  // The MutationObserver used by observe(), if it's running
+  var observer = null;
+
+  /**
+   * @param {HTMLElement|String} element - A component's root element or
+   * its id attribute. That is the modal, dropdown menu, drawer, tablist
+   * or alert element.
+   * @returns {Object} - The component instance for the element, or null
+   * if it hasn't been initialized.
+   */
+  function get(element) {
+    if (typeof element === 'string') {
+      element = document.getElementById(element);
+    }
+
+    if (!element) return null;
+
+    return element[INSTANCE_PROPERTY] || null;
+  }
+
+  /**
+   * Used by components to store a newly created instance.
+   * @param {HTMLElement} element - The component's root element
+   * @param {Object} instance - The component instance
+   */
+  function register(element, instance) {
+    element[INSTANCE_PROPERTY] = instance;
+  }
+
+  /**
+   * Used by components to remove an instance when it's destroyed.
+   * @param {HTMLElement} element - The component's root element
+   */
+  function unregister(element) {
+    element[INSTANCE_PROPERTY] = null;
+  }
+
+  /**
+   * Copies the properties of one or more source objects onto the target
+   * object. Later sources win. Undefined values are skipped.
+   * @param {Object} target
+   * @returns {Object} - The target object
+   */
+  function extend(target) {
+    for (var i = 1; i < arguments.length; i++) {
+      var source = arguments[i] || {};
+
+      for (var key in source) {
+        if (source.hasOwnProperty(key) && source[key] !== undefined) {
+          target[key] = source[key];
+        }
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * @param {String} name - A camelCase option name, e.g. "closeOnEscape"
+   * @returns {String} - The matching attribute, e.g.
+   * "data-rvt-close-on-escape"
+   */
+  function _optionToAttribute(name) {
+    return OPTION_PREFIX + name.replace(/([A-Z])/g, '-$1').toLowerCase();
+  }
+
+  /**
+   * Converts an attribute value to the same type as the option's
+   * default value.
+   * @param {String} value - The attribute value
+   * @param {*} defaultValue - The option's default value
+   * @returns {*}
+   */
+  function _parseOptionValue(value, defaultValue) {
+    if (typeof defaultValue === 'boolean') {
+      // <div data-rvt-close-on-escape> is the same as setting it to "true"
+      return value !== 'false';
+    }
+
+    if (typeof defaultValue === 'number') {
+      return value === '' || isNaN(Number(value)) ? defaultValue : Number(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Reads a component's options from its root element and merges them
+   * with the defaults. Options can be set with individual attributes,
+   * e.g. data-rvt-close-on-escape="false", or all at once as JSON in the
+   * data-rvt-options attribute. Individual attributes win over JSON.
+   * @param {HTMLElement} element - The component's root element
+   * @param {Object} defaults - Every option the component supports and
+   * its default value, usually the component's defaults merged with the
+   * options that were passed to init().
+   * @returns {Object} - The merged options
+   */
+  function getOptions(element, defaults) {
+    var options = extend({}, defaults);
+
+    var json = element.getAttribute(OPTIONS_ATTR);
+
+    if (json) {
+      try {
+        extend(options, JSON.parse(json));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          'Could not parse the ' + OPTIONS_ATTR + ' attribute of ' +
+          (element.id ? '#' + element.id : element.nodeName.toLowerCase()) +
+          '. It needs to be valid JSON.'
+        );
+      }
+    }
+
+    Object.keys(defaults).forEach(function(name) {
+      var attribute = _optionToAttribute(name);
+
+      if (element.hasAttribute(attribute)) {
+        options[name] =
+          _parseOptionValue(element.getAttribute(attribute), defaults[name]);
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Used by components to hook into observer mode. Components call this
+   * from their init() methods, so observe() and connect() only set up
+   * the components that have been initialized.
+   * @param {Object} component
+   * @param {String} component.selector - Matches the elements the
+   * component is interested in, e.g. '[data-modal-trigger]'
+   * @param {Function} component.connect - Called with each matching
+   * element that is added to the DOM. Used to normalize ARIA attributes
+   * and create instances.
+   * @param {Function} component.disconnect - Called after elements have
+   * been removed from the DOM. Used to destroy any instances whose
+   * element is no longer in the document.
+   */
+  function addComponent(component) {
+    // Components add themselves every time they're initialized
+    if (components.indexOf(component) !== -1) return;
+
+    components.push(component);
+  }
+
+  /**
+   * Calls connect() for every element matching a component's selector
+   * in the node, including the node itself.
+   * @param {Node} node
+   */
+  function _connectNode(node) {
+    // Skip text nodes, comments, etc.
+    if (node.nodeType !== 1) return;
+
+    components.forEach(function(component) {
+      var matches =
+        Array.prototype.slice.call(node.querySelectorAll(component.selector));
+
+      if (node.matches(component.selector)) {
+        matches.unshift(node);
+      }
+
+      matches.forEach(component.connect);
+    });
+  }
+
+  /**
+   * Sets up the components in markup that was added after the components
+   * were initialized, the same way observe() does. Used by components
+   * that add markup themselves, e.g. lazy loaded tab panels.
+   * @param {HTMLElement} element
+   */
+  function connect(element) {
+    _connectNode(element);
+  }
+
+  /**
+   * @param {Array} mutations - MutationRecords from the observer
+   */
+  function _handleMutations(mutations) {
+    var nodesWereRemoved = false;
+
+    mutations.forEach(function(mutation) {
+      Array.prototype.forEach.call(mutation.addedNodes, _connectNode);
+
+      if (mutation.removedNodes.length > 0) {
+        nodesWereRemoved = true;
+      }
+    });
+
+    /**
+     * Elements that were moved show up as both removed and added, so
+     * connecting added nodes first keeps their instances around.
+     */
+    if (nodesWereRemoved) {
+      components.forEach(function(component) {
+        component.disconnect();
+      });
+    }
+  }
+
+  /**
+   * Starts watching for component markup being added to or removed from
+   * the DOM. Matching elements that are already in the DOM are
+   * normalized right away. Only components that have been initialized
+   * with their init() methods are set up (index.js initializes all of
+   * them for you).
+   * @param {HTMLElement} root - An optional element to watch. Defaults to
+   * the document's <html> element.
+   */
+  function observe(root) {
+    if (root === undefined) {
+      root = document.documentElement;
+    }
+
+    // Bail in browsers that don't support MutationObserver
+    if (typeof MutationObserver === 'undefined') return;
+
+    // Stop any observer from a previous call
+    disconnect();
+
+    observer = new MutationObserver(_handleMutations);
+
+    observer.observe(root, { childList: true, subtree: true });
+
+    _connectNode(root);
+  }
+
+  /**
+   * Stops watching the DOM for changes
+   */
+  function disconnect() {
+    if (observer === null) return;
+
+    observer.disconnect();
+
+    observer = null;
+  }
+
+  return {
+    get: get,
+    register: register,
+    unregister: unregister,
+    extend: extend,
+    getOptions: getOptions,
+    addComponent: addComponent,
+    connect: connect,
+    observe: observe,
+    disconnect: disconnect
+  };
+})();
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { createWindow } = require("./helpers/dom");
+
+const MARKUP = `
+  <div class="rvt-alert rvt-alert--info" role="alertdialog" aria-labelledby="info-alert-title">
+    <h1 class="rvt-alert__title" id="info-alert-title">Info</h1>
+    <button class="rvt-alert__dismiss" data-alert-close>Dismiss</button>
+  </div>
+  <div class="rvt-alert" id="plain-alert" role="alert">
+    <button data-alert-close>Dismiss</button>
+  </div>`;
+
+describe("Alert", function() {
+  let window;
+  let document;
+
+  beforeEach(function() {
+    window = createWindow(MARKUP);
+    document = window.document;
+
+    window.Alert.init();
+  });
+
+  it("removes the alert when the dismiss button is clicked", function() {
+    document.querySelector("#plain-alert [data-alert-close]").click();
+
+    expect(document.getElementById("plain-alert")).to.equal(null);
+  });
+
+  it("dismisses alerts by aria-labelledby or id", function() {
+    let called = false;
+
+    window.Alert.dismiss("info-alert-title", () => { called = true; });
+    window.Alert.dismiss("plain-alert");
+
+    expect(document.querySelectorAll(".rvt-alert").length).to.equal(0);
+    expect(called).to.equal(true);
+  });
+
+  it("throws if the alert doesn't exist", function() {
+    expect(() => window.Alert.dismiss("nope")).to.throw();
+  });
+
+  it("hides the alert instead of removing it with removeOnDismiss", function() {
+    window.Alert.init(document, { removeOnDismiss: false });
+
+    window.Alert.dismiss("plain-alert");
+
+    expect(document.getElementById("plain-alert").hasAttribute("hidden")).to.equal(true);
+  });
+
+  describe("create()", function() {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it("adds polite live regions for toasts when initialized", function() {
+      const regions = document.querySelectorAll(".rvt-alert-toasts");
+
+      expect(regions.length).to.equal(4);
+
+      Array.prototype.forEach.call(regions, region => {
+        expect(region.parentNode).to.equal(document.body);
+        expect(region.getAttribute("aria-live")).to.equal("polite");
+        expect(region.children.length).to.equal(0);
+      });
+
+      window.Alert.init();
+
+      expect(document.querySelectorAll(".rvt-alert-toasts").length).to.equal(4);
+    });
+
+    it("builds an alert in a toast region and returns its id", function() {
+      const id = window.Alert.create({ type: "success", title: "Saved", message: "<b>Done</b>" });
+
+      const alert = document.getElementById(id);
+
+      expect(alert.className).to.equal("rvt-alert rvt-alert--success");
+      expect(alert.hasAttribute("role")).to.equal(false);
+      expect(alert.parentNode.className).to.equal("rvt-alert-toasts rvt-alert-toasts--top-right");
+      expect(alert.querySelector(".rvt-alert__title").id).to.equal(alert.getAttribute("aria-labelledby"));
+
+      // Text isn't parsed as HTML
+      expect(alert.querySelector(".rvt-alert__message").textContent).to.equal("<b>Done</b>");
+
+      alert.querySelector("[data-alert-close]").click();
+
+      expect(document.getElementById(id)).to.equal(null);
+    });
+
+    it("stacks toasts in the same region", function() {
+      window.Alert.create({ message: "One" });
+      window.Alert.create({ message: "Two", position: "bottom-left" });
+      window.Alert.create({ message: "Three", type: "danger" });
+
+      const topRight = document.querySelector(".rvt-alert-toasts--top-right");
+      const bottomLeft = document.querySelector(".rvt-alert-toasts--bottom-left");
+
+      expect(topRight.children.length).to.equal(2);
+      expect(topRight.lastChild.getAttribute("role")).to.equal("alert");
+      expect(bottomLeft.children.length).to.equal(1);
+    });
+
+    it("adds alerts to a container and can leave out the dismiss button", function() {
+      const id = window.Alert.create({ message: "Hi", container: "plain-alert", dismissible: false });
+
+      const alert = document.getElementById(id);
+
+      expect(alert.parentNode.id).to.equal("plain-alert");
+      expect(alert.getAttribute("role")).to.equal("status");
+      expect(alert.className).to.equal("rvt-alert rvt-alert--info");
+      expect(alert.querySelector("[data-alert-close]")).to.equal(null);
+
+      window.Alert.dismiss(id);
+      expect(document.getElementById(id)).to.equal(null);
+
+      expect(() => window.Alert.create({ container: "nope" })).to.throw();
+    });
+
+    it("builds inline and standalone alerts", function() {
+      const inline = document.getElementById(window.Alert.create({ type: "warning", message: "Weak", variant: "inline" }));
+      const standalone = document.getElementById(window.Alert.create({ type: "danger", message: "Taken", variant: "standalone" }));
+
+      expect(inline.className).to.equal("rvt-inline-alert rvt-inline-alert--warning");
+      expect(inline.querySelector(".rvt-inline-alert__icon svg")).not.to.equal(null);
+      expect(inline.querySelector(".rvt-inline-alert__message").textContent).to.equal("Weak");
+      expect(standalone.classList.contains("rvt-inline-alert--standalone")).to.equal(true);
+    });
+
+    it("dismisses alerts after the timeout", async function() {
+      const id = window.Alert.create({ message: "Bye", timeout: 20 });
+
+      expect(document.getElementById(id)).not.to.equal(null);
+
+      await wait(50);
+
+      expect(document.getElementById(id)).to.equal(null);
+    });
+
+    it("pauses the timeout while the alert is hovered or focused", async function() {
+      const id = window.Alert.create({ message: "Wait", timeout: 30 });
+      const alert = document.getElementById(id);
+
+      alert.dispatchEvent(new window.Event("mouseenter"));
+      await wait(60);
+      expect(document.getElementById(id)).not.to.equal(null);
+
+      alert.querySelector("button").focus();
+      alert.dispatchEvent(new window.Event("mouseleave"));
+      await wait(60);
+      expect(document.getElementById(id)).not.to.equal(null);
+
+      alert.querySelector("button").blur();
+      await wait(60);
+      expect(document.getElementById(id)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { KEYS, createWindow, keydown, recordEvents } = require("./helpers/dom");
+
+const MARKUP = `
+  <div class="rvt-combobox" data-combobox="building">
+    <label for="building">Building</label>
+    <input type="text" id="building">
+    <ul class="rvt-dropdown__menu rvt-combobox__listbox">
+      <li role="option" data-value="BH">Ballantine Hall</li>
+      <li role="option" data-value="WY">Wylie Hall</li>
+      <li role="option" data-value="SB">Swain Hall</li>
+    </ul>
+  </div>
+  <button class="outside">Outside</button>`;
+
+describe("Combobox", function() {
+  let window;
+  let document;
+  let input;
+
+  beforeEach(function() {
+    window = createWindow(MARKUP);
+    document = window.document;
+    input = document.getElementById("building");
+
+    window.Combobox.init();
+  });
+
+  function listbox() {
+    return document.getElementById(input.getAttribute("aria-controls"));
+  }
+
+  function isOpen() {
+    return input.getAttribute("aria-expanded") === "true";
+  }
+
+  function visibleLabels() {
+    return window.Rivet.get(input).getResults().map(option => option.textContent);
+  }
+
+  function type(text) {
+    input.focus();
+    input.value = text;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+  }
+
+  it("adds the combobox ARIA attributes", function() {
+    expect(input.getAttribute("role")).to.equal("combobox");
+    expect(input.getAttribute("aria-autocomplete")).to.equal("list");
+    expect(input.getAttribute("aria-expanded")).to.equal("false");
+    expect(listbox().id).to.equal("building-listbox");
+    expect(listbox().getAttribute("role")).to.equal("listbox");
+    expect(listbox().getAttribute("aria-hidden")).to.equal("true");
+    expect(listbox().querySelector("li").id).to.equal("building-listbox-option-0");
+  });
+
+  it("filters the options in the markup as you type", function() {
+    type("wy");
+
+    expect(isOpen()).to.equal(true);
+    expect(visibleLabels()).to.deep.equal(["Wylie Hall"]);
+    expect(document.querySelector(".rvt-combobox__status").textContent)
+      .to.equal("1 results available");
+  });
+
+  it("waits for minLength characters", function() {
+    input.setAttribute("data-rvt-min-length", "3");
+    window.Combobox.init();
+
+    type("wy");
+    expect(isOpen()).to.equal(false);
+
+    type("wyl");
+    expect(isOpen()).to.equal(true);
+  });
+
+  it("shows a message when nothing matches", function() {
+    type("zzz");
+
+    const noResults = document.querySelector(".rvt-combobox__no-results");
+
+    expect(isOpen()).to.equal(true);
+    expect(noResults.hidden).to.equal(false);
+    expect(noResults.textContent).to.equal("No results");
+    expect(document.querySelector(".rvt-combobox__status").textContent).to.equal("No results");
+
+    type("hall");
+    expect(noResults.hidden).to.equal(true);
+  });
+
+  it("moves through the options with aria-activedescendant", function() {
+    input.focus();
+
+    keydown(input, KEYS.down);
+
+    const options = listbox().querySelectorAll("li[role='option']");
+
+    expect(isOpen()).to.equal(true);
+    expect(document.activeElement).to.equal(input);
+    expect(input.getAttribute("aria-activedescendant")).to.equal(options[0].id);
+    expect(options[0].classList.contains("rvt-combobox__option--active")).to.equal(true);
+
+    keydown(input, KEYS.up);
+    expect(input.getAttribute("aria-activedescendant")).to.equal(options[2].id);
+    expect(options[0].classList.contains("rvt-combobox__option--active")).to.equal(false);
+  });
+
+  it("selects the active option with Enter and emits comboboxSelect", function() {
+    const events = recordEvents(window, ["comboboxSelect"]);
+
+    type("hall");
+    keydown(input, KEYS.down);
+    keydown(input, KEYS.down);
+
+    const enter = keydown(input, KEYS.enter);
+
+    expect(enter.defaultPrevented).to.equal(true);
+    expect(input.value).to.equal("Wylie Hall");
+    expect(isOpen()).to.equal(false);
+    expect(input.hasAttribute("aria-activedescendant")).to.equal(false);
+
+    expect(events).to.have.length(1);
+    expect(events[0].detail.name()).to.equal("building");
+    expect(events[0].detail.value).to.equal("WY");
+    expect(events[0].detail.element).to.equal(input);
+    expect(events[0].detail.option.getAttribute("aria-selected")).to.equal("true");
+    expect(events[0].detail.reason).to.equal("keyboard");
+  });
+
+  it("selects clicked options", function() {
+    const events = recordEvents(window, ["comboboxSelect"]);
+
+    type("swain");
+    listbox().querySelector("[data-value='SB']").click();
+
+    expect(input.value).to.equal("Swain Hall");
+    expect(events[0].detail.reason).to.equal("click");
+  });
+
+  it("closes with Escape, then clears the input", function() {
+    type("hall");
+
+    keydown(input, KEYS.escape);
+    expect(isOpen()).to.equal(false);
+    expect(input.value).to.equal("hall");
+
+    keydown(input, KEYS.escape);
+    expect(input.value).to.equal("");
+  });
+
+  it("closes on an outside click", function() {
+    type("hall");
+
+    document.querySelector(".outside").click();
+
+    expect(isOpen()).to.equal(false);
+  });
+
+  describe("source option", function() {
+    let calls;
+
+    beforeEach(function() {
+      calls = [];
+
+      window.Combobox.init(document, {
+        debounce: 20,
+        source(text) {
+          calls.push(text);
+
+          return Promise.resolve([
+            { label: "Luddy Hall", value: "LH" },
+            "Lindley Hall"
+          ]);
+        }
+      });
+    });
+
+    it("debounces calls and renders the results", async function() {
+      type("l");
+      type("lu");
+
+      expect(calls).to.deep.equal([]);
+
+      await wait(30);
+
+      expect(calls).to.deep.equal(["lu"]);
+      expect(isOpen()).to.equal(true);
+      expect(visibleLabels()).to.deep.equal(["Luddy Hall", "Lindley Hall"]);
+      expect(listbox().querySelector("[role='option']").getAttribute("data-value")).to.equal("LH");
+    });
+
+    it("ignores results that arrive after the listbox closes", async function() {
+      type("lu");
+      await wait(30);
+
+      window.Combobox.close("building");
+      type("li");
+      keydown(input, KEYS.escape);
+
+      await wait(30);
+
+      expect(isOpen()).to.equal(false);
+      expect(calls).to.deep.equal(["lu"]);
+    });
+
+    it("shows the no results message when the source fails", async function() {
+      window.Rivet.get(input).options.source = () => Promise.reject(new Error("Offline"));
+
+      type("lu");
+      await wait(30);
+
+      expect(visibleLabels()).to.deep.equal([]);
+      expect(document.querySelector(".rvt-combobox__no-results").hidden).to.equal(false);
+      expect(listbox().hasAttribute("aria-busy")).to.equal(false);
+    });
+  });
+
+  describe("requireSelection option", function() {
+    beforeEach(function() {
+      input.setAttribute("data-rvt-require-selection", "true");
+      window.Combobox.init();
+    });
+
+    it("marks the input as invalid when it's left with text that wasn't picked", function() {
+      type("wy");
+      input.blur();
+
+      expect(input.classList.contains("rvt-validation-danger")).to.equal(true);
+      expect(input.getAttribute("aria-invalid")).to.equal("true");
+
+      type("wy");
+      keydown(input, KEYS.down);
+      keydown(input, KEYS.enter);
+
+      expect(input.classList.contains("rvt-validation-danger")).to.equal(false);
+      expect(input.hasAttribute("aria-invalid")).to.equal(false);
+    });
+  });
+
+  it("removes instances when destroyed", function() {
+    type("hall");
+
+    window.Combobox.destroy();
+
+    expect(window.Rivet.get(input)).to.equal(null);
+    expect(isOpen()).to.equal(false);
+    expect(document.querySelector(".rvt-combobox__status")).to.equal(null);
+  });
+});
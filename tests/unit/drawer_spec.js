@@ -0,0 +1,638 @@
+const { expect } = require("chai");
+const {
+  KEYS,
+  createWindow,
+  keydown,
+  recordEvents,
+  makeElementsVisible
+} = require("./helpers/dom");
+
+const MARKUP = `
+  <button data-drawer-toggle="drawer-one" aria-expanded="false">Menu</button>
+  <div class="rvt-drawer" id="drawer-one" aria-hidden="true">
+    <nav class="rvt-drawer__nav">
+      <ul>
+        <li><a href="#" class="one">One</a></li>
+        <li class="has-children">
+          <button class="two" data-subnav-toggle="subnav-one" aria-expanded="false">Two</button>
+          <div id="subnav-one" aria-hidden="true">
+            <a href="#">Subnav</a>
+          </div>
+        </li>
+        <li><a href="#" class="three">Three</a></li>
+      </ul>
+    </nav>
+    <button class="rvt-drawer__bottom-close">Close</button>
+  </div>
+  <button class="outside">Outside</button>`;
+
+describe("Drawer", function() {
+  let window;
+  let document;
+  let toggle;
+  let drawer;
+
+  beforeEach(function() {
+    window = createWindow(MARKUP);
+    document = window.document;
+    toggle = document.querySelector("[data-drawer-toggle]");
+    drawer = document.getElementById("drawer-one");
+
+    makeElementsVisible(window);
+
+    window.Drawer.init();
+  });
+
+  function isOpen() {
+    return drawer.getAttribute("aria-hidden") === "false";
+  }
+
+  describe("open() and close()", function() {
+    it("opens and closes the drawer", function() {
+      const events = recordEvents(window, ["drawerOpen", "drawerClose"]);
+
+      window.Drawer.open("drawer-one");
+
+      expect(isOpen()).to.equal(true);
+      expect(toggle.getAttribute("aria-expanded")).to.equal("true");
+
+      expect(window.Drawer.close("drawer-one")).to.equal(true);
+      expect(isOpen()).to.equal(false);
+
+      expect(events.map(event => event.type)).to.deep.equal(["drawerOpen", "drawerClose"]);
+      expect(events[0].detail.element).to.equal(drawer);
+      expect(events[0].detail.trigger).to.equal(toggle);
+    });
+
+    it("does nothing for drawers that don't exist", function() {
+      expect(() => window.Drawer.open("nope")).not.to.throw();
+      expect(window.Drawer.close("nope")).to.equal(true);
+    });
+
+    it("does nothing for drawers without a toggle", function() {
+      const events = recordEvents(window, ["drawerBeforeOpen", "drawerBeforeClose"]);
+
+      toggle.parentNode.removeChild(toggle);
+
+      expect(() => window.Drawer.open("drawer-one")).not.to.throw();
+      expect(isOpen()).to.equal(false);
+
+      expect(window.Drawer.close("drawer-one")).to.equal(true);
+      expect(events.length).to.equal(0);
+    });
+
+    it("still supports toggle() (deprecated)", function() {
+      window.Drawer.toggle(toggle);
+      expect(isOpen()).to.equal(true);
+
+      window.Drawer.toggle(toggle);
+      expect(isOpen()).to.equal(false);
+    });
+  });
+
+  describe("toggle(), isOpen(), getActive() and closeAll()", function() {
+    beforeEach(function() {
+      window.document.body.insertAdjacentHTML("beforeend", `
+        <button data-drawer-toggle="drawer-two" aria-expanded="false">Filters</button>
+        <div class="rvt-drawer" id="drawer-two" aria-hidden="true">
+          <a href="#">Filter</a>
+        </div>`);
+
+      window.Drawer.init();
+    });
+
+    it("toggles drawers by id and calls the callback", function() {
+      let calls = 0;
+
+      window.Drawer.toggle("drawer-one", () => calls++);
+      expect(window.Drawer.isOpen("drawer-one")).to.equal(true);
+
+      window.Drawer.toggle("drawer-one", () => calls++);
+      expect(window.Drawer.isOpen("drawer-one")).to.equal(false);
+
+      expect(calls).to.equal(2);
+    });
+
+    it("requires an id and ignores drawers that don't exist", function() {
+      expect(() => window.Drawer.toggle()).to.throw();
+      expect(() => window.Drawer.toggle("nope")).not.to.throw();
+      expect(window.Drawer.isOpen("nope")).to.equal(false);
+    });
+
+    it("gets the drawer that was opened most recently", function() {
+      expect(window.Drawer.getActive()).to.equal(null);
+
+      window.Drawer.open("drawer-two");
+      window.Drawer.open("drawer-one");
+
+      expect(window.Drawer.getActive()).to.equal(drawer);
+
+      window.Drawer.close("drawer-one");
+
+      expect(window.Drawer.getActive().id).to.equal("drawer-two");
+    });
+
+    it("closes every drawer with closeAll(), emitting events", function() {
+      const events = recordEvents(window, ["drawerClose"]);
+
+      window.Drawer.open("drawer-one");
+      window.Drawer.open("drawer-two");
+
+      window.Drawer.closeAll();
+
+      expect(window.Drawer.isOpen("drawer-one")).to.equal(false);
+      expect(window.Drawer.isOpen("drawer-two")).to.equal(false);
+      expect(events.length).to.equal(2);
+    });
+  });
+
+  describe("init(context) and destroy(context)", function() {
+    let context;
+
+    beforeEach(function() {
+      window.Drawer.destroy();
+
+      document.body.insertAdjacentHTML("afterbegin", '<div class="context"></div>');
+      context = document.querySelector(".context");
+      context.appendChild(toggle);
+      context.appendChild(drawer);
+    });
+
+    it("only listens for events inside of the context", function() {
+      window.Drawer.init(context);
+
+      toggle.click();
+      expect(isOpen()).to.equal(true);
+
+      // Outside of the context
+      keydown(document.body, KEYS.escape);
+      expect(isOpen()).to.equal(true);
+
+      keydown(toggle, KEYS.escape);
+      expect(isOpen()).to.equal(false);
+    });
+
+    it("handles events once when initialized on the document too", function() {
+      window.Drawer.init();
+      window.Drawer.init(context);
+
+      toggle.click();
+      expect(isOpen()).to.equal(true);
+    });
+
+    it("stops listening when destroyed", function() {
+      window.Drawer.init(context);
+      window.Drawer.destroy(context);
+
+      toggle.click();
+      expect(isOpen()).to.equal(false);
+    });
+  });
+
+  describe("clicks", function() {
+    it("toggles subnavs", function() {
+      window.Drawer.open("drawer-one");
+
+      document.querySelector("[data-subnav-toggle]").click();
+
+      expect(document.getElementById("subnav-one").getAttribute("aria-hidden"))
+        .to.equal("false");
+      expect(isOpen()).to.equal(true);
+    });
+
+    it("closes with the bottom close button and focuses the toggle", function() {
+      window.Drawer.open("drawer-one");
+
+      document.querySelector(".rvt-drawer__bottom-close").click();
+
+      expect(isOpen()).to.equal(false);
+      expect(document.activeElement).to.equal(toggle);
+    });
+
+    it("closes on an outside click", function() {
+      toggle.click();
+      expect(isOpen()).to.equal(true);
+
+      document.querySelector(".outside").click();
+      expect(isOpen()).to.equal(false);
+    });
+  });
+
+  describe("keyboard", function() {
+    it("opens with the down arrow, then focuses the first item", function() {
+      toggle.focus();
+
+      keydown(toggle, KEYS.down);
+      expect(isOpen()).to.equal(true);
+
+      keydown(toggle, KEYS.down);
+      expect(document.activeElement.className).to.equal("one");
+    });
+
+    it("moves through the items with the arrow keys and wraps around", function() {
+      window.Drawer.open("drawer-one");
+      document.querySelector(".one").focus();
+
+      keydown(document.activeElement, KEYS.down);
+      expect(document.activeElement.className).to.equal("two");
+
+      keydown(document.activeElement, KEYS.up);
+      keydown(document.activeElement, KEYS.up);
+      expect(document.activeElement.className).to.equal("rvt-drawer__bottom-close");
+    });
+
+    // jsdom reports errors thrown by event listeners instead of throwing them
+    function recordErrors() {
+      const errors = [];
+
+      window.addEventListener("error", event => errors.push(event.error));
+
+      return errors;
+    }
+
+    it("focuses the drawer itself if it has nothing to focus", function() {
+      const errors = recordErrors();
+
+      drawer.innerHTML = "<p>Nothing to focus</p>";
+
+      toggle.focus();
+
+      keydown(toggle, KEYS.down);
+      expect(isOpen()).to.equal(true);
+
+      keydown(toggle, KEYS.down);
+      expect(document.activeElement).to.equal(drawer);
+      expect(drawer.getAttribute("tabindex")).to.equal("-1");
+
+      keydown(drawer, KEYS.down);
+      expect(document.activeElement).to.equal(drawer);
+
+      expect(errors).to.deep.equal([]);
+    });
+
+    it("ignores the down arrow on a toggle whose drawer is missing", function() {
+      const errors = recordErrors();
+
+      drawer.parentNode.removeChild(drawer);
+
+      toggle.focus();
+      keydown(toggle, KEYS.down);
+
+      expect(errors).to.deep.equal([]);
+    });
+
+    it("closes with Escape and focuses the toggle", function() {
+      window.Drawer.open("drawer-one");
+      document.querySelector(".three").focus();
+
+      keydown(document.activeElement, KEYS.escape);
+
+      expect(isOpen()).to.equal(false);
+      expect(document.activeElement).to.equal(toggle);
+    });
+  });
+
+  describe("modal option", function() {
+    let outside;
+
+    beforeEach(function() {
+      outside = document.querySelector(".outside");
+      outside.setAttribute("aria-hidden", "false");
+
+      drawer.setAttribute("data-rvt-modal", "true");
+      window.Drawer.init();
+    });
+
+    it("moves focus into the drawer and traps Tab inside of it", function() {
+      toggle.click();
+
+      expect(document.activeElement.className).to.equal("one");
+
+      const shiftTab = keydown(document.activeElement, KEYS.tab, { shiftKey: true });
+
+      expect(shiftTab.defaultPrevented).to.equal(true);
+      expect(document.activeElement.className).to.equal("rvt-drawer__bottom-close");
+
+      keydown(document.activeElement, KEYS.tab);
+      expect(document.activeElement.className).to.equal("one");
+
+      // Tab moves normally between the items in the middle
+      expect(keydown(document.activeElement, KEYS.tab).defaultPrevented).to.equal(false);
+    });
+
+    it("brings focus back when it ends up outside of the drawer", function() {
+      window.Drawer.open("drawer-one");
+
+      document.body.focus();
+      keydown(document.body, KEYS.tab);
+
+      expect(document.activeElement.className).to.equal("one");
+    });
+
+    it("makes the rest of the page inert and locks scrolling", function() {
+      window.Drawer.open("drawer-one");
+
+      expect(outside.hasAttribute("inert")).to.equal(true);
+      expect(outside.getAttribute("aria-hidden")).to.equal("true");
+      expect(drawer.hasAttribute("inert")).to.equal(false);
+      expect(document.body.classList.contains("rvt-drawer-open")).to.equal(true);
+    });
+
+    it("leaves the toggle and the elements it's in alone", function() {
+      const header = document.createElement("header");
+      const title = document.createElement("span");
+
+      header.appendChild(title);
+      header.appendChild(toggle);
+      document.body.insertBefore(header, document.body.firstChild);
+
+      window.Drawer.open("drawer-one");
+
+      expect(header.hasAttribute("inert")).to.equal(false);
+      expect(header.hasAttribute("aria-hidden")).to.equal(false);
+      expect(toggle.hasAttribute("inert")).to.equal(false);
+      expect(title.hasAttribute("inert")).to.equal(true);
+      expect(title.getAttribute("aria-hidden")).to.equal("true");
+
+      toggle.click();
+
+      expect(isOpen()).to.equal(false);
+      expect(title.hasAttribute("inert")).to.equal(false);
+    });
+
+    it("restores everything when the drawer closes", function() {
+      window.Drawer.open("drawer-one");
+      window.Drawer.close("drawer-one");
+
+      expect(outside.hasAttribute("inert")).to.equal(false);
+      expect(outside.getAttribute("aria-hidden")).to.equal("false");
+      expect(document.body.classList.contains("rvt-drawer-open")).to.equal(false);
+      expect(document.activeElement).to.equal(toggle);
+    });
+
+    it("doesn't do any of this unless the option is on", function() {
+      drawer.setAttribute("data-rvt-modal", "false");
+      window.Drawer.init();
+
+      window.Drawer.open("drawer-one");
+
+      expect(outside.hasAttribute("inert")).to.equal(false);
+      expect(document.body.classList.contains("rvt-drawer-open")).to.equal(false);
+      expect(keydown(toggle, KEYS.tab).defaultPrevented).to.equal(false);
+    });
+  });
+
+  describe("subnav tree", function() {
+    const TREE = `
+      <button data-drawer-toggle="drawer-tree" aria-expanded="false">Menu</button>
+      <div class="rvt-drawer" id="drawer-tree" aria-hidden="true">
+        <nav class="rvt-drawer__nav">
+          <ul>
+            <li><a href="#" class="home">Home</a></li>
+            <li class="has-children">
+              <button class="about" data-subnav-toggle="subnav-about" aria-expanded="false">About</button>
+              <ul id="subnav-about" aria-hidden="true">
+                <li><a href="#" class="history">History</a></li>
+                <li class="has-children">
+                  <button class="people" data-subnav-toggle="subnav-people" aria-expanded="false">People</button>
+                  <ul id="subnav-people" aria-hidden="true">
+                    <li><a href="#" class="staff">Staff</a></li>
+                  </ul>
+                </li>
+              </ul>
+            </li>
+            <li class="has-children">
+              <button class="news" data-subnav-toggle="subnav-news" aria-expanded="false">News</button>
+              <ul id="subnav-news" aria-hidden="true">
+                <li><a href="#" class="events">Events</a></li>
+              </ul>
+            </li>
+          </ul>
+        </nav>
+      </div>`;
+
+    function load(changeMarkup) {
+      window = createWindow(TREE);
+      document = window.document;
+
+      if (changeMarkup) changeMarkup(document);
+
+      makeElementsVisible(window);
+
+      window.Drawer.init();
+      window.Drawer.open("drawer-tree");
+    }
+
+    function item(className) {
+      return document.querySelector(`#drawer-tree .${className}`);
+    }
+
+    function isExpanded(id) {
+      return document.querySelector(`[data-subnav-toggle="${id}"]`).getAttribute("aria-expanded") === "true" &&
+        document.getElementById(id).getAttribute("aria-hidden") === "false";
+    }
+
+    it("expands with the right arrow, then moves into the subnav", function() {
+      load();
+      item("about").focus();
+
+      keydown(item("about"), KEYS.right);
+      expect(isExpanded("subnav-about")).to.equal(true);
+      expect(document.activeElement).to.equal(item("about"));
+
+      keydown(item("about"), KEYS.right);
+      expect(document.activeElement).to.equal(item("history"));
+    });
+
+    it("moves up a level, then collapses, with the left arrow", function() {
+      load();
+      item("about").click();
+      item("people").click();
+      item("staff").focus();
+
+      keydown(item("staff"), KEYS.left);
+      expect(document.activeElement).to.equal(item("people"));
+
+      keydown(item("people"), KEYS.left);
+      expect(isExpanded("subnav-people")).to.equal(false);
+
+      keydown(item("people"), KEYS.left);
+      expect(document.activeElement).to.equal(item("about"));
+
+      keydown(item("about"), KEYS.left);
+      expect(isExpanded("subnav-about")).to.equal(false);
+    });
+
+    it("expands every subnav that contains the current page", function() {
+      load(document => document.querySelector(".staff").setAttribute("aria-current", "page"));
+
+      expect(isExpanded("subnav-about")).to.equal(true);
+      expect(isExpanded("subnav-people")).to.equal(true);
+      expect(isExpanded("subnav-news")).to.equal(false);
+    });
+
+    it("remembers expanded subnavs with the persistSubnavs option", function() {
+      const persist = document =>
+        document.getElementById("drawer-tree").setAttribute("data-rvt-persist-subnavs", "true");
+
+      load(persist);
+      item("news").click();
+
+      const stored = JSON.parse(window.sessionStorage.getItem("rivetDrawerSubnavs"));
+
+      expect(stored["drawer-tree"]).to.deep.equal(["subnav-news"]);
+
+      // A new page load in the same session
+      const storage = window.sessionStorage.getItem("rivetDrawerSubnavs");
+
+      load(document => {
+        persist(document);
+        document.defaultView.sessionStorage.setItem("rivetDrawerSubnavs", storage);
+      });
+
+      expect(isExpanded("subnav-news")).to.equal(true);
+      expect(isExpanded("subnav-about")).to.equal(false);
+    });
+
+    it("doesn't store anything without the option", function() {
+      load();
+      item("news").click();
+
+      expect(window.sessionStorage.getItem("rivetDrawerSubnavs")).to.equal(null);
+    });
+  });
+
+  describe("slide-in panels", function() {
+    beforeEach(function() {
+      drawer.setAttribute("data-rvt-placement", "left");
+      window.Drawer.init();
+    });
+
+    // jsdom doesn't compute transitions, so pretend the drawer has one
+    function addTransition() {
+      window.getComputedStyle = () => ({ transitionDuration: "0.3s", transitionDelay: "0s" });
+    }
+
+    function pointer(type, x, y, pointerType) {
+      const event = new window.Event(type, { bubbles: true });
+
+      Object.assign(event, { clientX: x, clientY: y, pointerType: pointerType || "touch" });
+
+      drawer.querySelector(".one").dispatchEvent(event);
+    }
+
+    function swipe(fromX, toX, y) {
+      pointer("pointerdown", fromX, 0);
+      pointer("pointermove", (fromX + toX) / 2, y / 2);
+      pointer("pointermove", toX, y);
+      pointer("pointerup", toX, y);
+    }
+
+    it("sets the placement attribute from the option", function() {
+      expect(drawer.getAttribute("data-drawer-placement")).to.equal("left");
+
+      drawer.removeAttribute("data-rvt-placement");
+      window.Drawer.init();
+
+      expect(drawer.hasAttribute("data-drawer-placement")).to.equal(false);
+    });
+
+    it("waits for the transition to end before emitting drawerOpen", function() {
+      addTransition();
+
+      const events = recordEvents(window, ["drawerOpen", "drawerClose"]);
+
+      window.Drawer.open("drawer-one");
+
+      expect(isOpen()).to.equal(true);
+      expect(events.length).to.equal(0);
+
+      // Transitions of elements inside of the drawer don't count
+      drawer.querySelector(".one").dispatchEvent(new window.Event("transitionend", { bubbles: true }));
+      expect(events.length).to.equal(0);
+
+      drawer.dispatchEvent(new window.Event("transitionend"));
+      expect(events.map(event => event.type)).to.deep.equal(["drawerOpen"]);
+    });
+
+    it("emits drawerOpen early if the drawer is closed mid-transition", function() {
+      addTransition();
+
+      const events = recordEvents(window, ["drawerOpen", "drawerClose"]);
+
+      window.Drawer.open("drawer-one");
+      window.Drawer.close("drawer-one");
+
+      expect(events.map(event => event.type)).to.deep.equal(["drawerOpen"]);
+
+      drawer.dispatchEvent(new window.Event("transitionend"));
+      expect(events.map(event => event.type)).to.deep.equal(["drawerOpen", "drawerClose"]);
+    });
+
+    it("falls back to a timeout when transitionend never fires", function(done) {
+      window.getComputedStyle = () => ({ transitionDuration: "10ms", transitionDelay: "0s" });
+
+      window.Drawer.open("drawer-one", function() {
+        expect(isOpen()).to.equal(true);
+        done();
+      });
+    });
+
+    it("closes when swiped towards its edge", function() {
+      const events = recordEvents(window, ["drawerClose"]);
+
+      window.Drawer.open("drawer-one");
+      swipe(200, 100, 10);
+
+      expect(isOpen()).to.equal(false);
+      expect(events[0].detail.reason).to.equal("swipe");
+      expect(drawer.style.transform).to.equal("");
+    });
+
+    it("follows the swipe and slides back if it's too short", function() {
+      window.Drawer.open("drawer-one");
+
+      pointer("pointerdown", 200, 0);
+      pointer("pointermove", 180, 0);
+
+      expect(drawer.style.transform).to.equal("translateX(-20px)");
+
+      // It can't be dragged away from its edge
+      pointer("pointermove", 260, 0);
+      expect(drawer.style.transform).to.equal("translateX(0px)");
+
+      pointer("pointerup", 170, 0);
+
+      expect(isOpen()).to.equal(true);
+      expect(drawer.style.transform).to.equal("");
+    });
+
+    it("ignores vertical swipes, the mouse and swipeToClose: false", function() {
+      window.Drawer.open("drawer-one");
+
+      swipe(200, 190, 200);
+      expect(isOpen()).to.equal(true);
+
+      pointer("pointerdown", 200, 0, "mouse");
+      pointer("pointermove", 100, 0, "mouse");
+      pointer("pointerup", 100, 0, "mouse");
+      expect(isOpen()).to.equal(true);
+
+      drawer.setAttribute("data-rvt-swipe-to-close", "false");
+      window.Drawer.init();
+
+      swipe(200, 100, 10);
+      expect(isOpen()).to.equal(true);
+    });
+
+    it("doesn't close if the swipe is canceled", function() {
+      window.Drawer.open("drawer-one");
+
+      pointer("pointerdown", 200, 0);
+      pointer("pointermove", 100, 0);
+      pointer("pointercancel", 100, 0);
+
+      expect(isOpen()).to.equal(true);
+    });
+  });
+});
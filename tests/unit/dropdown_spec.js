@@ -0,0 +1,598 @@
+const { expect } = require("chai");
+const { KEYS, createWindow, keydown, recordEvents } = require("./helpers/dom");
+
+function dropdownMarkup(id) {
+  return `
+    <div class="rvt-dropdown">
+      <button class="rvt-button" data-dropdown-toggle="${id}" aria-haspopup="true" aria-expanded="false">Menu</button>
+      <div class="rvt-dropdown__menu" id="${id}" role="menu" aria-hidden="true">
+        <a href="#" class="one">One</a>
+        <a href="#" class="two">Two</a>
+        <a href="#" class="three">Three</a>
+      </div>
+    </div>`;
+}
+
+describe("Dropdown", function() {
+  let window;
+  let document;
+
+  beforeEach(function() {
+    window = createWindow(dropdownMarkup("dropdown-one") + dropdownMarkup("dropdown-two"));
+    document = window.document;
+
+    window.Dropdown.init();
+  });
+
+  function toggle(id) {
+    return document.querySelector(`[data-dropdown-toggle="${id}"]`);
+  }
+
+  function isOpen(id) {
+    return document.getElementById(id).getAttribute("aria-hidden") === "false";
+  }
+
+  describe("open(), close() and toggle()", function() {
+    it("opens and closes the menu", function() {
+      window.Dropdown.open("dropdown-one");
+
+      expect(isOpen("dropdown-one")).to.equal(true);
+      expect(toggle("dropdown-one").getAttribute("aria-expanded")).to.equal("true");
+
+      expect(window.Dropdown.close("dropdown-one")).to.equal(true);
+      expect(isOpen("dropdown-one")).to.equal(false);
+    });
+
+    it("toggles the menu", function() {
+      window.Dropdown.toggle("dropdown-one");
+      expect(isOpen("dropdown-one")).to.equal(true);
+
+      window.Dropdown.toggle("dropdown-one");
+      expect(isOpen("dropdown-one")).to.equal(false);
+    });
+
+    it("doesn't emit events when closing a menu that's already closed", function() {
+      const events = recordEvents(window, ["dropdownBeforeClose", "dropdownClose"]);
+
+      window.Dropdown.open("dropdown-one");
+
+      expect(window.Dropdown.close("dropdown-one")).to.equal(true);
+      expect(window.Dropdown.close("dropdown-one")).to.equal(true);
+
+      expect(events.map(event => event.type)).to.deep.equal(["dropdownBeforeClose", "dropdownClose"]);
+    });
+
+    it("stops listening for resize and scroll once closeAll() closes every menu", function() {
+      const removed = [];
+      const removeEventListener = window.removeEventListener;
+
+      window.removeEventListener = function(type) {
+        removed.push(type);
+
+        return removeEventListener.apply(this, arguments);
+      };
+
+      window.Dropdown.open("dropdown-one");
+      window.Dropdown.closeAll();
+
+      expect(isOpen("dropdown-one")).to.equal(false);
+      expect(removed).to.include.members(["resize", "scroll"]);
+    });
+
+    it("throws if no id is passed", function() {
+      expect(() => window.Dropdown.open()).to.throw();
+    });
+
+    it("closes other menus when one is opened", function() {
+      const events = recordEvents(window, ["dropdownClose"]);
+
+      window.Dropdown.open("dropdown-one");
+      window.Dropdown.open("dropdown-two");
+
+      expect(isOpen("dropdown-one")).to.equal(false);
+      expect(events[0].detail.reason).to.equal("anotherOpened");
+    });
+
+    it("returns false when dropdownBeforeClose is canceled", function() {
+      window.Dropdown.open("dropdown-one");
+
+      document.addEventListener("dropdownBeforeClose", event => event.preventDefault());
+
+      expect(window.Dropdown.close("dropdown-one")).to.equal(false);
+      expect(isOpen("dropdown-one")).to.equal(true);
+    });
+  });
+
+  describe("clicks", function() {
+    it("opens from the toggle and closes on an outside click", function() {
+      const events = recordEvents(window, ["dropdownOpen", "dropdownClose"]);
+
+      toggle("dropdown-one").click();
+      expect(isOpen("dropdown-one")).to.equal(true);
+
+      document.body.click();
+      expect(isOpen("dropdown-one")).to.equal(false);
+
+      expect(events.map(event => event.detail.reason)).to.deep.equal(["click", "outsideClick"]);
+    });
+
+    it("handles a click once when initialized on an element inside the document too", function() {
+      window.Dropdown.init(toggle("dropdown-one").parentNode);
+
+      toggle("dropdown-one").click();
+      expect(isOpen("dropdown-one")).to.equal(true);
+
+      toggle("dropdown-one").click();
+      expect(isOpen("dropdown-one")).to.equal(false);
+    });
+
+    it("keeps the page's options when an element is initialized without any", function() {
+      window.Dropdown.init(document, { closeOnOutsideClick: false });
+      window.Dropdown.init(toggle("dropdown-one").parentNode);
+
+      toggle("dropdown-two").click();
+      document.body.click();
+
+      expect(isOpen("dropdown-two")).to.equal(true);
+    });
+  });
+
+  describe("keyboard", function() {
+    it("opens with the down arrow and focuses the first item", function() {
+      toggle("dropdown-one").focus();
+      keydown(toggle("dropdown-one"), KEYS.down);
+
+      expect(isOpen("dropdown-one")).to.equal(true);
+      expect(document.activeElement.className).to.equal("one");
+    });
+
+    it("moves through the items with the arrow keys", function() {
+      window.Dropdown.open("dropdown-one");
+
+      keydown(document.activeElement, KEYS.down);
+      expect(document.activeElement.className).to.equal("two");
+
+      keydown(document.activeElement, KEYS.up);
+      keydown(document.activeElement, KEYS.up);
+      expect(document.activeElement.className).to.equal("three");
+    });
+
+    it("moves to the first and last items with Home and End", function() {
+      window.Dropdown.open("dropdown-one");
+
+      const end = keydown(document.activeElement, KEYS.end);
+      expect(document.activeElement.className).to.equal("three");
+      expect(end.defaultPrevented).to.equal(true);
+
+      keydown(document.activeElement, KEYS.home);
+      expect(document.activeElement.className).to.equal("one");
+    });
+
+    describe("typeahead", function() {
+      function type(text) {
+        text.split("").forEach(character => {
+          keydown(document.activeElement, character.toUpperCase().charCodeAt(0), { key: character });
+        });
+      }
+
+      it("moves to the next item that starts with the typed characters", function() {
+        window.Dropdown.open("dropdown-one");
+
+        type("th");
+        expect(document.activeElement.className).to.equal("three");
+      });
+
+      it("cycles through items when the same character is typed again", function() {
+        window.Dropdown.open("dropdown-one");
+
+        type("t");
+        expect(document.activeElement.className).to.equal("two");
+
+        type("t");
+        expect(document.activeElement.className).to.equal("three");
+
+        type("t");
+        expect(document.activeElement.className).to.equal("two");
+      });
+
+      it("starts over after a pause", async function() {
+        window.Dropdown.open("dropdown-one");
+
+        type("t");
+
+        await new Promise(resolve => setTimeout(resolve, 600));
+
+        type("o");
+        expect(document.activeElement.className).to.equal("one");
+      });
+
+      it("ignores shortcuts and lets Space click the focused item", function() {
+        window.Dropdown.open("dropdown-one");
+
+        keydown(document.activeElement, 84, { key: "t", ctrlKey: true });
+        expect(document.activeElement.className).to.equal("one");
+
+        const space = keydown(document.activeElement, KEYS.space, { key: " " });
+        expect(space.defaultPrevented).to.equal(false);
+      });
+
+      it("leaves typing, Home and End to text fields in the menu", function() {
+        const menu = document.getElementById("dropdown-one");
+
+        menu.insertAdjacentHTML("afterbegin", '<input type="text" class="filter">');
+
+        window.Dropdown.open("dropdown-one");
+
+        const input = menu.querySelector(".filter");
+        input.focus();
+
+        const letter = keydown(input, 84, { key: "t" });
+        expect(letter.defaultPrevented).to.equal(false);
+        expect(document.activeElement).to.equal(input);
+
+        [KEYS.home, KEYS.end].forEach(keyCode => {
+          expect(keydown(input, keyCode).defaultPrevented).to.equal(false);
+          expect(document.activeElement).to.equal(input);
+        });
+      });
+    });
+
+    it("closes with Escape and focuses the toggle", function() {
+      toggle("dropdown-one").click();
+      document.querySelector("#dropdown-one .two").focus();
+
+      keydown(document.activeElement, KEYS.escape);
+
+      expect(isOpen("dropdown-one")).to.equal(false);
+      expect(document.activeElement).to.equal(toggle("dropdown-one"));
+    });
+
+    it("closes when tabbing out of the last item", function() {
+      window.Dropdown.open("dropdown-one");
+      document.querySelector("#dropdown-one .three").focus();
+
+      keydown(document.activeElement, KEYS.tab);
+
+      expect(isOpen("dropdown-one")).to.equal(false);
+    });
+  });
+
+  describe("positioning", function() {
+    // jsdom doesn't do layout, so give the toggle and menu a size
+    function layout(id, toggleRect, menuSize) {
+      toggle(id).getBoundingClientRect = () => toggleRect;
+
+      const menu = document.getElementById(id);
+
+      Object.defineProperty(menu, "offsetWidth", { configurable: true, value: menuSize.width });
+      Object.defineProperty(menu, "offsetHeight", { configurable: true, value: menuSize.height });
+    }
+
+    function placement(id) {
+      return document.getElementById(id).getAttribute("data-dropdown-placement");
+    }
+
+    // The jsdom viewport is 1024 x 768
+    const TOP_LEFT = { top: 10, right: 110, bottom: 40, left: 10 };
+    const BOTTOM_LEFT = { top: 700, right: 110, bottom: 730, left: 10 };
+    const TOP_RIGHT = { top: 10, right: 1010, bottom: 40, left: 910 };
+    const MENU = { width: 200, height: 150 };
+
+    it("opens below the toggle when there's room", function() {
+      layout("dropdown-one", TOP_LEFT, MENU);
+
+      window.Dropdown.open("dropdown-one");
+
+      expect(placement("dropdown-one")).to.equal("bottom-start");
+    });
+
+    it("flips above the toggle near the bottom of the viewport", function() {
+      layout("dropdown-one", BOTTOM_LEFT, MENU);
+
+      window.Dropdown.open("dropdown-one");
+
+      expect(placement("dropdown-one")).to.equal("top-start");
+    });
+
+    it("flips to the toggle's other edge near the side of the viewport", function() {
+      layout("dropdown-one", TOP_RIGHT, MENU);
+
+      window.Dropdown.open("dropdown-one");
+
+      expect(placement("dropdown-one")).to.equal("bottom-end");
+    });
+
+    it("uses the placement option and the --right modifier", function() {
+      layout("dropdown-one", TOP_RIGHT, MENU);
+      layout("dropdown-two", { top: 700, right: 1010, bottom: 730, left: 910 }, MENU);
+
+      document.getElementById("dropdown-one").classList.add("rvt-dropdown__menu--right");
+      document.getElementById("dropdown-two").setAttribute("data-rvt-placement", "top-end");
+
+      window.Dropdown.init();
+
+      window.Dropdown.open("dropdown-one");
+      expect(placement("dropdown-one")).to.equal("bottom-end");
+
+      window.Dropdown.open("dropdown-two");
+      expect(placement("dropdown-two")).to.equal("top-end");
+    });
+
+    it("doesn't flip when the flip option is off", function() {
+      layout("dropdown-one", BOTTOM_LEFT, MENU);
+
+      window.Dropdown.init(document, { flip: false });
+      window.Dropdown.open("dropdown-one");
+
+      expect(placement("dropdown-one")).to.equal("bottom-start");
+    });
+
+    it("stays inside of scroll containers", function() {
+      const container = document.createElement("div");
+
+      container.style.overflow = "auto";
+      container.getBoundingClientRect = () => ({ top: 0, right: 500, bottom: 100, left: 0 });
+
+      const dropdown = toggle("dropdown-one").parentNode;
+
+      dropdown.parentNode.insertBefore(container, dropdown);
+      container.appendChild(dropdown);
+
+      layout("dropdown-one", TOP_LEFT, MENU);
+
+      window.Dropdown.open("dropdown-one");
+
+      // There's less room below the toggle in the container than above it
+      expect(placement("dropdown-one")).to.equal("bottom-start");
+
+      layout("dropdown-one", { top: 60, right: 110, bottom: 90, left: 10 }, MENU);
+
+      window.dispatchEvent(new window.Event("scroll"));
+
+      expect(placement("dropdown-one")).to.equal("top-start");
+    });
+
+    it("updates the placement on resize until the menu closes", function() {
+      layout("dropdown-one", TOP_LEFT, MENU);
+
+      window.Dropdown.open("dropdown-one");
+
+      layout("dropdown-one", BOTTOM_LEFT, MENU);
+      window.dispatchEvent(new window.Event("resize"));
+
+      expect(placement("dropdown-one")).to.equal("top-start");
+
+      window.Dropdown.close("dropdown-one");
+
+      layout("dropdown-one", TOP_LEFT, MENU);
+      window.dispatchEvent(new window.Event("resize"));
+
+      expect(placement("dropdown-one")).to.equal("top-start");
+    });
+  });
+
+  describe("checkable items", function() {
+    beforeEach(function() {
+      window = createWindow(`
+        <div class="rvt-dropdown">
+          <button data-dropdown-toggle="filters" aria-haspopup="true" aria-expanded="false">Filters</button>
+          <div class="rvt-dropdown__menu" id="filters" role="menu" aria-hidden="true" data-rvt-close-on-select>
+            <button role="menuitem" class="refresh">Refresh</button>
+            <button role="menuitemcheckbox" class="students">Students</button>
+            <div role="menuitemcheckbox" class="staff" tabindex="0">Staff</div>
+            <div role="group">
+              <button role="menuitemradio" class="name" aria-checked="true">Name</button>
+              <button role="menuitemradio" class="date">Date</button>
+            </div>
+            <div role="group">
+              <button role="menuitemradio" class="asc" aria-checked="true">Ascending</button>
+              <button role="menuitemradio" class="desc">Descending</button>
+            </div>
+          </div>
+        </div>`);
+      document = window.document;
+
+      window.Dropdown.init();
+      window.Dropdown.open("filters");
+    });
+
+    function item(className) {
+      return document.querySelector(`#filters .${className}`);
+    }
+
+    it("starts checkable items out unchecked", function() {
+      expect(item("students").getAttribute("aria-checked")).to.equal("false");
+      expect(item("date").getAttribute("aria-checked")).to.equal("false");
+    });
+
+    it("toggles checkbox items and keeps the menu open", function() {
+      const events = recordEvents(window, ["dropdownSelect"]);
+
+      item("students").click();
+
+      expect(item("students").getAttribute("aria-checked")).to.equal("true");
+      expect(isOpen("filters")).to.equal(true);
+
+      item("students").click();
+
+      expect(item("students").getAttribute("aria-checked")).to.equal("false");
+
+      expect(events.map(event => event.detail.value)).to.deep.equal([true, false]);
+      expect(events[0].detail.item).to.equal(item("students"));
+      expect(events[0].detail.name()).to.equal("filters");
+      expect(events[0].detail.reason).to.equal("click");
+    });
+
+    it("checks one radio item per group and closes the menu", function() {
+      item("date").click();
+
+      expect(item("date").getAttribute("aria-checked")).to.equal("true");
+      expect(item("name").getAttribute("aria-checked")).to.equal("false");
+
+      // Radio items in other groups aren't affected
+      expect(item("asc").getAttribute("aria-checked")).to.equal("true");
+
+      expect(isOpen("filters")).to.equal(false);
+    });
+
+    it("closes on checkbox toggles when keepOpenOnCheck is off", function() {
+      document.getElementById("filters").setAttribute("data-rvt-keep-open-on-check", "false");
+
+      window.Dropdown.init();
+      window.Dropdown.open("filters");
+
+      item("students").click();
+
+      expect(isOpen("filters")).to.equal(false);
+    });
+
+    it("emits dropdownSelect with a null value for plain menu items", function() {
+      const events = recordEvents(window, ["dropdownSelect"]);
+
+      item("refresh").click();
+
+      expect(events[0].detail.value).to.equal(null);
+    });
+
+    it("selects items that aren't buttons with Enter and Space", function() {
+      item("staff").focus();
+
+      const enter = keydown(item("staff"), KEYS.enter);
+
+      expect(enter.defaultPrevented).to.equal(true);
+      expect(item("staff").getAttribute("aria-checked")).to.equal("true");
+
+      keydown(item("staff"), KEYS.space, { key: " " });
+
+      expect(item("staff").getAttribute("aria-checked")).to.equal("false");
+    });
+  });
+
+  describe("submenus", function() {
+    beforeEach(function() {
+      window = createWindow(`
+        <div class="rvt-dropdown">
+          <button data-dropdown-toggle="file" aria-haspopup="true" aria-expanded="false">File</button>
+          <div class="rvt-dropdown__menu" id="file" role="menu" aria-hidden="true">
+            <button role="menuitem" class="save">Save</button>
+            <div class="rvt-dropdown">
+              <button role="menuitem" class="export" data-dropdown-toggle="export" aria-haspopup="true" aria-expanded="false">Export</button>
+              <div class="rvt-dropdown__menu" id="export" role="menu" aria-hidden="true">
+                <button role="menuitem" class="csv">CSV</button>
+                <button role="menuitem" class="pdf">PDF</button>
+              </div>
+            </div>
+            <button role="menuitem" class="print">Print</button>
+          </div>
+        </div>
+        <button class="outside">Outside</button>`);
+      document = window.document;
+
+      window.Dropdown.init();
+      window.Dropdown.open("file");
+    });
+
+    function item(className) {
+      return document.querySelector(`.${className}`);
+    }
+
+    it("skips submenu items when moving through the parent menu", function() {
+      item("save").focus();
+
+      keydown(item("save"), KEYS.down);
+      expect(document.activeElement).to.equal(item("export"));
+
+      keydown(item("export"), KEYS.down);
+      expect(document.activeElement).to.equal(item("print"));
+
+      keydown(item("print"), KEYS.end);
+      expect(document.activeElement).to.equal(item("print"));
+    });
+
+    it("opens a submenu with the right arrow and keeps the parent open", function() {
+      item("export").focus();
+
+      keydown(item("export"), KEYS.right);
+
+      expect(isOpen("export")).to.equal(true);
+      expect(isOpen("file")).to.equal(true);
+      expect(document.activeElement).to.equal(item("csv"));
+
+      keydown(item("csv"), KEYS.down);
+      expect(document.activeElement).to.equal(item("pdf"));
+
+      keydown(item("pdf"), KEYS.down);
+      expect(document.activeElement).to.equal(item("csv"));
+    });
+
+    it("opens a submenu when its item is clicked", function() {
+      const events = recordEvents(window, ["dropdownSelect"]);
+
+      item("export").click();
+
+      expect(isOpen("export")).to.equal(true);
+      expect(isOpen("file")).to.equal(true);
+      expect(events).to.have.length(0);
+    });
+
+    it("closes only the submenu with the left arrow or Escape", function() {
+      ["left", "escape"].forEach(key => {
+        item("export").focus();
+        keydown(item("export"), KEYS.right);
+
+        keydown(item("csv"), KEYS[key]);
+
+        expect(isOpen("export")).to.equal(false);
+        expect(isOpen("file")).to.equal(true);
+        expect(document.activeElement).to.equal(item("export"));
+      });
+    });
+
+    it("closes the submenu when its parent menu closes", function() {
+      window.Dropdown.open("export");
+
+      window.Dropdown.close("file");
+
+      expect(isOpen("export")).to.equal(false);
+      expect(item("export").getAttribute("aria-expanded")).to.equal("false");
+    });
+
+    it("closes the whole chain on an outside click", function() {
+      window.Dropdown.open("export");
+
+      item("outside").click();
+
+      expect(isOpen("export")).to.equal(false);
+      expect(isOpen("file")).to.equal(false);
+    });
+
+    it("closes the whole chain when a submenu item is selected", function() {
+      const events = recordEvents(window, ["dropdownSelect"]);
+
+      document.getElementById("file").setAttribute("data-rvt-close-on-select", "true");
+      document.getElementById("export").setAttribute("data-rvt-close-on-select", "true");
+
+      window.Dropdown.init();
+      window.Dropdown.open("file");
+      window.Dropdown.open("export");
+
+      item("pdf").click();
+
+      expect(events).to.have.length(1);
+      expect(events[0].detail.item).to.equal(item("pdf"));
+      expect(isOpen("export")).to.equal(false);
+      expect(isOpen("file")).to.equal(false);
+    });
+
+    it("flips submenus to the left near the side of the viewport", function() {
+      item("export").getBoundingClientRect = () => ({ top: 10, right: 1000, bottom: 40, left: 800 });
+
+      Object.defineProperty(document.getElementById("export"), "offsetWidth", { value: 200 });
+
+      window.Dropdown.open("export");
+
+      expect(document.getElementById("export").getAttribute("data-dropdown-placement"))
+        .to.equal("left-top");
+    });
+  });
+});
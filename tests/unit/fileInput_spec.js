@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { createWindow, recordEvents } = require("./helpers/dom");
+
+const MARKUP = `
+  <div class="rvt-file" data-upload="file-input">
+    <input type="file" id="file-input" multiple>
+    <label for="file-input" class="rvt-button">Upload</label>
+    <div class="rvt-file__preview" data-file-preview="file-input" id="file-description">
+      No file selected
+    </div>
+  </div>`;
+
+describe("FileInput", function() {
+  let window;
+  let document;
+  let input;
+  let preview;
+
+  beforeEach(function() {
+    window = createWindow(MARKUP);
+    document = window.document;
+    input = document.getElementById("file-input");
+    preview = document.querySelector("[data-file-preview]");
+
+    window.FileInput.init();
+  });
+
+  // jsdom doesn't let you attach files, so fake the input's FileList
+  function attach(names) {
+    Object.defineProperty(input, "files", {
+      configurable: true,
+      value: names.map(name => ({ name: name }))
+    });
+
+    input.dispatchEvent(new window.Event("change", { bubbles: true }));
+  }
+
+  it("shows the name of a single attached file", function() {
+    attach(["resume.pdf"]);
+
+    expect(preview.textContent).to.equal("resume.pdf");
+  });
+
+  it("shows the number of files when more than one is attached", function() {
+    attach(["one.png", "two.png", "three.png"]);
+
+    expect(preview.textContent).to.equal("3 files selected");
+  });
+
+  it("escapes HTML in file names", function() {
+    attach(["<img src=x onerror=alert(1)>.png"]);
+
+    expect(preview.querySelector("img")).to.equal(null);
+  });
+
+  it("shows the default text when the files are removed", function() {
+    attach(["resume.pdf"]);
+    attach([]);
+
+    expect(preview.textContent).to.equal("No file selected");
+  });
+
+  it("emits fileAttached with the files", function() {
+    const events = recordEvents(window, ["fileAttached"]);
+
+    attach(["resume.pdf"]);
+
+    const detail = events[0].detail;
+
+    expect(detail.name()).to.equal("file-input");
+    expect(detail.element).to.equal(document.querySelector("[data-upload]"));
+    expect(detail.trigger).to.equal(input);
+    expect(detail.files[0].name).to.equal("resume.pdf");
+    expect(detail.reason).to.equal("change");
+  });
+
+  it("doesn't emit fileAttached when no files are attached", function() {
+    const events = recordEvents(window, ["fileAttached"]);
+
+    attach([]);
+
+    expect(events.length).to.equal(0);
+  });
+
+  it("uses the text options", function() {
+    const upload = document.querySelector("[data-upload]");
+
+    upload.setAttribute("data-rvt-default-text", "No photo selected");
+    upload.setAttribute("data-rvt-multiple-files-text", "{count} photos");
+
+    attach(["one.png", "two.png"]);
+    expect(preview.textContent).to.equal("2 photos");
+
+    attach([]);
+    expect(preview.textContent).to.equal("No photo selected");
+  });
+
+  it("stops updating the preview after destroy()", function() {
+    window.FileInput.destroy();
+
+    attach(["resume.pdf"]);
+
+    expect(preview.textContent.trim()).to.equal("No file selected");
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Helpers for loading the component JavaScript into jsdom. Every test gets
+ * a fresh window so that component state (open modals, instances, etc.)
+ * doesn't leak between tests.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const jsSources = require("../../../config/js-sources");
+
+const root = path.join(__dirname, "..", "..", "..");
+
+// Read the source files once instead of for every test
+const scripts = jsSources.polyfills.concat(jsSources.scripts, "src/js/namespace.js").map(file =>
+  fs.readFileSync(path.join(root, file), "utf8")
+);
+
+const KEYS = {
+  tab: 9,
+  enter: 13,
+  escape: 27,
+  space: 32,
+  end: 35,
+  home: 36,
+  left: 37,
+  up: 38,
+  right: 39,
+  down: 40,
+  delete: 46
+};
+
+/**
+ * Creates a jsdom window with the markup in the body and all of the
+ * polyfills, utilities and components loaded, the same as rivet.js but
+ * without index.js. Nothing is initialized.
+ * @param {String} html - Markup for the body
+ * @returns {Window}
+ */
+function createWindow(html) {
+  const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+    runScripts: "outside-only",
+    url: "http://localhost/"
+  });
+
+  scripts.forEach(script => dom.window.eval(script));
+
+  return dom.window;
+}
+
+/**
+ * Dispatches a keydown event the way the browser would, from the
+ * element that has focus.
+ * @param {HTMLElement} element
+ * @param {Number} keyCode - See KEYS
+ * @param {Object} options - Extra KeyboardEvent options, e.g. shiftKey
+ * @returns {KeyboardEvent} - The event, so tests can check defaultPrevented
+ */
+function keydown(element, keyCode, options) {
+  const window = element.ownerDocument.defaultView;
+
+  const event = new window.KeyboardEvent(
+    "keydown",
+    Object.assign({ bubbles: true, cancelable: true, keyCode: keyCode }, options)
+  );
+
+  element.dispatchEvent(event);
+
+  return event;
+}
+
+/**
+ * Records every event with the given names that reaches the document.
+ * @param {Window} window
+ * @param {Array} names - Event names, e.g. ["modalOpen", "modalClose"]
+ * @returns {Array} - The recorded events, in the order they were emitted
+ */
+function recordEvents(window, names) {
+  const events = [];
+
+  names.forEach(name => {
+    window.document.addEventListener(name, event => events.push(event));
+  });
+
+  return events;
+}
+
+/**
+ * jsdom doesn't do layout, so every element has a clientHeight of 0.
+ * Components that skip hidden elements (e.g. the drawer) need this.
+ * @param {Window} window
+ */
+function makeElementsVisible(window) {
+  Object.defineProperty(window.HTMLElement.prototype, "clientHeight", {
+    configurable: true,
+    get() {
+      return 1;
+    }
+  });
+}
+
+module.exports = {
+  KEYS,
+  createWindow,
+  keydown,
+  recordEvents,
+  makeElementsVisible
+};
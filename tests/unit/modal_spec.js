@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { KEYS, createWindow, keydown, recordEvents } = require("./helpers/dom");
+
+function modalMarkup(id, attributes) {
+  return `
+    <button data-modal-trigger="${id}">Open ${id}</button>
+    <div class="rvt-modal" id="${id}" role="dialog" tabindex="-1" aria-hidden="true" ${attributes || ""}>
+      <div class="rvt-modal__inner">
+        <div class="rvt-modal__body">
+          <button class="first">First</button>
+          <button data-modal-trigger="${id}-inner">Open inner</button>
+          <button class="last" data-modal-close="${id}">Close</button>
+        </div>
+      </div>
+    </div>`;
+}
+
+describe("Modal", function() {
+  let window;
+  let document;
+
+  beforeEach(function() {
+    window = createWindow(
+      modalMarkup("modal-one") +
+      modalMarkup("modal-one-inner") +
+      modalMarkup("modal-dialog", "data-modal-dialog")
+    );
+
+    document = window.document;
+
+    window.Modal.init();
+  });
+
+  function isOpen(id) {
+    return document.getElementById(id).getAttribute("aria-hidden") === "false";
+  }
+
+  describe("open() and close()", function() {
+    it("opens and closes the modal and runs the callbacks", function() {
+      const calls = [];
+
+      window.Modal.open("modal-one", () => calls.push("open"));
+
+      expect(isOpen("modal-one")).to.equal(true);
+      expect(document.body.classList.contains("rvt-modal-open")).to.equal(true);
+
+      window.Modal.close("modal-one", () => calls.push("close"));
+
+      expect(isOpen("modal-one")).to.equal(false);
+      expect(document.body.classList.contains("rvt-modal-open")).to.equal(false);
+      expect(calls).to.deep.equal(["open", "close"]);
+    });
+
+    it("only returns focus when closing the top-most modal", function() {
+      const trigger = document.querySelector('[data-modal-trigger="modal-one"]');
+
+      trigger.focus();
+      trigger.click();
+
+      const innerTrigger =
+        document.querySelector('#modal-one [data-modal-trigger="modal-one-inner"]');
+
+      innerTrigger.focus();
+      innerTrigger.click();
+
+      const inner = document.getElementById("modal-one-inner");
+
+      expect(document.activeElement).to.equal(inner);
+
+      window.Modal.close("modal-one");
+
+      expect(isOpen("modal-one")).to.equal(false);
+      expect(document.activeElement).to.equal(inner);
+
+      window.Modal.close("modal-one-inner");
+
+      expect(document.activeElement).to.equal(innerTrigger);
+    });
+
+    it("still accepts the modal element (deprecated)", function() {
+      window.Modal.open(document.getElementById("modal-one"));
+
+      expect(isOpen("modal-one")).to.equal(true);
+    });
+
+    it("emits modalOpen and modalClose with the element and reason", function() {
+      const events = recordEvents(window, ["modalOpen", "modalClose"]);
+
+      window.Modal.open("modal-one");
+      window.Modal.close("modal-one", null, "closeButton");
+
+      expect(events.map(event => event.type)).to.deep.equal(["modalOpen", "modalClose"]);
+      expect(events[0].detail.name()).to.equal("modal-one");
+      expect(events[0].detail.element.id).to.equal("modal-one");
+      expect(events[0].detail.reason).to.equal("api");
+      expect(events[1].detail.reason).to.equal("closeButton");
+    });
+
+    it("does nothing when closing a modal that's already closed", function() {
+      const events = recordEvents(window, ["modalBeforeClose", "modalClose"]);
+      const calls = [];
+
+      window.Modal.open("modal-one");
+      window.Modal.close("modal-one", () => calls.push("close"));
+      window.Modal.close("modal-one", () => calls.push("close"));
+
+      expect(events.map(event => event.type)).to.deep.equal(["modalBeforeClose", "modalClose"]);
+      expect(calls).to.deep.equal(["close"]);
+    });
+
+    it("stays closed if modalBeforeOpen is canceled", function() {
+      document.addEventListener("modalBeforeOpen", event => event.preventDefault());
+
+      window.Modal.open("modal-one");
+
+      expect(isOpen("modal-one")).to.equal(false);
+    });
+  });
+
+  describe("keyboard", function() {
+    it("closes the top-most modal with Escape and returns focus", function() {
+      const trigger = document.querySelector('[data-modal-trigger="modal-one"]');
+
+      trigger.focus();
+      trigger.click();
+
+      const innerTrigger =
+        document.querySelector('#modal-one [data-modal-trigger="modal-one-inner"]');
+
+      innerTrigger.focus();
+      innerTrigger.click();
+
+      expect(isOpen("modal-one-inner")).to.equal(true);
+
+      keydown(document.activeElement, KEYS.escape);
+
+      expect(isOpen("modal-one-inner")).to.equal(false);
+      expect(isOpen("modal-one")).to.equal(true);
+      expect(document.activeElement).to.equal(innerTrigger);
+
+      keydown(document.activeElement, KEYS.escape);
+
+      expect(isOpen("modal-one")).to.equal(false);
+      expect(document.activeElement).to.equal(trigger);
+    });
+
+    it("doesn't close dialogs with Escape", function() {
+      window.Modal.open("modal-dialog");
+
+      keydown(document.getElementById("modal-dialog"), KEYS.escape);
+
+      expect(isOpen("modal-dialog")).to.equal(true);
+    });
+
+    it("traps focus with Tab and Shift + Tab", function() {
+      window.Modal.open("modal-one");
+
+      const first = document.querySelector("#modal-one .first");
+      const last = document.querySelector("#modal-one .last");
+
+      last.focus();
+
+      const forward = keydown(last, KEYS.tab);
+
+      expect(forward.defaultPrevented).to.equal(true);
+      expect(document.activeElement).to.equal(first);
+
+      const backward = keydown(first, KEYS.tab, { shiftKey: true });
+
+      expect(backward.defaultPrevented).to.equal(true);
+      expect(document.activeElement).to.equal(last);
+    });
+  });
+
+  describe("confirm()", function() {
+    it("resolves with the action of the button that was clicked", function() {
+      const result = window.Modal.confirm({ title: "Are you sure?" });
+
+      const modal = document.querySelector("[data-modal-generated]");
+
+      expect(modal.getAttribute("aria-hidden")).to.equal("false");
+
+      modal.querySelector('[data-modal-action="confirm"]').click();
+
+      return result.then(action => {
+        expect(action).to.equal("confirm");
+        expect(document.querySelector("[data-modal-generated]")).to.equal(null);
+      });
+    });
+  });
+
+  describe("prompt()", function() {
+    it("labels the input with the message or title if there is no label", function() {
+      window.Modal.prompt({ title: "Rename", message: "New file name" });
+
+      const label = document.querySelector("[data-modal-generated] label");
+
+      expect(label.textContent).to.equal("New file name");
+      expect(label.getAttribute("for")).to.equal(document.querySelector("[data-modal-generated] input").id);
+
+      document.querySelector('[data-modal-action="cancel"]').click();
+
+      window.Modal.prompt({ title: "Rename" });
+
+      expect(document.querySelector("[data-modal-generated] label").textContent).to.equal("Rename");
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { expect } = require("chai");
+
+const moduleWrappers = require("../../config/module-wrappers");
+
+const root = path.join(__dirname, "..", "..");
+
+/**
+ * Builds the ES modules the same way the esmJS gulp task does, but into a
+ * temporary folder, and imports them in Node without a DOM.
+ */
+describe("ES module build", function() {
+  let directory;
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "rivet-esm-"));
+
+    fs.writeFileSync(path.join(directory, "package.json"), '{ "type": "module" }');
+    fs.mkdirSync(path.join(directory, "esm"));
+
+    moduleWrappers.esModules.forEach(esModule => {
+      fs.writeFileSync(
+        path.join(directory, esModule.file),
+        moduleWrappers.esModuleHeader(esModule) +
+          fs.readFileSync(path.join(root, esModule.source), "utf8") +
+          moduleWrappers.esModuleFooter(esModule)
+      );
+    });
+  });
+
+  after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function importModule(file) {
+    return import(pathToFileURL(path.join(directory, file)).href);
+  }
+
+  it("can be imported without a DOM", async function() {
+    expect(typeof global.document).to.equal("undefined");
+
+    const module = await importModule("rivet.esm.js");
+
+    expect(Object.keys(module).sort()).to.deep.equal([
+      "Alert",
+      "Combobox",
+      "Drawer",
+      "Dropdown",
+      "FileInput",
+      "Modal",
+      "Tabs",
+      "default",
+      "disconnect",
+      "get",
+      "init",
+      "observe"
+    ]);
+  });
+
+  it("exports the same Rivet namespace as the other builds", async function() {
+    const module = await importModule("rivet.esm.js");
+
+    expect(Object.keys(module.default)).to.deep.equal([
+      "Alert",
+      "Drawer",
+      "Dropdown",
+      "Modal",
+      "Tabs",
+      "FileInput",
+      "Combobox",
+      "get",
+      "observe",
+      "disconnect",
+      "init"
+    ]);
+
+    expect(module.default.Modal).to.equal(module.Modal);
+  });
+
+  it("shares one copy of each component between modules", async function() {
+    const entry = await importModule("rivet.esm.js");
+    const dropdown = await importModule("esm/dropdown.js");
+
+    expect(dropdown.default).to.equal(entry.Dropdown);
+  });
+});
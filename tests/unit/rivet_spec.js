@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { createWindow } = require("./helpers/dom");
+
+describe("Rivet", function() {
+  let window;
+  let document;
+
+  beforeEach(function() {
+    window = createWindow(`
+      <button data-modal-trigger="modal">Open</button>
+      <div class="rvt-modal" id="modal" aria-hidden="true"
+        data-rvt-options='{"closeOnEscape": false, "returnFocus": false}'
+        data-rvt-return-focus="true">
+        <div class="rvt-modal__inner"></div>
+      </div>
+      <div id="broken" data-rvt-options="{not json"></div>`);
+
+    document = window.document;
+  });
+
+  describe("get()", function() {
+    it("returns null before a component is initialized", function() {
+      expect(window.Rivet.get("modal")).to.equal(null);
+    });
+
+    it("returns the instance by element or id", function() {
+      window.Modal.init();
+
+      const instance = window.Rivet.get("modal");
+
+      expect(instance.element.id).to.equal("modal");
+      expect(window.Rivet.get(document.getElementById("modal"))).to.equal(instance);
+    });
+
+    it("returns null after the component is destroyed", function() {
+      window.Modal.init();
+      window.Modal.destroy();
+
+      expect(window.Rivet.get("modal")).to.equal(null);
+    });
+  });
+
+  describe("connect()", function() {
+    it("skips components that haven't been initialized", function() {
+      window.RivetRegistry.connect(document.body);
+
+      expect(window.Rivet.get("modal")).to.equal(null);
+      expect(document.getElementById("modal").hasAttribute("role")).to.equal(false);
+    });
+
+    it("sets up components that have been initialized", function() {
+      window.Modal.init();
+      window.Modal.destroy();
+
+      window.RivetRegistry.connect(document.body);
+
+      expect(window.Rivet.get("modal").element.id).to.equal("modal");
+    });
+  });
+
+  describe("namespace", function() {
+    it("has the components and the public utilities", function() {
+      expect(Object.keys(window.Rivet)).to.deep.equal([
+        "Alert",
+        "Drawer",
+        "Dropdown",
+        "Modal",
+        "Tabs",
+        "FileInput",
+        "Combobox",
+        "get",
+        "observe",
+        "disconnect",
+        "init"
+      ]);
+
+      expect(window.Rivet.Modal).to.equal(window.Modal);
+      expect(window.Rivet.get).to.equal(window.RivetRegistry.get);
+    });
+  });
+
+  describe("getOptions()", function() {
+    const defaults = { closeOnEscape: true, returnFocus: true, delay: 100 };
+
+    it("merges JSON and individual attributes with the defaults", function() {
+      const options = window.RivetRegistry.getOptions(document.getElementById("modal"), defaults);
+
+      // Individual attributes win over the JSON
+      expect(options).to.deep.equal({ closeOnEscape: false, returnFocus: true, delay: 100 });
+    });
+
+    it("converts attribute values to the type of the default", function() {
+      const element = document.createElement("div");
+
+      element.setAttribute("data-rvt-close-on-escape", "");
+      element.setAttribute("data-rvt-return-focus", "false");
+      element.setAttribute("data-rvt-delay", "250");
+
+      expect(window.RivetRegistry.getOptions(element, defaults))
+        .to.deep.equal({ closeOnEscape: true, returnFocus: false, delay: 250 });
+    });
+
+    it("ignores invalid JSON", function() {
+      const warn = window.console.warn;
+      window.console.warn = function() {};
+
+      const options = window.RivetRegistry.getOptions(document.getElementById("broken"), defaults);
+
+      window.console.warn = warn;
+
+      expect(options).to.deep.equal(defaults);
+    });
+  });
+});
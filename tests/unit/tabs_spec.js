@@ -0,0 +1,734 @@
+const { expect } = require("chai");
+const { KEYS, createWindow, keydown, recordEvents } = require("./helpers/dom");
+
+const MARKUP = `
+  <div class="rvt-tabs">
+    <div class="rvt-tabs__tablist" role="tablist" id="tablist">
+      <button class="rvt-tabs__tab" role="tab" aria-selected="true" data-tab="tab-1">One</button>
+      <button class="rvt-tabs__tab" role="tab" aria-selected="false" data-tab="tab-2" tabindex="-1">Two</button>
+      <button class="rvt-tabs__tab" role="tab" aria-selected="false" data-tab="tab-3" tabindex="-1">Three</button>
+    </div>
+    <div class="rvt-tabs__panel" role="tabpanel" id="tab-1">Panel one</div>
+    <div class="rvt-tabs__panel" role="tabpanel" id="tab-2" hidden>Panel two</div>
+    <div class="rvt-tabs__panel" role="tabpanel" id="tab-3" hidden>Panel three</div>
+  </div>`;
+
+describe("Tabs", function() {
+  let window;
+  let document;
+
+  beforeEach(function() {
+    window = createWindow(MARKUP);
+    document = window.document;
+
+    window.Tabs.init();
+  });
+
+  function tab(id) {
+    return document.querySelector(`[data-tab="${id}"]`);
+  }
+
+  function expectActive(id) {
+    ["tab-1", "tab-2", "tab-3"].forEach(item => {
+      expect(tab(item).getAttribute("aria-selected")).to.equal(String(item === id));
+      expect(document.getElementById(item).hasAttribute("hidden")).to.equal(item !== id);
+    });
+
+    expect(tab(id).hasAttribute("tabindex")).to.equal(false);
+  }
+
+  describe("activateTab()", function() {
+    it("shows the tab's panel and hides the others", function() {
+      window.Tabs.activateTab("tab-2");
+
+      expectActive("tab-2");
+    });
+
+    it("emits tabActivated with the previous tab and panel", function() {
+      const events = recordEvents(window, ["tabActivated"]);
+
+      window.Tabs.activateTab("tab-3");
+
+      const detail = events[0].detail;
+
+      expect(detail.name()).to.equal("tab-3");
+      expect(detail.element.id).to.equal("tab-3");
+      expect(detail.trigger).to.equal(tab("tab-3"));
+      expect(detail.previousTab).to.equal(tab("tab-1"));
+      expect(detail.previousPanel.id).to.equal("tab-1");
+      expect(detail.reason).to.equal("api");
+    });
+
+    it("activates a tab when it's clicked", function() {
+      const events = recordEvents(window, ["tabActivated"]);
+
+      tab("tab-2").click();
+
+      expectActive("tab-2");
+      expect(events[0].detail.reason).to.equal("click");
+    });
+  });
+
+  describe("addTab(), removeTab() and moveTab()", function() {
+    function tabOrder() {
+      return window.Rivet.get("tablist").getTabs().map(item => item.getAttribute("data-tab"));
+    }
+
+    function panelOrder() {
+      return Array.prototype.map.call(
+        document.querySelectorAll(".rvt-tabs__panel"),
+        panel => panel.id
+      );
+    }
+
+    it("adds a tab and panel with the right ARIA attributes", function() {
+      const events = recordEvents(window, ["tabAdded"]);
+
+      const newTab = window.Tabs.addTab("tablist", {
+        id: "tab-4",
+        label: "Four",
+        content: "<p>Panel four</p>"
+      });
+
+      const panel = document.getElementById("tab-4");
+
+      expect(newTab).to.equal(tab("tab-4"));
+      expect(newTab.getAttribute("role")).to.equal("tab");
+      expect(newTab.getAttribute("aria-selected")).to.equal("false");
+      expect(newTab.getAttribute("tabindex")).to.equal("-1");
+      expect(newTab.textContent).to.equal("Four");
+
+      expect(panel.getAttribute("role")).to.equal("tabpanel");
+      expect(panel.getAttribute("aria-labelledby")).to.equal(newTab.id);
+      expect(panel.hasAttribute("hidden")).to.equal(true);
+      expect(panel.innerHTML).to.equal("<p>Panel four</p>");
+
+      expect(tabOrder()).to.deep.equal(["tab-1", "tab-2", "tab-3", "tab-4"]);
+      expect(panelOrder()).to.deep.equal(["tab-1", "tab-2", "tab-3", "tab-4"]);
+
+      expect(events[0].detail.name()).to.equal("tab-4");
+      expect(events[0].detail.element).to.equal(panel);
+
+      // The new tab works like the others
+      window.Tabs.activateTab("tab-4");
+
+      expect(newTab.getAttribute("aria-selected")).to.equal("true");
+      expect(panel.hasAttribute("hidden")).to.equal(false);
+    });
+
+    it("adds tabs at a position", function() {
+      window.Tabs.addTab(document.getElementById("tablist"), {
+        id: "tab-0",
+        label: "Zero",
+        position: 0
+      });
+
+      expect(tabOrder()).to.deep.equal(["tab-0", "tab-1", "tab-2", "tab-3"]);
+      expect(panelOrder()).to.deep.equal(["tab-0", "tab-1", "tab-2", "tab-3"]);
+
+      // The selected tab doesn't change
+      expectActive("tab-1");
+    });
+
+    it("selects the first tab added to an empty tab list", function() {
+      const tabList = document.createElement("div");
+
+      document.body.appendChild(tabList);
+
+      const newTab = window.Tabs.addTab(tabList, { id: "only", label: "Only" });
+
+      expect(tabList.getAttribute("role")).to.equal("tablist");
+      expect(newTab.getAttribute("aria-selected")).to.equal("true");
+      expect(newTab.hasAttribute("tabindex")).to.equal(false);
+      expect(document.getElementById("only").hasAttribute("hidden")).to.equal(false);
+
+      // The panel goes right after the tab list
+      expect(tabList.nextElementSibling.id).to.equal("only");
+    });
+
+    it("requires an id", function() {
+      expect(() => window.Tabs.addTab("tablist", { label: "Four" })).to.throw();
+    });
+
+    it("removes a tab and activates its neighbor", function() {
+      const events = recordEvents(window, ["tabRemoved", "tabActivated"]);
+
+      window.Tabs.removeTab("tab-1");
+
+      expect(tab("tab-1")).to.equal(null);
+      expect(document.getElementById("tab-1")).to.equal(null);
+
+      expect(tab("tab-2").getAttribute("aria-selected")).to.equal("true");
+      expect(tab("tab-2").hasAttribute("tabindex")).to.equal(false);
+      expect(document.getElementById("tab-2").hasAttribute("hidden")).to.equal(false);
+
+      expect(events.map(event => event.type)).to.deep.equal(["tabRemoved", "tabActivated"]);
+      expect(events[0].detail.name()).to.equal("tab-1");
+      expect(events[0].detail.reason).to.equal("api");
+    });
+
+    it("activates the previous tab when the last tab is removed", function() {
+      window.Tabs.activateTab("tab-3");
+      window.Tabs.removeTab("tab-3");
+
+      expect(tab("tab-2").getAttribute("aria-selected")).to.equal("true");
+    });
+
+    it("moves a tab and its panel", function() {
+      window.Tabs.moveTab("tab-1", 2);
+
+      expect(tabOrder()).to.deep.equal(["tab-2", "tab-3", "tab-1"]);
+      expect(panelOrder()).to.deep.equal(["tab-2", "tab-3", "tab-1"]);
+
+      window.Tabs.moveTab("tab-3", 0);
+
+      expect(tabOrder()).to.deep.equal(["tab-3", "tab-2", "tab-1"]);
+      expect(panelOrder()).to.deep.equal(["tab-3", "tab-2", "tab-1"]);
+
+      expectActive("tab-1");
+    });
+  });
+
+  describe("keyboard", function() {
+    it("moves focus with the arrow keys without activating tabs", function() {
+      tab("tab-1").focus();
+
+      keydown(tab("tab-1"), KEYS.right);
+      expect(document.activeElement).to.equal(tab("tab-2"));
+
+      keydown(tab("tab-2"), KEYS.left);
+      keydown(tab("tab-1"), KEYS.left);
+      expect(document.activeElement).to.equal(tab("tab-3"));
+
+      expectActive("tab-1");
+    });
+
+    it("moves focus to the first and last tabs with Home and End", function() {
+      tab("tab-2").focus();
+
+      keydown(tab("tab-2"), KEYS.end);
+      expect(document.activeElement).to.equal(tab("tab-3"));
+
+      keydown(tab("tab-3"), KEYS.home);
+      expect(document.activeElement).to.equal(tab("tab-1"));
+    });
+
+    it("activates the focused tab with Enter or Space in manual mode", function() {
+      const events = recordEvents(window, ["tabActivated"]);
+
+      tab("tab-2").focus();
+
+      const enter = keydown(tab("tab-2"), KEYS.enter);
+
+      expectActive("tab-2");
+      expect(enter.defaultPrevented).to.equal(true);
+
+      tab("tab-3").focus();
+      keydown(tab("tab-3"), KEYS.space);
+
+      expectActive("tab-3");
+      expect(events.map(event => event.detail.reason)).to.deep.equal(["keyboard", "keyboard"]);
+    });
+
+    it("uses Up and Down instead of Left and Right for vertical tabs", function() {
+      document.getElementById("tablist").setAttribute("aria-orientation", "vertical");
+
+      tab("tab-1").focus();
+
+      keydown(tab("tab-1"), KEYS.right);
+      expect(document.activeElement).to.equal(tab("tab-1"));
+
+      keydown(tab("tab-1"), KEYS.down);
+      expect(document.activeElement).to.equal(tab("tab-2"));
+
+      keydown(tab("tab-2"), KEYS.up);
+      keydown(tab("tab-1"), KEYS.up);
+      expect(document.activeElement).to.equal(tab("tab-3"));
+    });
+
+    it("ignores Delete unless tabs are closable", function() {
+      tab("tab-2").focus();
+      keydown(tab("tab-2"), KEYS.delete);
+
+      expect(tab("tab-2")).to.not.equal(null);
+    });
+
+    it("removes closable tabs and their panels with Delete", function() {
+      window.Tabs.init(document, { closable: true });
+
+      tab("tab-1").focus();
+      keydown(tab("tab-1"), KEYS.delete);
+
+      expect(tab("tab-1")).to.equal(null);
+      expect(document.getElementById("tab-1")).to.equal(null);
+
+      // The next tab is activated and focused when the selected tab is removed
+      expect(tab("tab-2").getAttribute("aria-selected")).to.equal("true");
+      expect(document.getElementById("tab-2").hasAttribute("hidden")).to.equal(false);
+      expect(document.activeElement).to.equal(tab("tab-2"));
+
+      tab("tab-3").focus();
+      keydown(tab("tab-3"), KEYS.delete);
+
+      // Removing a tab that isn't selected doesn't change the selection
+      expect(tab("tab-2").getAttribute("aria-selected")).to.equal("true");
+      expect(document.activeElement).to.equal(tab("tab-2"));
+    });
+
+    it("activates tabs as they're focused with automatic activation", function() {
+      document.getElementById("tablist").setAttribute("data-rvt-activation", "automatic");
+
+      window.Tabs.init();
+
+      tab("tab-1").focus();
+      keydown(tab("tab-1"), KEYS.right);
+
+      expectActive("tab-2");
+    });
+  });
+
+  describe("deep linking", function() {
+    const SECOND_SET = `
+      <div class="rvt-tabs__tablist" role="tablist" id="other">
+        <button class="rvt-tabs__tab" role="tab" aria-selected="true" data-tab="other-1">One</button>
+        <button class="rvt-tabs__tab" role="tab" aria-selected="false" data-tab="other-2" tabindex="-1">Two</button>
+      </div>
+      <div class="rvt-tabs__panel" role="tabpanel" id="other-1">Other one</div>
+      <div class="rvt-tabs__panel" role="tabpanel" id="other-2" hidden>Other two</div>`;
+
+    beforeEach(function() {
+      window = createWindow(MARKUP + SECOND_SET);
+      document = window.document;
+    });
+
+    // history.back() is asynchronous, so wait for the popstate event
+    function goBack() {
+      return new Promise(resolve => {
+        window.addEventListener("popstate", () => resolve(), { once: true });
+        window.history.back();
+      });
+    }
+
+    it("writes the active panel id to the URL hash", function() {
+      window.Tabs.init(document, { deepLink: "hash" });
+
+      const length = window.history.length;
+
+      window.Tabs.activateTab("tab-2");
+
+      expect(window.location.hash).to.equal("#tab-2");
+      expect(window.history.length).to.equal(length + 1);
+    });
+
+    it("replaces the current history entry when configured to", function() {
+      window.Tabs.init(document, { deepLink: "hash", deepLinkHistory: "replace" });
+
+      const length = window.history.length;
+
+      window.Tabs.activateTab("tab-2");
+
+      expect(window.location.hash).to.equal("#tab-2");
+      expect(window.history.length).to.equal(length);
+    });
+
+    it("activates the tab in the URL when initialized", function() {
+      window.history.replaceState(null, "", "/?tablist=tab-3&other=other-2");
+
+      const events = recordEvents(window, ["tabActivated"]);
+
+      window.Tabs.init(document, { deepLink: "query" });
+
+      expectActive("tab-3");
+      expect(tab("other-2").getAttribute("aria-selected")).to.equal("true");
+      expect(events[0].detail.reason).to.equal("url");
+    });
+
+    it("keeps a query parameter for each set of tabs", function() {
+      window.history.replaceState(null, "", "/?page=2");
+
+      window.Tabs.init(document, { deepLink: "query" });
+
+      window.Tabs.activateTab("tab-2");
+      window.Tabs.activateTab("other-2");
+
+      expect(window.location.search).to.equal("?page=2&tablist=tab-2&other=other-2");
+    });
+
+    it("uses the deepLinkParam option as the query parameter", function() {
+      document.getElementById("tablist").setAttribute("data-rvt-deep-link-param", "section");
+
+      window.Tabs.init(document, { deepLink: "query" });
+
+      window.Tabs.activateTab("tab-3");
+
+      expect(window.location.search).to.equal("?section=tab-3");
+    });
+
+    it("moves between tabs with the Back button", async function() {
+      window.Tabs.init(document, { deepLink: "hash" });
+
+      window.Tabs.activateTab("tab-2");
+      window.Tabs.activateTab("other-2");
+      window.Tabs.activateTab("tab-3");
+
+      await goBack();
+
+      expectActive("tab-2");
+      expect(tab("other-2").getAttribute("aria-selected")).to.equal("true");
+
+      await goBack();
+
+      // The hash only holds one panel id, the history state restores the rest
+      expectActive("tab-2");
+      expect(tab("other-1").getAttribute("aria-selected")).to.equal("true");
+
+      await goBack();
+
+      expectActive("tab-1");
+      expect(window.location.hash).to.equal("");
+    });
+
+    it("activates the matching tab when the hash changes", function() {
+      window.Tabs.init(document, { deepLink: "hash" });
+
+      window.location.hash = "#tab-3";
+
+      window.dispatchEvent(new window.HashChangeEvent("hashchange"));
+
+      expectActive("tab-3");
+      expect(tab("other-1").getAttribute("aria-selected")).to.equal("true");
+    });
+  });
+
+  describe("lazy loaded panels", function() {
+    let requests;
+
+    // Resolves or rejects the request for a URL, then lets the promise callbacks run
+    function respond(url, html) {
+      const request = requests.filter(item => item.url === url)[0];
+
+      html instanceof Error ? request.reject(html) : request.resolve(html);
+
+      return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    function fetch(url) {
+      return new Promise((resolve, reject) => {
+        requests.push({ url, resolve, reject });
+      });
+    }
+
+    beforeEach(function() {
+      requests = [];
+
+      document.getElementById("tab-2").setAttribute("data-tab-src", "/panels/two.html");
+
+      window.Tabs.init(document, { fetch });
+    });
+
+    it("doesn't load panels until their tab is activated", function() {
+      expect(requests).to.have.length(0);
+
+      window.Tabs.activateTab("tab-2");
+
+      expect(requests.map(request => request.url)).to.deep.equal(["/panels/two.html"]);
+    });
+
+    it("shows a loading indicator while the panel loads", async function() {
+      const panel = document.getElementById("tab-2");
+
+      window.Tabs.activateTab("tab-2");
+
+      expect(panel.getAttribute("aria-busy")).to.equal("true");
+      expect(panel.querySelector(".rvt-loader")).to.not.equal(null);
+
+      await respond("/panels/two.html", "<p>Loaded</p>");
+
+      expect(panel.hasAttribute("aria-busy")).to.equal(false);
+      expect(panel.innerHTML).to.equal("<p>Loaded</p>");
+    });
+
+    it("only loads panels once", async function() {
+      window.Tabs.activateTab("tab-2");
+
+      await respond("/panels/two.html", "<p>Loaded</p>");
+
+      window.Tabs.activateTab("tab-1");
+      window.Tabs.activateTab("tab-2");
+
+      expect(requests).to.have.length(1);
+    });
+
+    it("emits tabPanelLoaded and sets up components in the new content", async function() {
+      const events = recordEvents(window, ["tabPanelLoaded"]);
+
+      window.Tabs.activateTab("tab-2", null, "click");
+
+      await respond(
+        "/panels/two.html",
+        '<div><button data-tab="nested-1">One</button><button data-tab="nested-2">Two</button></div>' +
+        '<div id="nested-1"></div><div id="nested-2"></div>'
+      );
+
+      const detail = events[0].detail;
+
+      expect(detail.name()).to.equal("tab-2");
+      expect(detail.element).to.equal(document.getElementById("tab-2"));
+      expect(detail.trigger).to.equal(tab("tab-2"));
+      expect(detail.url).to.equal("/panels/two.html");
+      expect(detail.reason).to.equal("click");
+
+      expect(tab("nested-1").getAttribute("aria-selected")).to.equal("true");
+      expect(document.getElementById("nested-2").hasAttribute("hidden")).to.equal(true);
+    });
+
+    it("emits tabPanelError and tries again next time if loading fails", async function() {
+      const events = recordEvents(window, ["tabPanelError"]);
+
+      const panel = document.getElementById("tab-2");
+
+      panel.innerHTML = "Placeholder";
+
+      window.Tabs.activateTab("tab-2");
+
+      const error = new Error("Not found");
+
+      await respond("/panels/two.html", error);
+
+      expect(events[0].detail.error).to.equal(error);
+      expect(panel.hasAttribute("aria-busy")).to.equal(false);
+      expect(panel.innerHTML).to.equal("Placeholder");
+
+      window.Tabs.activateTab("tab-1");
+      window.Tabs.activateTab("tab-2");
+
+      expect(requests).to.have.length(2);
+    });
+
+    it("finishes loading if setting up the new content throws", async function() {
+      const events = recordEvents(window, ["tabPanelLoaded", "tabPanelError"]);
+      const rejections = [];
+      const recordRejection = error => rejections.push(error);
+      const logged = [];
+
+      const panel = document.getElementById("tab-2");
+
+      window.RivetRegistry.connect = () => {
+        throw new Error("Broken component");
+      };
+
+      window.console.error = error => logged.push(error);
+
+      process.on("unhandledRejection", recordRejection);
+
+      try {
+        window.Tabs.activateTab("tab-2");
+
+        await respond("/panels/two.html", "<p>Loaded</p>");
+      } finally {
+        process.removeListener("unhandledRejection", recordRejection);
+      }
+
+      expect(rejections).to.have.length(0);
+      expect(events.map(event => event.type)).to.deep.equal(["tabPanelLoaded"]);
+      expect(logged[0].message).to.equal("Broken component");
+      expect(panel.innerHTML).to.equal("<p>Loaded</p>");
+      expect(panel.hasAttribute("aria-busy")).to.equal(false);
+    });
+
+    it("treats a fetch option that throws as a failed request", async function() {
+      const events = recordEvents(window, ["tabPanelError"]);
+      const error = new Error("Offline");
+
+      const panel = document.getElementById("tab-2");
+
+      window.Tabs.init(document, {
+        fetch() {
+          throw error;
+        }
+      });
+
+      window.Tabs.activateTab("tab-2");
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(events[0].detail.error).to.equal(error);
+      expect(panel.hasAttribute("aria-busy")).to.equal(false);
+    });
+
+    it("loads the selected panel when initialized", function() {
+      document.getElementById("tab-1").setAttribute("data-tab-src", "/panels/one.html");
+
+      window.Tabs.init(document, { fetch });
+
+      expect(requests.map(request => request.url)).to.deep.equal(["/panels/one.html"]);
+    });
+  });
+
+  describe("overflow menu", function() {
+    beforeEach(function() {
+      window = createWindow(MARKUP);
+      document = window.document;
+
+      /**
+       * jsdom doesn't do layout. Every tab is 100px wide, the "More"
+       * dropdown is 50px wide and the tab list is as wide as its
+       * data-width attribute.
+       */
+      Object.defineProperty(window.HTMLElement.prototype, "offsetWidth", {
+        configurable: true,
+        get() {
+          return this.classList.contains("rvt-tabs__more") ? 50 : 100;
+        }
+      });
+
+      Object.defineProperty(window.HTMLElement.prototype, "clientWidth", {
+        configurable: true,
+        get() {
+          return Number(this.getAttribute("data-width")) || 0;
+        }
+      });
+
+      resize(250);
+
+      window.Tabs.init(document, { overflow: true });
+    });
+
+    function resize(width) {
+      document.getElementById("tablist").setAttribute("data-width", width);
+
+      window.dispatchEvent(new window.Event("resize"));
+    }
+
+    function menuItems() {
+      return Array.prototype.map.call(
+        document.querySelectorAll("[data-tab-overflow]"),
+        item => item.getAttribute("data-tab-overflow")
+      );
+    }
+
+    it("moves tabs that don't fit into a dropdown menu", function() {
+      expect(tab("tab-3").hasAttribute("hidden")).to.equal(true);
+      expect(menuItems()).to.deep.equal(["tab-3"]);
+      expect(document.querySelector(".rvt-tabs__more").hasAttribute("hidden")).to.equal(false);
+      expect(document.querySelector("[data-dropdown-toggle]").textContent).to.equal("More");
+    });
+
+    it("puts the dropdown next to the tab list, not inside it", function() {
+      const tablist = document.getElementById("tablist");
+      const more = document.querySelector(".rvt-tabs__more");
+
+      expect(tablist.contains(more)).to.equal(false);
+      expect(tablist.nextElementSibling).to.equal(more);
+      expect(tablist.parentNode.className).to.equal("rvt-tabs");
+    });
+
+    it("opens the dropdown without Dropdown.init()", function() {
+      const menu = document.getElementById("tablist-more");
+
+      document.querySelector(".rvt-tabs__more-toggle").click();
+      expect(menu.getAttribute("aria-hidden")).to.equal("false");
+
+      document.querySelector(".rvt-tabs__more-toggle").click();
+      expect(menu.getAttribute("aria-hidden")).to.equal("true");
+    });
+
+    it("handles the keyboard and outside clicks without Dropdown.init()", function() {
+      const menu = document.getElementById("tablist-more");
+      const toggle = document.querySelector(".rvt-tabs__more-toggle");
+
+      toggle.focus();
+      keydown(toggle, KEYS.down);
+
+      expect(menu.getAttribute("aria-hidden")).to.equal("false");
+      expect(document.activeElement).to.equal(menu.querySelector("[data-tab-overflow]"));
+
+      keydown(document.activeElement, KEYS.escape);
+
+      expect(menu.getAttribute("aria-hidden")).to.equal("true");
+      expect(document.activeElement).to.equal(toggle);
+
+      toggle.click();
+      document.getElementById("tab-1").click();
+
+      expect(menu.getAttribute("aria-hidden")).to.equal("true");
+    });
+
+    it("opens the dropdown once when Dropdown.init() has run too", function() {
+      const clicks = [];
+
+      document.addEventListener("click", event => clicks.push(event.target));
+
+      window.Dropdown.init();
+
+      const toggle = document.querySelector(".rvt-tabs__more-toggle");
+
+      toggle.click();
+
+      expect(document.getElementById("tablist-more").getAttribute("aria-hidden")).to.equal("false");
+      expect(clicks).to.deep.equal([toggle]);
+    });
+
+    it("moves tabs back when the tab list gets wider", function() {
+      resize(300);
+
+      expect(tab("tab-3").hasAttribute("hidden")).to.equal(false);
+      expect(menuItems()).to.deep.equal([]);
+      expect(document.querySelector(".rvt-tabs__more").hasAttribute("hidden")).to.equal(true);
+    });
+
+    it("keeps the selected tab in the tab list", function() {
+      resize(150);
+
+      window.Tabs.activateTab("tab-3");
+
+      expect(tab("tab-3").hasAttribute("hidden")).to.equal(false);
+      expect(menuItems()).to.deep.equal(["tab-1", "tab-2"]);
+    });
+
+    it("activates tabs when their menu item is clicked", function() {
+      const events = recordEvents(window, ["tabActivated"]);
+
+      document.querySelector('[data-tab-overflow="tab-3"]').click();
+
+      expectActive("tab-3");
+      expect(events[0].detail.reason).to.equal("click");
+      expect(document.activeElement).to.equal(tab("tab-3"));
+    });
+
+    it("moves focus into the menu for tabs that have overflowed", function() {
+      tab("tab-2").focus();
+      keydown(tab("tab-2"), KEYS.right);
+
+      const item = document.querySelector('[data-tab-overflow="tab-3"]');
+
+      expect(document.activeElement).to.equal(item);
+      expect(document.getElementById("tablist-more").getAttribute("aria-hidden")).to.equal("false");
+
+      keydown(item, KEYS.left);
+
+      expect(document.activeElement).to.equal(tab("tab-2"));
+      expect(document.getElementById("tablist-more").getAttribute("aria-hidden")).to.equal("true");
+    });
+
+    it("moves overflowed tabs into the tab list with automatic activation", function() {
+      document.getElementById("tablist").setAttribute("data-rvt-activation", "automatic");
+
+      window.Tabs.init(document, { overflow: true });
+
+      tab("tab-2").focus();
+      keydown(tab("tab-2"), KEYS.right);
+
+      expectActive("tab-3");
+      expect(document.activeElement).to.equal(tab("tab-3"));
+    });
+
+    it("removes the menu when the tabs are destroyed", function() {
+      window.Tabs.destroy();
+
+      expect(document.querySelector(".rvt-tabs__more")).to.equal(null);
+      expect(tab("tab-3").hasAttribute("hidden")).to.equal(false);
+      expect(document.getElementById("tablist").classList.contains("rvt-tabs__tablist--overflow")).to.equal(false);
+    });
+  });
+});
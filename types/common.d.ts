@@ -0,0 +1,45 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * What caused a component to open, close or activate. Sent along in
+ * event.detail.reason and passed as the optional last argument of
+ * methods like Modal.open().
+ */
+export type RivetReason =
+  | 'api'
+  | 'trigger'
+  | 'click'
+  | 'keyboard'
+  | 'escape'
+  | 'background'
+  | 'closeButton'
+  | 'outsideClick'
+  | 'select'
+  | 'tab'
+  | 'anotherOpened'
+  | 'action'
+  | 'change'
+  | 'url'
+  | 'swipe'
+  | (string & {});
+
+/**
+ * The element components attach their event listeners to. Defaults to
+ * the document.
+ */
+export type RivetContext = HTMLElement | Document;
+
+export type RivetCallback = () => void;
+
+/**
+ * Properties every component instance has. Instances can be retrieved
+ * with Rivet.get(element).
+ */
+export interface RivetInstance<TElement extends HTMLElement, TOptions> {
+  element: TElement;
+  options: TOptions;
+  destroy(): void;
+}
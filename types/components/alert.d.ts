@@ -0,0 +1,71 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetCallback, RivetContext, RivetInstance } from '../common';
+
+export interface AlertOptions {
+  /**
+   * Remove the alert from the DOM when it's dismissed. If false the alert
+   * is hidden with the hidden attribute instead. Defaults to true.
+   */
+  removeOnDismiss: boolean;
+}
+
+export interface AlertInstance extends RivetInstance<HTMLElement, AlertOptions> {
+  dismiss(callback?: RivetCallback): void;
+  /**
+   * Dismisses the alert after the given number of milliseconds. The
+   * countdown is paused while the alert is hovered or has focus.
+   */
+  startTimer(duration: number): void;
+}
+
+export type AlertType = 'info' | 'success' | 'warning' | 'danger';
+
+export type AlertToastPosition = 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left';
+
+export interface AlertCreateOptions {
+  /** Defaults to 'info' */
+  type?: AlertType;
+  title?: string;
+  message?: string;
+  /** Add a button that dismisses the alert. Defaults to true. */
+  dismissible?: boolean;
+  /** Dismiss the alert automatically after this many milliseconds */
+  timeout?: number;
+  /**
+   * The element, or its id, to add the alert to. Defaults to a toast
+   * region in a corner of the screen. Alert.init() adds the toast regions
+   * so that screen readers announce the first toast.
+   */
+  container?: HTMLElement | string;
+  /** The corner toasts are stacked in. Defaults to 'top-right'. */
+  position?: AlertToastPosition;
+  /** Build an inline alert (.rvt-inline-alert) instead of a page-level one */
+  variant?: 'inline' | 'standalone';
+}
+
+export interface AlertAPI {
+  init(context?: RivetContext, options?: Partial<AlertOptions>): void;
+  destroy(context?: RivetContext): void;
+  /**
+   * @param id - The alert's id attribute, or the id its aria-labelledby
+   * attribute points to.
+   */
+  dismiss(id: string, callback?: RivetCallback): void;
+  /**
+   * @deprecated Pass the alert's id instead of the element.
+   */
+  dismiss(alert: HTMLElement, callback?: RivetCallback): void;
+  /**
+   * Creates an alert and adds it to the page.
+   * @returns The new alert's id, which can be passed to dismiss()
+   */
+  create(options?: AlertCreateOptions): string;
+}
+
+declare const Alert: AlertAPI;
+
+export default Alert;
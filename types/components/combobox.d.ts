@@ -0,0 +1,81 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetContext, RivetInstance, RivetReason } from '../common';
+
+/** A suggestion returned by the source option */
+export type ComboboxResult = string | { label: string; value?: string };
+
+export interface ComboboxOptions {
+  /**
+   * Loads the suggestions for what's been typed. When this isn't set the
+   * options in the markup are filtered instead.
+   */
+  source:
+    | ((text: string, input: HTMLInputElement) => ComboboxResult[] | Promise<ComboboxResult[]>)
+    | null;
+  /** How long to wait after the last keystroke before calling source, in ms. Defaults to 300. */
+  debounce: number;
+  /** How many characters need to be typed before suggestions are shown. Defaults to 1. */
+  minLength: number;
+  /** Shown when nothing matches what's been typed. Defaults to "No results". */
+  noResultsText: string;
+  /**
+   * Read by screen readers when suggestions are shown. {count} is replaced
+   * with the number of options. Defaults to "{count} results available".
+   */
+  resultsText: string;
+  /**
+   * Mark the input as invalid with rvt-validation-danger and aria-invalid
+   * when it's left with text that wasn't picked from the options.
+   * Defaults to false.
+   */
+  requireSelection: boolean;
+}
+
+export interface ComboboxInstance extends RivetInstance<HTMLInputElement, ComboboxOptions> {
+  getListbox(): HTMLElement | null;
+  isOpen(): boolean;
+  /** The options that match what's been typed */
+  getResults(): HTMLElement[];
+  /** The option aria-activedescendant points to */
+  getActive(): HTMLElement | null;
+  open(): void;
+  /** Also cancels any search that is waiting for the source option */
+  close(): void;
+  setActive(option: HTMLElement | null): void;
+  move(direction: 'next' | 'previous'): void;
+  /**
+   * Shows the options that match the text. The source option is called
+   * after the debounce delay.
+   */
+  search(text: string): void;
+  /**
+   * Fills in the input with the option's label and emits comboboxSelect.
+   * @returns The option's data-value or label, or null if it's disabled
+   */
+  select(option: HTMLElement, reason?: RivetReason): string | null;
+  /**
+   * With the requireSelection option on, marks the input as invalid if
+   * it has text that wasn't picked from the options.
+   * @returns false if the input is invalid
+   */
+  validate(): boolean;
+}
+
+export interface ComboboxAPI {
+  init(context?: RivetContext, options?: Partial<ComboboxOptions>): void;
+  destroy(context?: RivetContext): void;
+  /**
+   * Shows the options that match the text in the combobox
+   * @param id - The id of the combobox's text input
+   */
+  open(id: string): void;
+  close(id: string): void;
+}
+
+declare const Combobox: ComboboxAPI;
+
+export default Combobox;
@@ -0,0 +1,73 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetCallback, RivetContext, RivetInstance, RivetReason } from '../common';
+
+export type DrawerPlacement = '' | 'left' | 'right';
+
+export interface DrawerOptions {
+  /** Close the drawer when something outside of it is clicked. Defaults to true. */
+  closeOnOutsideClick: boolean;
+  /** Close the drawer when the Escape key is pressed. Defaults to true. */
+  closeOnEscape: boolean;
+  /** Return focus to the toggle when the drawer is closed from inside. Defaults to true. */
+  returnFocus: boolean;
+  /**
+   * Treat the drawer like a modal dialog while it's open: trap Tab focus
+   * inside of it, make the rest of the page inert and stop it scrolling.
+   * The drawer's toggle stays available so it can close the drawer.
+   * Defaults to false.
+   */
+  modal: boolean;
+  /**
+   * Remember which subnavs were expanded in sessionStorage and expand them
+   * again on the next page load. Subnavs that contain an element with
+   * aria-current are always expanded. Defaults to false.
+   */
+  persistSubnavs: boolean;
+  /**
+   * Turns the drawer into a panel that slides in from the left or right
+   * edge of the screen. Defaults to '', the header drawer.
+   */
+  placement: DrawerPlacement;
+  /** Close slide-in panels when they're swiped towards their edge. Defaults to true. */
+  swipeToClose: boolean;
+}
+
+export interface DrawerInstance extends RivetInstance<HTMLElement, DrawerOptions> {
+  /** The toggle that last opened the drawer */
+  trigger: HTMLElement | null;
+  getToggle(): HTMLButtonElement | null;
+  isOpen(): boolean;
+  open(callback?: RivetCallback | null, reason?: RivetReason): void;
+  close(callback?: RivetCallback | null, reason?: RivetReason): boolean;
+}
+
+export interface DrawerAPI {
+  init(context?: RivetContext, options?: Partial<DrawerOptions>): void;
+  destroy(context?: RivetContext): void;
+  open(id: string, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /**
+   * @returns false if closing was canceled by a drawerBeforeClose listener
+   */
+  close(id: string, callback?: RivetCallback | null, reason?: RivetReason): boolean;
+  /** Closes every open drawer, emitting the usual events */
+  closeAll(): void;
+  /** Opens the drawer if it's closed, otherwise closes it */
+  toggle(id: string, callback?: RivetCallback | null): void;
+  /**
+   * @deprecated Pass the drawer's id instead of its toggle button. Any
+   * other arguments are ignored.
+   */
+  toggle(trigger: HTMLElement, ...ignored: unknown[]): void;
+  /** @returns false if the drawer is closed or doesn't exist */
+  isOpen(id: string): boolean;
+  /** @returns The most recently opened drawer that is still open */
+  getActive(): HTMLElement | null;
+}
+
+declare const Drawer: DrawerAPI;
+
+export default Drawer;
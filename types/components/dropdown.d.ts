@@ -0,0 +1,86 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetCallback, RivetContext, RivetInstance, RivetReason } from '../common';
+
+export interface DropdownOptions {
+  /** Close the menu when one of its items is clicked. Defaults to false. */
+  closeOnSelect: boolean;
+  /** Close the menu when something outside of it is clicked. Defaults to true. */
+  closeOnOutsideClick: boolean;
+  /** Return focus to the toggle when the menu is closed from the keyboard. Defaults to true. */
+  returnFocus: boolean;
+  /**
+   * Where to show the menu. Defaults to "bottom-start", or "bottom-end"
+   * for menus with the rvt-dropdown__menu--right modifier.
+   */
+  placement: '' | DropdownPlacement;
+  /**
+   * Flip the menu to the other side of the toggle when it doesn't fit.
+   * Defaults to true.
+   */
+  flip: boolean;
+  /**
+   * Keep the menu open when a menuitemcheckbox is toggled, even if
+   * closeOnSelect is true. Defaults to true.
+   */
+  keepOpenOnCheck: boolean;
+}
+
+export type DropdownPlacement = 'bottom-start' | 'bottom-end' | 'top-start' | 'top-end';
+
+/**
+ * Where a submenu (a dropdown inside of another dropdown's menu) is shown
+ * next to the item that opens it. The placement option doesn't apply.
+ */
+export type DropdownSubmenuPlacement = 'right-top' | 'right-bottom' | 'left-top' | 'left-bottom';
+
+export interface DropdownInstance extends RivetInstance<HTMLElement, DropdownOptions> {
+  /** The toggle that last opened the menu */
+  trigger: HTMLElement | null;
+  getToggle(): HTMLButtonElement | null;
+  isOpen(): boolean;
+  open(callback?: RivetCallback | null, reason?: RivetReason): void;
+  /** Also closes any open submenus. Returns false if closing was canceled. */
+  close(callback?: RivetCallback | null, reason?: RivetReason): boolean;
+  /**
+   * Moves focus to the next item that starts with the characters typed so
+   * far. Used for type-to-jump in open menus.
+   * @returns false if the character was ignored
+   */
+  typeahead(character: string, currentItem: HTMLElement): boolean;
+  /**
+   * Works out where the open menu fits and sets its
+   * data-dropdown-placement attribute, a DropdownPlacement or a
+   * DropdownSubmenuPlacement for submenus.
+   */
+  updatePosition(): void;
+  /**
+   * Selects a menuitem, toggles a menuitemcheckbox or checks a
+   * menuitemradio and emits dropdownSelect.
+   * @returns The item's new checked state, or null for plain menu items
+   */
+  select(item: HTMLElement, reason?: RivetReason): boolean | null;
+}
+
+export interface DropdownAPI {
+  init(context?: RivetContext, options?: Partial<DropdownOptions>): void;
+  destroy(context?: RivetContext): void;
+  open(id: string, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /**
+   * @returns false if closing was canceled by a dropdownBeforeClose listener
+   */
+  close(id: string, callback?: RivetCallback | null, reason?: RivetReason): boolean;
+  /**
+   * @deprecated Closes every menu without emitting any events. Use close()
+   * instead.
+   */
+  closeAll(): void;
+  toggle(id: string, callback?: RivetCallback | null): void;
+}
+
+declare const Dropdown: DropdownAPI;
+
+export default Dropdown;
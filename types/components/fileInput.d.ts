@@ -0,0 +1,25 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetContext } from '../common';
+
+export interface FileInputOptions {
+  /** Shown in the preview when no files are attached */
+  defaultText: string;
+  /**
+   * Shown when more than one file is attached. {count} is replaced with
+   * the number of files.
+   */
+  multipleFilesText: string;
+}
+
+export interface FileInputAPI {
+  init(context?: RivetContext, options?: Partial<FileInputOptions>): void;
+  destroy(context?: RivetContext): void;
+}
+
+declare const FileInput: FileInputAPI;
+
+export default FileInput;
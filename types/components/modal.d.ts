@@ -0,0 +1,90 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetCallback, RivetContext, RivetInstance, RivetReason } from '../common';
+
+export interface ModalOptions {
+  /** Close the modal when its background is clicked. Defaults to true. */
+  closeOnBackgroundClick: boolean;
+  /** Close the modal when the Escape key is pressed. Defaults to true. */
+  closeOnEscape: boolean;
+  /** Return focus to whatever opened the modal when it closes. Defaults to true. */
+  returnFocus: boolean;
+}
+
+export interface ModalInstance extends RivetInstance<HTMLElement, ModalOptions> {
+  /** The element focus is returned to when the modal closes */
+  returnFocusTo: HTMLElement | null;
+  isOpen(): boolean;
+  open(callback?: RivetCallback | null, reason?: RivetReason): void;
+  close(callback?: RivetCallback | null, reason?: RivetReason): void;
+}
+
+export interface ModalDialogButton {
+  label: string;
+  /** Sent to the promise when the button is clicked */
+  action: string;
+  /** e.g. "secondary" or "danger" */
+  modifier?: string;
+}
+
+export interface ModalConfirmOptions {
+  title?: string;
+  message?: string;
+  /** Defaults to "OK" */
+  confirmText?: string;
+  /** Defaults to "Cancel" */
+  cancelText?: string;
+  /** Used in place of the confirm and cancel buttons */
+  buttons?: ModalDialogButton[];
+  /** Can't be dismissed with the Escape key or by clicking the background */
+  dialog?: boolean;
+}
+
+export interface ModalPromptOptions {
+  title?: string;
+  message?: string;
+  /** Defaults to the message, or the title if there is no message */
+  label?: string;
+  value?: string;
+  placeholder?: string;
+  /** Defaults to "OK" */
+  confirmText?: string;
+  /** Defaults to "Cancel" */
+  cancelText?: string;
+  /** Can't be dismissed with the Escape key or by clicking the background */
+  dialog?: boolean;
+}
+
+export interface ModalAPI {
+  init(context?: RivetContext, options?: Partial<ModalOptions>): void;
+  destroy(context?: RivetContext): void;
+  open(id: string, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /**
+   * @deprecated Pass the modal's id instead of the element.
+   */
+  open(modal: HTMLElement, callback?: RivetCallback | null, reason?: RivetReason): void;
+  close(id: string, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /**
+   * @deprecated Pass the modal's id instead of the element.
+   */
+  close(modal: HTMLElement, callback?: RivetCallback | null, reason?: RivetReason): void;
+  focusTrigger(id: string): void;
+  focusModal(id: string): void;
+  /**
+   * Resolves with the action of the button that was clicked ("confirm" or
+   * "cancel" by default), or null if the modal was dismissed.
+   */
+  confirm(options?: ModalConfirmOptions): Promise<string | null>;
+  /**
+   * Resolves with the value that was entered, or null if the user canceled
+   * or dismissed the modal.
+   */
+  prompt(options?: ModalPromptOptions): Promise<string | null>;
+}
+
+declare const Modal: ModalAPI;
+
+export default Modal;
@@ -0,0 +1,119 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetCallback, RivetContext, RivetInstance, RivetReason } from '../common';
+
+export interface TabsOptions {
+  /**
+   * "manual" only moves focus when the arrow keys are used. "automatic"
+   * activates tabs as soon as they receive focus. Defaults to "manual".
+   */
+  activation: 'manual' | 'automatic';
+  /**
+   * Allow tabs to be removed with the Delete key. The tab's panel is
+   * removed with it. Defaults to false.
+   */
+  closable: boolean;
+  /**
+   * Keeps the active tab in the URL, either as the hash (#tab-2) or as a
+   * query parameter (?tabs=tab-2). Off ("") by default.
+   */
+  deepLink: '' | 'hash' | 'query';
+  /**
+   * The query parameter used when deepLink is "query". Defaults to the
+   * tab list's id, or "tab".
+   */
+  deepLinkParam: string;
+  /**
+   * Whether activating a tab adds a history entry ("push") or updates the
+   * current one ("replace"). Defaults to "push".
+   */
+  deepLinkHistory: 'push' | 'replace';
+  /**
+   * Loads the content of panels with a data-tab-src attribute. Resolves
+   * with the panel's HTML. Defaults to a GET request.
+   */
+  fetch: ((url: string, panel: HTMLElement) => Promise<string>) | null;
+  /**
+   * Moves tabs that don't fit on one line into a "More" dropdown menu.
+   * Defaults to false.
+   */
+  overflow: boolean;
+  /** The label of the overflow menu's toggle. Defaults to "More". */
+  overflowText: string;
+}
+
+/** Describes a tab added with Tabs.addTab() */
+export interface NewTabOptions {
+  /** The id of the new panel */
+  id: string;
+  /** The text of the new tab */
+  label: string;
+  /** HTML or an element to put in the panel */
+  content?: string | Node;
+  /** Where to add the tab, starting at 0. Defaults to the end. */
+  position?: number;
+}
+
+export interface TabsInstance extends RivetInstance<HTMLElement, TabsOptions> {
+  getTabs(): HTMLButtonElement[];
+  getPanels(): HTMLElement[];
+  getActiveTab(): HTMLButtonElement | null;
+  activate(tab: HTMLButtonElement, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /** true if the tab list has aria-orientation="vertical" */
+  isVertical(): boolean;
+  /** Adds a tab and its panel. See Tabs.addTab(). */
+  addTab(options: NewTabOptions): HTMLButtonElement;
+  /**
+   * Removes a tab and its panel.
+   * @returns The tab that should receive focus next
+   */
+  removeTab(tab: HTMLButtonElement, reason?: RivetReason): HTMLButtonElement | undefined;
+  /** Moves a tab and its panel to a new position, starting at 0 */
+  moveTab(tab: HTMLButtonElement, index: number): void;
+  /**
+   * Activates the tab the URL points at. Used by deep linked tabs.
+   * @param state - Optional. A history.state object saved by the tabs.
+   */
+  syncWithUrl(state?: object | null): void;
+  /** true if the tab has been moved into the overflow menu */
+  isOverflowed(tab: HTMLButtonElement): boolean;
+  /** The overflow dropdown menu, or null if the overflow option is off */
+  getOverflowMenu(): HTMLElement | null;
+  /** Measures the tab list and moves tabs that don't fit into the menu */
+  updateOverflow(): void;
+}
+
+export interface TabsAPI {
+  init(context?: RivetContext, options?: Partial<TabsOptions>): void;
+  destroy(context?: RivetContext): void;
+  /**
+   * @param id - The id of the panel the tab controls
+   */
+  activateTab(id: string, callback?: RivetCallback | null, reason?: RivetReason): void;
+  /**
+   * Adds a tab and its panel to a set of tabs. The new tab is only
+   * selected if no other tab is.
+   * @param tabList - The tab list element or its id
+   * @returns The new tab, or null if the tab list doesn't exist
+   */
+  addTab(tabList: HTMLElement | string, options: NewTabOptions): HTMLButtonElement | null;
+  /**
+   * Removes a tab and its panel. Its neighbor is activated if it was
+   * selected.
+   * @param id - The id of the panel the tab controls
+   */
+  removeTab(id: string): void;
+  /**
+   * Moves a tab and its panel to a new position in its tab list.
+   * @param id - The id of the panel the tab controls
+   * @param index - The new position, starting at 0
+   */
+  moveTab(id: string, index: number): void;
+}
+
+declare const Tabs: TabsAPI;
+
+export default Tabs;
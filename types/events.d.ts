@@ -0,0 +1,81 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { RivetReason } from './common';
+
+/**
+ * event.detail for every Rivet custom event
+ */
+export interface RivetEventDetail<TElement extends HTMLElement = HTMLElement> {
+  /** The id of the component the event was emitted for */
+  name(): string;
+  /** The component's main element, e.g. the modal or dropdown menu */
+  element: TElement;
+  /** The element that caused the event, e.g. the button that opened a modal */
+  trigger: HTMLElement | null;
+  reason: RivetReason;
+}
+
+export interface TabActivatedDetail extends RivetEventDetail {
+  previousTab: HTMLButtonElement | null;
+  previousPanel: HTMLElement | null;
+}
+
+export interface DropdownSelectDetail extends RivetEventDetail {
+  /** The menuitem, menuitemcheckbox or menuitemradio that was selected */
+  item: HTMLElement;
+  /** The item's new checked state, or null for plain menu items */
+  value: boolean | null;
+}
+
+export interface TabPanelLoadedDetail extends RivetEventDetail {
+  /** The panel's data-tab-src */
+  url: string;
+}
+
+export interface TabPanelErrorDetail extends TabPanelLoadedDetail {
+  /** Whatever the fetch option rejected with */
+  error: unknown;
+}
+
+export interface ComboboxSelectDetail extends RivetEventDetail<HTMLInputElement> {
+  /** The option that was selected */
+  option: HTMLElement;
+  /** The option's data-value, or its label if it doesn't have one */
+  value: string;
+}
+
+export interface FileAttachedDetail extends RivetEventDetail {
+  trigger: HTMLInputElement;
+  files: FileList;
+}
+
+export type RivetEvent<TDetail = RivetEventDetail> = CustomEvent<TDetail>;
+
+declare global {
+  interface DocumentEventMap {
+    // The "before" events can be canceled with event.preventDefault()
+    modalBeforeOpen: RivetEvent;
+    modalOpen: RivetEvent;
+    modalBeforeClose: RivetEvent;
+    modalClose: RivetEvent;
+    dropdownBeforeOpen: RivetEvent;
+    dropdownOpen: RivetEvent;
+    dropdownBeforeClose: RivetEvent;
+    dropdownClose: RivetEvent;
+    dropdownSelect: RivetEvent<DropdownSelectDetail>;
+    drawerBeforeOpen: RivetEvent;
+    drawerOpen: RivetEvent;
+    drawerBeforeClose: RivetEvent;
+    drawerClose: RivetEvent;
+    tabActivated: RivetEvent<TabActivatedDetail>;
+    tabAdded: RivetEvent;
+    tabRemoved: RivetEvent;
+    tabPanelLoaded: RivetEvent<TabPanelLoadedDetail>;
+    tabPanelError: RivetEvent<TabPanelErrorDetail>;
+    fileAttached: RivetEvent<FileAttachedDetail>;
+    comboboxSelect: RivetEvent<ComboboxSelectDetail>;
+  }
+}
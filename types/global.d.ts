@@ -0,0 +1,30 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * Types for the globals that rivet.js adds when it's loaded with a
+ * <script> tag. Reference this file with
+ * /// <reference types="rivet-uits/types/global" />
+ */
+
+import { AlertAPI } from './components/alert';
+import { ComboboxAPI } from './components/combobox';
+import { DrawerAPI } from './components/drawer';
+import { DropdownAPI } from './components/dropdown';
+import { FileInputAPI } from './components/fileInput';
+import { ModalAPI } from './components/modal';
+import { TabsAPI } from './components/tabs';
+
+import './events';
+
+declare global {
+  const Alert: AlertAPI;
+  const Combobox: ComboboxAPI;
+  const Drawer: DrawerAPI;
+  const Dropdown: DropdownAPI;
+  const FileInput: FileInputAPI;
+  const Modal: ModalAPI;
+  const Tabs: TabsAPI;
+}
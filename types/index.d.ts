@@ -0,0 +1,58 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+/**
+ * Types for the ES module (rivet.esm.js) and UMD (rivet.umd.js) builds.
+ * If you load rivet.js with a <script> tag, reference global.d.ts instead.
+ */
+
+import Alert from './components/alert';
+import Combobox from './components/combobox';
+import Drawer from './components/drawer';
+import Dropdown from './components/dropdown';
+import FileInput from './components/fileInput';
+import Modal from './components/modal';
+import Tabs from './components/tabs';
+import { RivetContext } from './common';
+import { RivetUtilities } from './rivet';
+
+export * from './common';
+export * from './events';
+export * from './rivet';
+export * from './components/alert';
+export * from './components/combobox';
+export * from './components/drawer';
+export * from './components/dropdown';
+export * from './components/fileInput';
+export * from './components/modal';
+export * from './components/tabs';
+
+export { Alert, Combobox, Drawer, Dropdown, FileInput, Modal, Tabs };
+
+export declare const get: RivetUtilities['get'];
+export declare const observe: RivetUtilities['observe'];
+export declare const disconnect: RivetUtilities['disconnect'];
+
+/**
+ * Initializes every component
+ */
+export declare function init(context?: RivetContext): void;
+
+export interface RivetNamespace extends RivetUtilities {
+  Alert: typeof Alert;
+  Combobox: typeof Combobox;
+  Drawer: typeof Drawer;
+  Dropdown: typeof Dropdown;
+  FileInput: typeof FileInput;
+  Modal: typeof Modal;
+  Tabs: typeof Tabs;
+  init: typeof init;
+}
+
+declare const Rivet: RivetNamespace;
+
+export default Rivet;
+
+export as namespace Rivet;
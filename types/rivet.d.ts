@@ -0,0 +1,60 @@
+/**
+ * Copyright (C) 2018 The Trustees of Indiana University
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+import { AlertInstance } from './components/alert';
+import { ComboboxInstance } from './components/combobox';
+import { DrawerInstance } from './components/drawer';
+import { DropdownInstance } from './components/dropdown';
+import { ModalInstance } from './components/modal';
+import { TabsInstance } from './components/tabs';
+
+export type AnyRivetInstance =
+  | AlertInstance
+  | ComboboxInstance
+  | DrawerInstance
+  | DropdownInstance
+  | ModalInstance
+  | TabsInstance;
+
+/**
+ * Used by components to hook into observer mode. See Rivet.observe().
+ */
+export interface RivetObservedComponent {
+  selector: string;
+  connect(element: HTMLElement): void;
+  disconnect(): void;
+}
+
+/**
+ * The Rivet utilities. In rivet.js these are on the Rivet global.
+ */
+export interface RivetUtilities {
+  /**
+   * @param element - A component's root element or its id attribute
+   * @returns The component instance or null if it hasn't been initialized
+   */
+  get<T extends AnyRivetInstance = AnyRivetInstance>(element: HTMLElement | string): T | null;
+  /**
+   * Starts watching for component markup being added to or removed from
+   * the DOM. Defaults to watching the <html> element.
+   */
+  observe(root?: HTMLElement): void;
+  /** Stops watching the DOM for changes */
+  disconnect(): void;
+}
+
+/**
+ * Utilities the components use internally. Only available on the
+ * RivetRegistry global in rivet.js.
+ */
+export interface RivetRegistry extends RivetUtilities {
+  register(element: HTMLElement, instance: object): void;
+  unregister(element: HTMLElement): void;
+  extend<T extends object>(target: T, ...sources: Array<object | undefined>): T;
+  getOptions<T extends object>(element: HTMLElement, defaults: T): T;
+  addComponent(component: RivetObservedComponent): void;
+  /** Sets up the components in markup added after initialization */
+  connect(element: HTMLElement): void;
+}
@@ -0,0 +1,18 @@
+/**
+ * Compiled by "npm run test:types" to make sure global.d.ts describes the
+ * globals rivet.js adds.
+ */
+
+Alert.dismiss('information-alert-title');
+Alert.dismiss(Alert.create({ type: 'success', message: 'Saved', timeout: 5000 }));
+Drawer.toggle(document.createElement('button'));
+FileInput.init();
+Combobox.init(document, { minLength: 2 });
+
+Rivet.observe();
+
+document.addEventListener('drawerBeforeClose', function(event) {
+  if (event.detail.reason === 'outsideClick') {
+    event.preventDefault();
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * Compiled by "npm run test:types" to make sure the declarations work the
+ * way they're documented when importing the ES module build.
+ */
+
+import Rivet, {
+  Combobox,
+  ComboboxInstance,
+  Dropdown,
+  Modal,
+  ModalInstance,
+  Tabs,
+  init,
+  observe
+} from '..';
+
+init();
+observe(document.body);
+
+Modal.init(document, { closeOnEscape: false });
+Modal.open('modal-example', function() {}, 'api');
+Modal.close(document.getElementById('modal-example') as HTMLElement);
+
+Modal.confirm({ title: 'Delete this?' }).then(function(action: string | null) {
+  return action === 'confirm';
+});
+
+Dropdown.toggle('dropdown-navigation');
+
+const closed: boolean = Dropdown.close('dropdown-navigation', null, 'escape');
+
+Tabs.activateTab('tab-1');
+
+const modal = Rivet.get<ModalInstance>('modal-example');
+
+if (modal !== null) {
+  modal.open();
+  modal.options.returnFocus = false;
+}
+
+Rivet.Drawer.open('drawer', undefined, 'keyboard');
+
+Rivet.Drawer.init(document, { placement: 'left', swipeToClose: false });
+Rivet.Drawer.toggle('drawer', function() {});
+
+if (Rivet.Drawer.isOpen('drawer')) {
+  const drawer: HTMLElement | null = Rivet.Drawer.getActive();
+  Rivet.Drawer.closeAll();
+}
+
+document.addEventListener('modalOpen', function(event) {
+  const id: string = event.detail.name();
+  const trigger: HTMLElement | null = event.detail.trigger;
+});
+
+document.addEventListener('tabActivated', function(event) {
+  const previousPanel: HTMLElement | null = event.detail.previousPanel;
+});
+
+document.addEventListener('fileAttached', function(event) {
+  const count: number = event.detail.files.length;
+});
+
+Combobox.init(document, {
+  source: function(text: string) {
+    return Promise.resolve([{ label: 'Ballantine Hall', value: 'BH' }, text]);
+  }
+});
+
+const combobox = Rivet.get<ComboboxInstance>('combobox-building');
+
+if (combobox !== null) {
+  combobox.search('Ball');
+}
+
+document.addEventListener('comboboxSelect', function(event) {
+  const value: string = event.detail.value;
+  const input: HTMLInputElement = event.detail.element;
+});
+
+// @ts-expect-error - Dropdown.open() requires an id
+Dropdown.open();